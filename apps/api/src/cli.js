@@ -3,9 +3,12 @@
 import { readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
-import { readFile } from "node:fs/promises";
+import { writeFile } from "node:fs/promises";
 import { runOnce } from "../../../packages/orchestrator/src/run.js";
-import { validatePolicy } from "../../../packages/core/src/validate.js";
+import { checkPolicy, validatePolicy } from "../../../packages/core/src/validate.js";
+import { migratePolicy } from "../../../packages/core/src/migrate.js";
+import { loadPolicy, policyFileFormat, readPolicyFile } from "../../../packages/core/src/loader.js";
+import { SCHEMA_NAMES, getSchema } from "../../../packages/core/src/schemas.js";
 
 // Get version from package.json
 const __filename = fileURLToPath(import.meta.url);
@@ -49,7 +52,11 @@ class MockBroker {
     // Mock order execution
     console.log("\n   📤 Submitting orders to broker (MOCK):");
     for (const leg of legs) {
-      console.log(`      - Market buy ${leg.symbol} for $${leg.notionalUsd.toFixed(2)}`);
+      if (leg.quantity !== undefined) {
+        console.log(`      - Market ${leg.side.toLowerCase()} ${leg.quantity} ${leg.symbol} (~$${leg.estimatedNotionalUsd.toFixed(2)})`);
+      } else {
+        console.log(`      - Market ${leg.side.toLowerCase()} ${leg.symbol} for $${leg.notionalUsd.toFixed(2)}`);
+      }
     }
     return {
       ordersPlaced: legs.length,
@@ -79,10 +86,24 @@ COMMANDS:
   plan              Generate allocation plan (dry-run, no execution)
   execute           Execute allocation (requires --execute flag)
   validate          Validate a policy file (no execution)
+  migrate           Upgrade a policy file to the latest schema version (shows a diff)
+  withdraw          Plan SELL orders that raise cash for a withdrawal (requires --amount;
+                    dry-run unless --execute is given)
+  schema <name>     Print the JSON Schema for a policy, snapshot or plan
 
 OPTIONS:
-  --policy <path>   Path to policy JSON file (default: policies/core.json)
+  --policy <path>   Path to policy file: .json, .jsonc or .yaml/.yml (default: policies/core.json)
   --execute         Execute orders (only with 'execute' command, requires explicit flag)
+  --write           Write the migrated policy back to its file (only with 'migrate')
+  --resolved        Print the policy with its 'extends' chain merged (only with 'validate')
+  --amount <usd>    Cash to raise (only with 'withdraw')
+  --state <path>    Run state file recording the last rebalance, for policies with a
+                    rebalance.calendar (default: .ledgerrun/state.json)
+  --explain         Print a step-by-step trace of the allocation decisions (plan/execute);
+                    with --json the trace is included as plan.trace
+  --notes-format <structured|strings>
+                    Shape of plan.notes in --json output: note objects (default) or
+                    plain message strings
   --dry-run         Dry-run mode - no orders executed (default for 'execute')
   --json            Output result as JSON (for scripting/CI)
   --quiet, -q       Minimal output (suppress banner and details)
@@ -96,12 +117,28 @@ EXAMPLES:
   # Generate a plan with custom policy
   npm run plan -- --policy policies/aggressive.json
 
+  # Explain why the plan looks the way it does
+  npm run plan -- --explain
+
   # Execute with dry-run (safe, no actual orders)
   npm run execute -- --policy policies/core.json --dry-run
 
   # Execute orders (REQUIRES --execute flag)
   npm run execute -- --policy policies/core.json --execute
 
+  # Plan sells that raise $5,000 for a withdrawal
+  npm run withdraw -- --amount 5000
+
+  # Show a policy with everything it extends merged in
+  npm run validate -- --policy policies/balanced.json --resolved
+
+  # Save the policy JSON Schema for editor autocompletion
+  node apps/api/src/cli.js schema policy > policy.schema.json
+
+  # Preview, then apply, a policy schema upgrade
+  npm run migrate -- --policy policies/core.json
+  npm run migrate -- --policy policies/core.json --write
+
 SAFETY:
   - Only paper trading is supported (ALPACA_PAPER must be true or unset)
   - 'execute' command requires explicit --execute flag to place orders
@@ -137,10 +174,17 @@ function parseArgs() {
 
   const options = {
     policyPath: "policies/core.json", // default
+    statePath: ".ledgerrun/state.json", // default
     dryRun: true,
     execute: false,
     json: false,
-    quiet: false
+    quiet: false,
+    write: false,
+    explain: false,
+    notesFormat: "structured",
+    resolved: false,
+    amount: null,
+    schemaName: null
   };
 
   for (let i = 1; i < args.length; i++) {
@@ -149,6 +193,9 @@ function parseArgs() {
     if (arg === "--policy" && i + 1 < args.length) {
       options.policyPath = args[i + 1];
       i++;
+    } else if (arg === "--state" && i + 1 < args.length) {
+      options.statePath = args[i + 1];
+      i++;
     } else if (arg === "--dry-run") {
       options.dryRun = true;
       options.execute = false;
@@ -157,16 +204,63 @@ function parseArgs() {
       options.execute = true;
     } else if (arg === "--no-dry-run") {
       options.dryRun = false;
+    } else if (arg === "--resolved") {
+      options.resolved = true;
     } else if (arg === "--json") {
       options.json = true;
     } else if (arg === "--quiet" || arg === "-q") {
       options.quiet = true;
+    } else if (arg === "--write") {
+      options.write = true;
+    } else if (arg === "--explain") {
+      options.explain = true;
+    } else if (arg === "--notes-format" && i + 1 < args.length) {
+      options.notesFormat = args[i + 1];
+      i++;
+    } else if (arg === "--amount" && i + 1 < args.length) {
+      options.amount = args[i + 1];
+      i++;
+    } else if (command === "schema" && !arg.startsWith("-") && options.schemaName === null) {
+      options.schemaName = arg;
     }
   }
 
   return { command, options };
 }
 
+/**
+ * Line diff of two texts via longest common subsequence.
+ * Unchanged lines are prefixed with two spaces, removals with "- ", additions with "+ ".
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push(`- ${a[i++]}`);
+    } else {
+      out.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) out.push(`- ${a[i++]}`);
+  while (j < b.length) out.push(`+ ${b[j++]}`);
+  return out;
+}
+
 function formatErrorMessage(error) {
   if (error instanceof Error && error.message) {
     return error.message;
@@ -204,7 +298,7 @@ function reportError(error, jsonMode = false) {
 async function main() {
   const { command, options } = parseArgs();
 
-  if (!command || !["plan", "execute", "validate"].includes(command)) {
+  if (!command || !["plan", "execute", "validate", "migrate", "withdraw", "schema"].includes(command)) {
     const error = new Error("Invalid or missing command");
     if (options.json) {
       console.log(JSON.stringify({ success: false, error: error.message }));
@@ -218,6 +312,19 @@ async function main() {
     process.exit(1);
   }
 
+  // Handle schema command before the banner so its output is plain JSON
+  if (command === "schema") {
+    try {
+      if (!options.schemaName) {
+        throw new Error(`schema requires a name: ${SCHEMA_NAMES.join(", ")}`);
+      }
+      console.log(JSON.stringify(getSchema(options.schemaName), null, 2));
+      process.exit(0);
+    } catch (error) {
+      reportError(error, options.json);
+    }
+  }
+
   if (!options.json && !options.quiet) {
     console.log(`🚀 LedgerRun CLI v${VERSION}\n`);
   }
@@ -225,19 +332,84 @@ async function main() {
   // Handle validate command separately (no broker needed)
   if (command === "validate") {
     try {
-      const policyData = await readFile(options.policyPath, "utf-8");
-      const policy = JSON.parse(policyData);
-      validatePolicy(policy);
+      const policy = await loadPolicy(options.policyPath);
+      const issues = checkPolicy(policy);
+
+      if (issues.length > 0) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            command: "validate",
+            policy: options.policyPath,
+            valid: false,
+            error: `Policy has ${issues.length} validation issue(s)`,
+            issues,
+            ...(options.resolved ? { resolved: policy } : {})
+          }));
+        } else {
+          console.error(`\n❌ Policy is invalid: ${options.policyPath} (${issues.length} issue(s))`);
+          for (const issue of issues) {
+            console.error(`   ${issue.path || "/"}  ${issue.message} [${issue.code}]`);
+          }
+        }
+        process.exit(1);
+      }
 
       if (options.json) {
         console.log(JSON.stringify({
           success: true,
           command: "validate",
           policy: options.policyPath,
-          valid: true
+          valid: true,
+          ...(options.resolved ? { resolved: policy } : {})
+        }));
+      } else {
+        if (!options.quiet) console.log(`✅ Policy is valid: ${options.policyPath}`);
+        if (options.resolved) console.log(`\nResolved policy:\n${JSON.stringify(policy, null, 2)}`);
+      }
+      process.exit(0);
+    } catch (error) {
+      reportError(error, options.json);
+    }
+  }
+
+  // Handle migrate command separately (no broker needed)
+  if (command === "migrate") {
+    try {
+      // Validate what the policy resolves to, but migrate only the file itself
+      // so an overlay keeps extending its parent.
+      validatePolicy(await loadPolicy(options.policyPath));
+      const policy = await readPolicyFile(options.policyPath);
+      const migrated = policy.version === undefined ? policy : migratePolicy(policy);
+      const changed = migrated.version !== policy.version;
+      const written = changed && options.write;
+      if (written && policyFileFormat(options.policyPath) !== "json") {
+        throw new Error(`migrate --write only rewrites .json policies; update ${options.policyPath} by hand from the diff to keep its comments.`);
+      }
+      if (written) {
+        await writeFile(options.policyPath, `${JSON.stringify(migrated, null, 2)}\n`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          command: "migrate",
+          policy: options.policyPath,
+          fromVersion: policy.version,
+          toVersion: migrated.version,
+          changed,
+          written,
+          migrated
         }));
       } else if (!options.quiet) {
-        console.log(`✅ Policy is valid: ${options.policyPath}`);
+        if (!changed) {
+          console.log(`✅ Policy is already version ${migrated.version}: ${options.policyPath}`);
+        } else {
+          console.log(`📝 Migrating ${options.policyPath} from version ${policy.version} to ${migrated.version}:\n`);
+          const diff = diffLines(JSON.stringify(policy, null, 2), JSON.stringify(migrated, null, 2));
+          for (const line of diff) console.log(`   ${line}`);
+          console.log(written ? `\n✅ Wrote ${options.policyPath}` : "\nℹ️  Dry run; pass --write to update the file.");
+        }
       }
       process.exit(0);
     } catch (error) {
@@ -249,8 +421,8 @@ async function main() {
   if (command === "plan") {
     options.dryRun = true;
     options.execute = false;
-  } else if (command === "execute") {
-    // For 'execute' command, require explicit --execute flag
+  } else if (command === "execute" || command === "withdraw") {
+    // For 'execute' and 'withdraw' commands, require explicit --execute flag
     if (!options.execute) {
       options.dryRun = true;
       options.execute = false;
@@ -265,6 +437,18 @@ async function main() {
     reportError(new Error("Only paper trading is supported. Set ALPACA_PAPER=true"), options.json);
   }
 
+  let withdrawUsd;
+  if (command === "withdraw") {
+    withdrawUsd = Number(options.amount);
+    if (options.amount === null || !Number.isFinite(withdrawUsd) || withdrawUsd <= 0) {
+      reportError(new Error("withdraw requires --amount <usd> with a positive number"), options.json);
+    }
+  }
+
+  if (options.notesFormat !== "structured" && options.notesFormat !== "strings") {
+    reportError(new Error(`--notes-format must be "structured" or "strings", got: ${options.notesFormat}`), options.json);
+  }
+
   const broker = new MockBroker({ isPaper: isPaperMode });
 
   try {
@@ -273,20 +457,26 @@ async function main() {
       broker,
       dryRun: options.dryRun,
       execute: options.execute,
-      silent: options.json || options.quiet
+      silent: options.json || options.quiet,
+      explain: options.explain,
+      notesFormat: options.notesFormat,
+      withdrawUsd,
+      statePath: options.statePath
     });
 
     if (options.json) {
       console.log(JSON.stringify({
-        success: true,
+        success: result.plan !== null,
         command,
         dryRun: options.dryRun,
         ...result
       }));
+    } else if (result.plan === null) {
+      console.error("\n❌ Run stopped: the broker snapshot failed its checks");
     } else if (!options.quiet) {
       console.log("\n✅ Run complete");
     }
-    process.exit(0);
+    process.exit(result.plan === null ? 1 : 0);
   } catch (error) {
     reportError(error, options.json);
   }
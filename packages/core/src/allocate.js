@@ -1,12 +1,23 @@
-import { validatePolicy, validateSnapshot } from "./validate.js";
-
-function roundDown(value, step) {
-  const s = step <= 0 ? 0.01 : step;
-  return Math.floor(value / s) * s;
-}
+import { calendarStatus } from "./calendar.js";
+import { attachCosts, costSettings, exceedsMaxCost } from "./costs.js";
+import { applyBuySymbols, equivalentAliases, resolveBuySymbols } from "./equivalents.js";
+import { attachLegCurrencies, isMultiCurrencySnapshot, toBaseSnapshot } from "./fx.js";
+import { resolveGlidePath } from "./glide-path.js";
+import { attachTaxLots } from "./lots.js";
+import { migratePolicy } from "./migrate.js";
+import { fromCents, floorCents, floorToStep, stepCents, sumUsd, toCents } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+import { largestRemainder } from "./remainder.js";
+import { toWholeShares } from "./shares.js";
+import { buyCapUsd, flattenTargets } from "./targets.js";
+import { validatePolicy, validateSnapshot, validateTradeHistory } from "./validate.js";
+import { findUntrackedHoldings, planLiquidation } from "./untracked.js";
+import { applyWashSaleGuard, findWashSaleBlocks } from "./wash-sale.js";
+import { planWithdrawal } from "./withdraw.js";
 
 function stableSortLegs(legs) {
   return legs.sort((a, b) => {
+    if (a.side !== b.side) return a.side === "SELL" ? -1 : 1;
     if (b.notionalUsd !== a.notionalUsd) return b.notionalUsd - a.notionalUsd;
     return a.symbol.localeCompare(b.symbol);
   });
@@ -16,20 +27,46 @@ function computeEquity(positions) {
   return positions.reduce((acc, p) => acc + p.marketValueUsd, 0);
 }
 
-function buildValueBySymbol(positions) {
+function buildValueBySymbol(positions, aliases = new Map()) {
   const map = new Map();
-  for (const p of positions) map.set(p.symbol, (map.get(p.symbol) || 0) + p.marketValueUsd);
+  for (const p of positions) {
+    const symbol = aliases.get(p.symbol) ?? p.symbol;
+    map.set(symbol, (map.get(symbol) || 0) + p.marketValueUsd);
+  }
   return map;
 }
 
+// Buy-side prices keyed by target symbol, taken from the symbol each target buys.
+function tradePrices(buySymbols, pricesUsd) {
+  const prices = { ...pricesUsd };
+  for (const [symbol, buySymbol] of buySymbols.entries()) prices[symbol] = pricesUsd[buySymbol];
+  return prices;
+}
+
 function getDefaulted(policy) {
+  const capital = policy.capital ?? {};
+  const orders = policy.orders ?? {};
   return {
-    cashBufferPct: policy.cashBufferPct ?? 0,
-    minInvestAmountUsd: policy.minInvestAmountUsd ?? 1,
-    maxInvestAmountUsd: policy.maxInvestAmountUsd ?? Number.POSITIVE_INFINITY,
-    minOrderUsd: policy.minOrderUsd ?? 1,
-    maxOrders: policy.maxOrders ?? policy.targets.length,
-    allowMissingPrices: policy.allowMissingPrices ?? false
+    cashBufferPct: capital.cashBufferPct ?? 0,
+    minInvestAmountUsd: capital.minInvestAmountUsd ?? 1,
+    maxInvestAmountUsd: capital.maxInvestAmountUsd ?? Number.POSITIVE_INFINITY,
+    minOrderUsd: orders.minOrderUsd ?? 1,
+    maxOrders: orders.maxOrders ?? policy.targets.length,
+    allowMissingPrices: policy.allowMissingPrices ?? false,
+    rebalanceKind: policy.rebalance?.kind ?? "cashflow",
+    untrackedHoldings: policy.untrackedHoldings ?? "include",
+    orderUnits: orders.orderUnits ?? "notional",
+    lotSelection: orders.lotSelection ?? "fifo",
+    washSale: {
+      windowDays: policy.washSale?.windowDays ?? 30,
+      // Target equivalents are substantially identical for wash-sale purposes too.
+      equivalents: [
+        ...(policy.washSale?.equivalents ?? []),
+        ...policy.targets.filter((t) => t.equivalents).map((t) => [t.symbol, ...t.equivalents])
+      ],
+      action: policy.washSale?.action ?? "suppress"
+    },
+    costs: costSettings(policy)
   };
 }
 
@@ -37,37 +74,113 @@ function computeInvestableCash({ cashUsd, totalValueUsd }, defs, notes) {
   const desiredBuffer = defs.cashBufferPct * totalValueUsd;
   const afterBuffer = Math.max(0, cashUsd - desiredBuffer);
 
-  if (defs.cashBufferPct > 0) notes.push(`Applied cash buffer: reserving ~$${desiredBuffer.toFixed(2)}.`);
+  if (defs.cashBufferPct > 0) {
+    notes.push(makeNote(NOTE_CODES.CASH_BUFFER_APPLIED, `Applied cash buffer: reserving ~$${desiredBuffer.toFixed(2)}.`, {
+      reserveUsd: usd(desiredBuffer)
+    }));
+  }
 
-  const capped = Math.min(afterBuffer, defs.maxInvestAmountUsd);
+  // Whole cents, so legs summing to it can never overspend by a fraction of a cent.
+  const capped = fromCents(floorCents(Math.min(afterBuffer, defs.maxInvestAmountUsd)));
   if (defs.maxInvestAmountUsd !== Number.POSITIVE_INFINITY) {
-    notes.push(`Applied max invest cap: $${defs.maxInvestAmountUsd.toFixed(2)}.`);
+    notes.push(makeNote(NOTE_CODES.MAX_INVEST_CAP_APPLIED, `Applied max invest cap: $${defs.maxInvestAmountUsd.toFixed(2)}.`, {
+      maxInvestAmountUsd: defs.maxInvestAmountUsd
+    }));
   }
 
   if (capped < defs.minInvestAmountUsd) {
-    return { investableCashUsd: 0, noopReason: `Investable cash ($${capped.toFixed(2)}) < minInvestAmountUsd.` };
+    return {
+      investableCashUsd: 0,
+      noopReason: makeNote(NOTE_CODES.INVESTABLE_BELOW_MIN_INVEST, `Investable cash ($${capped.toFixed(2)}) < minInvestAmountUsd.`, {
+        investableCashUsd: usd(capped),
+        minInvestAmountUsd: defs.minInvestAmountUsd
+      })
+    };
   }
 
   return { investableCashUsd: capped, noopReason: null };
 }
 
-function computeWeights(targets, valueBySymbol, totalValueUsd) {
+// `currentValue` includes equivalent holdings; only the target's own symbol is
+// ever sold, so `sellableValue` caps sells.
+function computeWeights(targets, valueBySymbol, heldValueBySymbol, totalValueUsd) {
   const weights = new Map();
   for (const t of targets) {
     const currentValue = valueBySymbol.get(t.symbol) || 0;
     const currentWeight = totalValueUsd > 0 ? currentValue / totalValueUsd : 0;
-    weights.set(t.symbol, { currentValue, currentWeight, targetWeight: t.targetWeight });
+    const sellableValue = heldValueBySymbol.get(t.symbol) || 0;
+    weights.set(t.symbol, { currentValue, currentWeight, targetWeight: t.targetWeight, sellableValue });
   }
   return weights;
 }
 
-function maxAbsDeviation(weights) {
-  let max = 0;
-  for (const { currentWeight, targetWeight } of weights.values()) {
-    const d = Math.abs(currentWeight - targetWeight);
-    if (d > max) max = d;
+function driftThresholds(drift, target) {
+  const usesAbs = drift.kind === "band" || drift.kind === "combined";
+  const usesRel = drift.kind === "relative" || drift.kind === "combined";
+  return {
+    maxAbsPct: usesAbs ? target.drift?.maxAbsPct ?? drift.maxAbsPct : undefined,
+    maxRelPct: usesRel ? target.drift?.maxRelPct ?? drift.maxRelPct : undefined
+  };
+}
+
+/**
+ * Check every target against its drift band(s). Absolute deviation is
+ * |current - target|; relative deviation is that divided by the target weight.
+ * A per-target `drift` overrides the policy-level thresholds for that symbol.
+ */
+function findDriftBreaches(policy, weights) {
+  const breaches = [];
+  if (policy.drift.kind === "none") return breaches;
+
+  for (const t of policy.targets) {
+    const w = weights.get(t.symbol);
+    if (!w) continue;
+
+    const absDeviation = Math.abs(w.currentWeight - w.targetWeight);
+    const relDeviation = absDeviation / w.targetWeight;
+    const { maxAbsPct, maxRelPct } = driftThresholds(policy.drift, t);
+    const base = { symbol: t.symbol, currentWeight: w.currentWeight, targetWeight: w.targetWeight, absDeviation, relDeviation };
+
+    if (maxAbsPct !== undefined && absDeviation > maxAbsPct) breaches.push({ ...base, band: "absolute", threshold: maxAbsPct });
+    if (maxRelPct !== undefined && relDeviation > maxRelPct) breaches.push({ ...base, band: "relative", threshold: maxRelPct });
+  }
+  return breaches;
+}
+
+function describeDriftBand(drift) {
+  if (drift.kind === "relative") return `relative drift band (${pct(drift.maxRelPct)})`;
+  if (drift.kind === "combined") return `drift band (${pct(drift.maxAbsPct)} abs / ${pct(drift.maxRelPct)} rel)`;
+  return `drift band (${pct(drift.maxAbsPct ?? 0)})`;
+}
+
+function computeGroupDrift(groups, weights) {
+  return groups.map((g) => {
+    let currentWeight = 0;
+    for (const symbol of g.symbols) currentWeight += weights.get(symbol)?.currentWeight ?? 0;
+    const deviation = currentWeight - g.targetWeight;
+    return {
+      name: g.name,
+      symbols: g.symbols,
+      targetWeight: g.targetWeight,
+      currentWeight,
+      deviation,
+      maxAbsPct: g.maxAbsPct,
+      outsideBand: g.maxAbsPct !== null && Math.abs(deviation) > g.maxAbsPct
+    };
+  });
+}
+
+function annotateGroupLegs(legs, leaves, breachedGroups) {
+  const groupBySymbol = new Map();
+  for (const leaf of leaves) if (leaf.group) groupBySymbol.set(leaf.symbol, leaf.group);
+
+  for (const leg of legs) {
+    if (groupBySymbol.has(leg.symbol)) leg.group = groupBySymbol.get(leg.symbol);
+    if (leg.side !== "BUY") continue;
+    for (const g of breachedGroups) {
+      if (g.deviation < 0 && g.symbols.includes(leg.symbol)) leg.reasonCodes.push(`GROUP_UNDERWEIGHT:${g.name}`);
+    }
   }
-  return max;
 }
 
 function allocateProRata(targets, investableCashUsd) {
@@ -97,26 +210,181 @@ function allocateToUnderweights(weights, investableCashUsd) {
   return buy;
 }
 
-function finalizeLegs({ policy, defs, weights, rawBuys, totalValueUsd, investableCashUsd, roundToUsd }) {
+function pct(weight) {
+  return `${(weight * 100).toFixed(2)}%`;
+}
+
+function bindingCap(t, currentValue, totalValueUsd) {
+  const weightCapUsd = t.maxWeight === undefined ? Number.POSITIVE_INFINITY : t.maxWeight * totalValueUsd - currentValue;
+  return weightCapUsd <= (t.maxOrderUsd ?? Number.POSITIVE_INFINITY) ? "maxWeight" : "maxOrderUsd";
+}
+
+function describeCap(t, constraint) {
+  if (constraint === "maxWeight") return `maxWeight ${pct(t.maxWeight)}`;
+  return `maxOrderUsd ($${t.maxOrderUsd.toFixed(2)})`;
+}
+
+/**
+ * Enforce per-target minWeight/maxWeight/maxOrderUsd on raw buys.
+ *
+ * Symbols held below their minWeight are topped up first by trimming the other
+ * buys; buys above a ceiling are then clamped and the excess re-spread across
+ * the remaining uncapped targets until nothing exceeds its cap.
+ */
+function applyTargetBounds({ policy, weights, rawBuys, totalValueUsd }) {
   const notes = [];
+  const buys = new Map(rawBuys);
+  const targets = policy.targets.filter((t) => weights.has(t.symbol));
+  const caps = new Map();
+  for (const t of targets) caps.set(t.symbol, buyCapUsd(t, weights.get(t.symbol).currentValue, totalValueUsd));
+
+  const raised = new Set();
+  for (const t of targets) {
+    if (t.minWeight === undefined) continue;
+    const w = weights.get(t.symbol);
+    const floorUsd = Math.min(caps.get(t.symbol), Math.max(0, t.minWeight * totalValueUsd - w.currentValue));
+    const shortUsd = floorUsd - (buys.get(t.symbol) || 0);
+    if (shortUsd <= 0) continue;
+
+    const donors = targets.filter((d) => d.symbol !== t.symbol && !raised.has(d.symbol) && (buys.get(d.symbol) || 0) > 0);
+    const donorUsd = donors.reduce((acc, d) => acc + buys.get(d.symbol), 0);
+    const takenUsd = Math.min(shortUsd, donorUsd);
+    if (takenUsd <= 0) continue;
+
+    for (const d of donors) buys.set(d.symbol, buys.get(d.symbol) * (1 - takenUsd / donorUsd));
+    buys.set(t.symbol, (buys.get(t.symbol) || 0) + takenUsd);
+    raised.add(t.symbol);
+    notes.push(makeNote(NOTE_CODES.MIN_WEIGHT_RAISED, `Raised ${t.symbol} buy by $${takenUsd.toFixed(2)} toward minWeight ${pct(t.minWeight)}.`, {
+      symbol: t.symbol,
+      amountUsd: usd(takenUsd),
+      minWeight: t.minWeight
+    }));
+  }
+
+  // Each pass that finds excess clamps at least one new symbol, so this terminates.
+  const clamped = new Set();
+  let respreadUsd = 0;
+  let idleUsd = 0;
+  for (;;) {
+    let excessUsd = 0;
+    for (const t of targets) {
+      const buy = buys.get(t.symbol) || 0;
+      const cap = caps.get(t.symbol);
+      if (buy <= cap + 1e-9) continue;
+
+      excessUsd += buy - cap;
+      buys.set(t.symbol, cap);
+      if (!clamped.has(t.symbol)) {
+        clamped.add(t.symbol);
+        const w = weights.get(t.symbol);
+        const constraint = bindingCap(t, w.currentValue, totalValueUsd);
+        notes.push(makeNote(
+          NOTE_CODES.ORDER_CLAMPED,
+          `Clamped ${t.symbol} buy to $${cap.toFixed(2)} to respect ${describeCap(t, constraint)}.`,
+          { symbol: t.symbol, side: "BUY", capUsd: usd(cap), constraint }
+        ));
+      }
+    }
+    if (excessUsd <= 1e-9) break;
+
+    const eligible = targets.filter((t) => !clamped.has(t.symbol) && (buys.get(t.symbol) || 0) < caps.get(t.symbol));
+    const buying = eligible.filter((t) => (buys.get(t.symbol) || 0) > 0);
+    const basis = buying.length > 0 ? buying : eligible;
+    const basisTotal = buying.length > 0
+      ? buying.reduce((acc, t) => acc + buys.get(t.symbol), 0)
+      : eligible.reduce((acc, t) => acc + t.targetWeight, 0);
+
+    if (basis.length === 0 || basisTotal <= 0) {
+      idleUsd += excessUsd;
+      break;
+    }
+
+    for (const t of basis) {
+      const share = buying.length > 0 ? buys.get(t.symbol) : t.targetWeight;
+      buys.set(t.symbol, (buys.get(t.symbol) || 0) + excessUsd * (share / basisTotal));
+    }
+    respreadUsd += excessUsd;
+  }
+
+  if (respreadUsd > 0.005) {
+    notes.push(makeNote(NOTE_CODES.CLAMPED_CASH_RESPREAD, `Re-spread ~$${respreadUsd.toFixed(2)} of clamped cash to other targets.`, {
+      amountUsd: usd(respreadUsd)
+    }));
+  }
+  if (idleUsd > 0.005) {
+    notes.push(makeNote(NOTE_CODES.CLAMPED_CASH_IDLE, `~$${idleUsd.toFixed(2)} of clamped cash left uninvested (no eligible targets).`, {
+      amountUsd: usd(idleUsd)
+    }));
+  }
+
+  return { buys, notes };
+}
+
+// Hand cash lost to rounding, sub-minimum legs and maxOrders truncation back
+// to the surviving legs, in proportion to their raw amounts and within caps.
+function redistributeLeftover({ legs, policy, weights, buys, totalValueUsd, investableCashUsd, roundToUsd }) {
+  const step = stepCents(roundToUsd);
+  const intendedUsd = Math.min(investableCashUsd, [...buys.values()].reduce((acc, v) => acc + v, 0));
+  const totalUnits = Math.floor(floorCents(intendedUsd) / step);
+  const spentUnits = legs.reduce((acc, l) => acc + Math.round(toCents(l.notionalUsd) / step), 0);
+  if (totalUnits <= spentUnits) return 0;
+
+  const targetsBySymbol = new Map(policy.targets.map((t) => [t.symbol, t]));
+  const entries = legs.map((leg) => {
+    const w = weights.get(leg.symbol);
+    const capUsd = buyCapUsd(targetsBySymbol.get(leg.symbol), w.currentValue, totalValueUsd);
+    return {
+      key: leg.symbol,
+      weight: buys.get(leg.symbol) || 0,
+      floor: Math.round(toCents(leg.notionalUsd) / step),
+      cap: Math.floor(floorCents(capUsd) / step),
+      priority: w.targetWeight - w.currentWeight
+    };
+  });
+
+  const units = largestRemainder(entries, totalUnits);
+  let addedCents = 0;
+  for (const leg of legs) {
+    const cents = units.get(leg.symbol) * step;
+    addedCents += cents - toCents(leg.notionalUsd);
+    const notionalUsd = fromCents(cents);
+    leg.notionalUsd = notionalUsd;
+    const w = weights.get(leg.symbol);
+    leg.postBuyEstimatedWeight = totalValueUsd > 0 ? (w.currentValue + notionalUsd) / totalValueUsd : 0;
+  }
+  return fromCents(addedCents);
+}
+
+function finalizeLegs({ policy, defs, weights, rawBuys, totalValueUsd, investableCashUsd, roundToUsd, buySymbols }) {
+  const bounded = applyTargetBounds({ policy, weights, rawBuys, totalValueUsd });
+  const notes = [...bounded.notes];
   const legs = [];
+  const dropped = [];
 
   for (const t of policy.targets) {
     const symbol = t.symbol;
     const w = weights.get(symbol);
     if (!w) continue;
 
-    const notionalRaw = rawBuys.get(symbol) || 0;
-    const notionalRounded = roundDown(notionalRaw, roundToUsd);
+    const notionalRaw = bounded.buys.get(symbol) || 0;
+    const notionalRounded = floorToStep(notionalRaw, roundToUsd);
 
-    if (notionalRounded < defs.minOrderUsd) continue;
+    if (notionalRounded < (t.minOrderUsd ?? defs.minOrderUsd)) {
+      if (notionalRaw > 0) dropped.push({ symbol, side: "BUY", notionalUsd: usd(notionalRaw), reason: "BELOW_MIN_ORDER" });
+      continue;
+    }
+    if (defs.costs && exceedsMaxCost(defs.costs, { symbol: buySymbols.get(symbol) ?? symbol, targetSymbol: symbol, notionalUsd: notionalRounded })) {
+      dropped.push({ symbol, side: "BUY", notionalUsd: notionalRounded, reason: "COST_ABOVE_MAX" });
+      continue;
+    }
 
     const postValue = w.currentValue + notionalRounded;
     const postWeight = totalValueUsd > 0 ? postValue / totalValueUsd : 0;
 
     legs.push({
       symbol,
-      notionalUsd: Number(notionalRounded.toFixed(2)),
+      side: "BUY",
+      notionalUsd: notionalRounded,
       reasonCodes: [],
       targetWeight: w.targetWeight,
       currentWeight: w.currentWeight,
@@ -127,17 +395,34 @@ function finalizeLegs({ policy, defs, weights, rawBuys, totalValueUsd, investabl
   stableSortLegs(legs);
 
   if (legs.length === 0) {
-    notes.push(`All computed legs fell below minOrderUsd ($${defs.minOrderUsd.toFixed(2)}).`);
-    return { legs: [], plannedSpendUsd: 0, notes };
+    notes.push(makeNote(NOTE_CODES.ALL_LEGS_BELOW_MIN_ORDER, `All computed legs fell below minOrderUsd ($${defs.minOrderUsd.toFixed(2)}).`, {
+      minOrderUsd: defs.minOrderUsd
+    }));
+    return { legs: [], plannedSpendUsd: 0, notes, dropped };
   }
 
   if (legs.length > defs.maxOrders) {
-    const dropped = legs.length - defs.maxOrders;
-    legs.splice(defs.maxOrders);
-    notes.push(`Applied maxOrders (${defs.maxOrders}); dropped ${dropped} leg(s).`);
+    const cut = legs.splice(defs.maxOrders);
+    for (const leg of cut) dropped.push({ symbol: leg.symbol, side: leg.side, notionalUsd: leg.notionalUsd, reason: "MAX_ORDERS" });
+    notes.push(makeNote(NOTE_CODES.MAX_ORDERS_APPLIED, `Applied maxOrders (${defs.maxOrders}); dropped ${cut.length} leg(s).`, {
+      maxOrders: defs.maxOrders,
+      dropped: cut.length
+    }));
   }
 
-  const plannedSpendUsd = legs.reduce((acc, l) => acc + l.notionalUsd, 0);
+  const redistributedUsd = redistributeLeftover({
+    legs, policy, weights, buys: bounded.buys, totalValueUsd, investableCashUsd, roundToUsd
+  });
+  if (redistributedUsd > 0) {
+    stableSortLegs(legs);
+    notes.push(makeNote(
+      NOTE_CODES.LEFTOVER_REDISTRIBUTED,
+      `Redistributed $${redistributedUsd.toFixed(2)} of rounding/minOrder/maxOrders leftovers across ${legs.length} leg(s).`,
+      { amountUsd: usd(redistributedUsd), legs: legs.length }
+    ));
+  }
+
+  const plannedSpendUsd = sumUsd(legs.map((l) => l.notionalUsd));
 
   for (const leg of legs) {
     const w = weights.get(leg.symbol);
@@ -146,136 +431,745 @@ function finalizeLegs({ policy, defs, weights, rawBuys, totalValueUsd, investabl
     leg.reasonCodes.push("DCA", "CASHFLOW_REBALANCE");
   }
 
-  if (plannedSpendUsd + 0.01 < investableCashUsd) {
-    notes.push(
-      `Planned spend ($${plannedSpendUsd.toFixed(2)}) < investable cash ($${investableCashUsd.toFixed(2)}) due to rounding/minOrder/maxOrders.`
-    );
+  if (toCents(plannedSpendUsd) < toCents(investableCashUsd)) {
+    notes.push(makeNote(
+      NOTE_CODES.SPEND_BELOW_AVAILABLE,
+      `Planned spend ($${plannedSpendUsd.toFixed(2)}) < investable cash ($${investableCashUsd.toFixed(2)}) due to rounding/minOrder/maxOrders.`,
+      { plannedSpendUsd: usd(plannedSpendUsd), availableUsd: usd(investableCashUsd) }
+    ));
+  }
+
+  return { legs, plannedSpendUsd, notes, dropped };
+}
+
+function computeRebalanceDeltas(weights, investableCashUsd) {
+  let poolUsd = investableCashUsd;
+  for (const w of weights.values()) poolUsd += w.currentValue;
+
+  const deltas = new Map();
+  for (const [symbol, w] of weights.entries()) {
+    deltas.set(symbol, w.targetWeight * poolUsd - w.currentValue);
+  }
+  return deltas;
+}
+
+function finalizeRebalanceLegs({ policy, defs, weights, deltas, totalValueUsd, investableCashUsd, roundToUsd, buySymbols }) {
+  const notes = [];
+  const dropped = [];
+  let candidates = [];
+
+  for (const t of policy.targets) {
+    const delta = deltas.get(t.symbol) || 0;
+    if (!weights.has(t.symbol) || delta === 0) continue;
+
+    const { sellableValue } = weights.get(t.symbol);
+    if (delta < 0 && -delta > sellableValue) {
+      const unsoldUsd = floorToStep(-delta - sellableValue, roundToUsd);
+      if (unsoldUsd >= (t.minOrderUsd ?? defs.minOrderUsd)) {
+        notes.push(makeNote(
+          NOTE_CODES.EQUIVALENTS_NOT_SOLD,
+          `${t.symbol} stays overweight by $${unsoldUsd.toFixed(2)} held in equivalents (${t.equivalents.join(", ")}), which full rebalance does not sell.`,
+          { symbol: t.symbol, equivalents: t.equivalents, unsoldUsd }
+        ));
+      }
+      if (sellableValue === 0) continue;
+    }
+
+    let rawUsd = delta < 0 ? Math.min(-delta, sellableValue) : delta;
+    if (t.maxOrderUsd !== undefined && rawUsd > t.maxOrderUsd) {
+      rawUsd = t.maxOrderUsd;
+      notes.push(makeNote(
+        NOTE_CODES.ORDER_CLAMPED,
+        `Clamped ${t.symbol} ${delta < 0 ? "sell" : "buy"} to $${rawUsd.toFixed(2)} to respect maxOrderUsd.`,
+        { symbol: t.symbol, side: delta < 0 ? "SELL" : "BUY", capUsd: usd(rawUsd), constraint: "maxOrderUsd" }
+      ));
+    }
+    const notionalRounded = floorToStep(rawUsd, roundToUsd);
+    if (notionalRounded < (t.minOrderUsd ?? defs.minOrderUsd)) {
+      dropped.push({ symbol: t.symbol, side: delta < 0 ? "SELL" : "BUY", notionalUsd: usd(rawUsd), reason: "BELOW_MIN_ORDER" });
+      continue;
+    }
+    // Buys are costed on the symbol actually bought, which may be an equivalent.
+    const tradeSymbol = delta > 0 ? buySymbols.get(t.symbol) ?? t.symbol : t.symbol;
+    if (defs.costs && exceedsMaxCost(defs.costs, { symbol: tradeSymbol, targetSymbol: t.symbol, notionalUsd: notionalRounded })) {
+      dropped.push({ symbol: t.symbol, side: delta < 0 ? "SELL" : "BUY", notionalUsd: notionalRounded, reason: "COST_ABOVE_MAX" });
+      continue;
+    }
+
+    candidates.push({
+      symbol: t.symbol,
+      side: delta < 0 ? "SELL" : "BUY",
+      rawUsd,
+      notionalUsd: notionalRounded,
+      minOrderUsd: t.minOrderUsd
+    });
+  }
+
+  if (candidates.length > defs.maxOrders) {
+    candidates.sort((a, b) => b.notionalUsd - a.notionalUsd || a.symbol.localeCompare(b.symbol));
+    const cut = candidates.slice(defs.maxOrders);
+    candidates = candidates.slice(0, defs.maxOrders);
+    for (const c of cut) dropped.push({ symbol: c.symbol, side: c.side, notionalUsd: usd(c.notionalUsd), reason: "MAX_ORDERS" });
+    notes.push(makeNote(NOTE_CODES.MAX_ORDERS_APPLIED, `Applied maxOrders (${defs.maxOrders}); dropped ${cut.length} leg(s).`, {
+      maxOrders: defs.maxOrders,
+      dropped: cut.length
+    }));
+  }
+
+  // Buys are funded only by sells that survived rounding/minOrder/maxOrders plus investable cash.
+  const plannedSellUsd = sumUsd(candidates.filter((c) => c.side === "SELL").map((c) => c.notionalUsd));
+  const fundingUsd = sumUsd([investableCashUsd, plannedSellUsd]);
+  const rawBuyUsd = candidates.filter((c) => c.side === "BUY").reduce((acc, c) => acc + c.rawUsd, 0);
+  const buyScale = rawBuyUsd > fundingUsd ? fundingUsd / rawBuyUsd : 1;
+
+  const legs = [];
+  for (const c of candidates) {
+    const w = weights.get(c.symbol);
+    const notionalUsd = c.side === "BUY" ? floorToStep(c.rawUsd * buyScale, roundToUsd) : c.notionalUsd;
+    if (notionalUsd < (c.minOrderUsd ?? defs.minOrderUsd)) {
+      dropped.push({ symbol: c.symbol, side: c.side, notionalUsd: usd(c.rawUsd * buyScale), reason: "UNFUNDED" });
+      continue;
+    }
+
+    const postValue = c.side === "BUY" ? w.currentValue + notionalUsd : w.currentValue - notionalUsd;
+    legs.push({
+      symbol: c.symbol,
+      side: c.side,
+      notionalUsd,
+      reasonCodes: c.side === "SELL" ? ["OVERWEIGHT_TRIM", "FULL_REBALANCE"] : ["UNDERWEIGHT", "FULL_REBALANCE"],
+      targetWeight: w.targetWeight,
+      currentWeight: w.currentWeight,
+      postBuyEstimatedWeight: totalValueUsd > 0 ? postValue / totalValueUsd : 0
+    });
+  }
+
+  stableSortLegs(legs);
+
+  if (legs.length === 0) {
+    // An overweight held only in equivalents already has its own note.
+    if (!notes.some((n) => n.code === NOTE_CODES.EQUIVALENTS_NOT_SOLD)) {
+      notes.push(makeNote(NOTE_CODES.ALL_LEGS_BELOW_MIN_ORDER, `All computed legs fell below minOrderUsd ($${defs.minOrderUsd.toFixed(2)}).`, {
+        minOrderUsd: defs.minOrderUsd
+      }));
+    }
+    return { legs: [], plannedSpendUsd: 0, plannedSellUsd: 0, notes, dropped };
+  }
+
+  const plannedSpendUsd = sumUsd(legs.filter((l) => l.side === "BUY").map((l) => l.notionalUsd));
+
+  if (toCents(plannedSpendUsd) < toCents(fundingUsd)) {
+    notes.push(makeNote(
+      NOTE_CODES.SPEND_BELOW_AVAILABLE,
+      `Planned spend ($${plannedSpendUsd.toFixed(2)}) < sell proceeds plus investable cash ($${fundingUsd.toFixed(2)}) due to rounding/minOrder/maxOrders.`,
+      { plannedSpendUsd: usd(plannedSpendUsd), availableUsd: usd(fundingUsd) }
+    ));
+  }
+
+  return { legs, plannedSpendUsd, plannedSellUsd, notes, dropped };
+}
+
+function describeWashSaleBlocks(guard, blocks, roundToUsd) {
+  const notes = [];
+  const blockedLegs = guard.blocked.map(({ symbol, amountUsd }) => {
+    const trade = blocks.get(symbol);
+    const notionalUsd = floorToStep(amountUsd, roundToUsd);
+    notes.push(makeNote(
+      NOTE_CODES.WASH_SALE_BLOCKED,
+      `Blocked ${symbol} buy (~$${notionalUsd.toFixed(2)}): wash sale with SELL of ${trade.symbol} on ` +
+        `${trade.executedIso.slice(0, 10)} at a $${Math.abs(trade.realizedGainUsd).toFixed(2)} loss.`,
+      {
+        symbol,
+        amountUsd: notionalUsd,
+        tradeSymbol: trade.symbol,
+        executedIso: trade.executedIso,
+        lossUsd: usd(Math.abs(trade.realizedGainUsd))
+      }
+    ));
+    return { symbol, side: "BUY", notionalUsd, reasonCodes: ["WASH_SALE_BLOCKED"], blockingTrade: trade };
+  });
+  if (guard.receivers.size > 0) {
+    notes.push(makeNote(NOTE_CODES.WASH_SALE_REDIRECTED, `Redirected blocked buys to ${[...guard.receivers].join(", ")}.`, {
+      symbols: [...guard.receivers]
+    }));
+  }
+  return { blockedLegs, notes };
+}
+
+function describeCosts(costs, dropped, { estimatedCostUsd, reservedUsd, legs }) {
+  const notes = [];
+  const costly = dropped.filter((d) => d.reason === "COST_ABOVE_MAX").map((d) => d.symbol);
+  if (costly.length > 0) {
+    notes.push(makeNote(
+      NOTE_CODES.LEGS_ABOVE_MAX_COST,
+      `Skipped ${costly.join(", ")}: estimated cost above ${pct(costs.maxCostPct)} of the order.`,
+      { symbols: costly, maxCostPct: costs.maxCostPct }
+    ));
+  }
+  const reserved = reservedUsd > 0 ? `; reserved $${reservedUsd.toFixed(2)} of investable cash to cover them` : "";
+  notes.push(makeNote(
+    NOTE_CODES.TRADING_COSTS_ESTIMATED,
+    `Estimated trading costs: $${estimatedCostUsd.toFixed(2)} across ${legs} leg(s)${reserved}.`,
+    { estimatedCostUsd: usd(estimatedCostUsd), reservedUsd: usd(reservedUsd), legs }
+  ));
+  return notes;
+}
+
+function traceAmounts(amounts) {
+  return [...amounts.entries()]
+    .filter(([, amountUsd]) => amountUsd !== 0)
+    .map(([symbol, amountUsd]) => ({ symbol, side: amountUsd < 0 ? "SELL" : "BUY", amountUsd: usd(Math.abs(amountUsd)) }));
+}
+
+function traceWeights(weights) {
+  return {
+    step: "weights",
+    symbols: [...weights.entries()].map(([symbol, w]) => ({
+      symbol,
+      currentValueUsd: usd(w.currentValue),
+      currentWeight: w.currentWeight,
+      targetWeight: w.targetWeight,
+      deviation: w.currentWeight - w.targetWeight
+    }))
+  };
+}
+
+function traceBandCheck(policy, outsideBand, driftBreaches, calendar = null) {
+  const entry = {
+    step: "band_check",
+    driftKind: policy.drift.kind,
+    outsideBand,
+    breaches: driftBreaches.map((b) => b.symbol ?? b.group)
+  };
+  if (calendar) entry.calendarDue = calendar.due;
+  return entry;
+}
+
+function buildPlan(status, ctx, fields) {
+  const { policy, snapshot, equityUsd, totalValueUsd, groupDrift, driftBreaches, untrackedHoldings, baseCurrency, costs, glidePath, calendar, notesFormat, trace } = ctx;
+  const plan = {
+    status,
+    policyName: policy.name,
+    asOfIso: snapshot.asOfIso,
+    totalEquityUsd: usd(equityUsd),
+    totalValueUsd: usd(totalValueUsd),
+    cashUsd: usd(snapshot.cashUsd),
+    investableCashUsd: usd(fields.investableCashUsd),
+    plannedSpendUsd: usd(fields.plannedSpendUsd ?? 0),
+    plannedSellUsd: usd(fields.plannedSellUsd ?? 0),
+    legs: fields.legs ?? [],
+    notes: notesFormat === "strings" ? fields.notes.map((n) => n.message) : fields.notes,
+    driftBreaches,
+    untrackedHoldings,
+    blockedLegs: fields.blockedLegs ?? []
+  };
+  if (fields.withdrawalUsd !== undefined) plan.withdrawalUsd = usd(fields.withdrawalUsd);
+  if (costs) plan.estimatedCostUsd = usd(fields.estimatedCostUsd ?? 0);
+  if (groupDrift.length > 0) plan.groups = groupDrift;
+  if (baseCurrency) plan.baseCurrency = baseCurrency;
+  if (glidePath) plan.glidePath = glidePath;
+  if (calendar) plan.calendar = calendar;
+  if (trace) {
+    trace.push({
+      step: "result",
+      status,
+      plannedSpendUsd: plan.plannedSpendUsd,
+      plannedSellUsd: plan.plannedSellUsd,
+      legs: plan.legs.length
+    });
+    plan.trace = trace;
   }
+  return plan;
+}
+
+// A plan that only sells untracked holdings: no target order fits, but the
+// liquidation still goes ahead and its proceeds stay in cash.
+function liquidationOnlyPlan(ctx, { defs, liquidation, investableCashUsd, notes, dropped = [], fx, inputSnapshot }) {
+  const legs = stableSortLegs([...liquidation.legs]);
+  const allNotes = [...notes, ...attachTaxLots(legs, ctx.snapshot, defs.lotSelection)];
+  if (fx) allNotes.push(...attachLegCurrencies(legs, fx, inputSnapshot));
+  const estimatedCostUsd = defs.costs ? attachCosts(legs, defs.costs) : 0;
+  if (defs.costs) allNotes.push(...describeCosts(defs.costs, [], { estimatedCostUsd, reservedUsd: 0, legs: legs.length }));
+  ctx.trace?.push({ step: "dropped_legs", legs: [...liquidation.dropped, ...dropped] });
+
+  return buildPlan("PLANNED", ctx, {
+    investableCashUsd,
+    plannedSellUsd: liquidation.proceedsUsd,
+    legs,
+    notes: allNotes,
+    estimatedCostUsd
+  });
+}
+
+function allocateWithdrawal(ctx, { defs, weights, withdrawUsd, roundToUsd, notes, fx, inputSnapshot, liquidation }) {
+  const { policy, snapshot, totalValueUsd, trace } = ctx;
+  trace?.push({ step: "mode", mode: "withdraw" });
 
-  return { legs, plannedSpendUsd, notes };
+  // Liquidation proceeds cover the withdrawal before any target is sold.
+  const funded = liquidation ? { ...snapshot, cashUsd: snapshot.cashUsd + liquidation.proceedsUsd } : snapshot;
+  const planned = planWithdrawal({ policy, defs, weights, snapshot: funded, totalValueUsd, withdrawUsd, roundToUsd });
+  const legs = stableSortLegs([...(liquidation?.legs ?? []), ...planned.legs]);
+  const allNotes = [...notes, ...planned.notes];
+  if (legs.length > 0) allNotes.push(...attachTaxLots(legs, snapshot, defs.lotSelection));
+  if (fx) allNotes.push(...attachLegCurrencies(legs, fx, inputSnapshot));
+  // Withdrawal legs report their costs but are not resized for them.
+  const estimatedCostUsd = defs.costs ? attachCosts(legs, defs.costs) : 0;
+  if (defs.costs) allNotes.push(...describeCosts(defs.costs, [], { estimatedCostUsd, reservedUsd: 0, legs: legs.length }));
+  trace?.push({ step: "dropped_legs", legs: [...(liquidation?.dropped ?? []), ...planned.dropped] });
+
+  return buildPlan(legs.length > 0 ? "PLANNED" : "NOOP", ctx, {
+    investableCashUsd: 0,
+    plannedSellUsd: sumUsd([planned.plannedSellUsd, liquidation?.proceedsUsd ?? 0]),
+    legs,
+    notes: allNotes,
+    withdrawalUsd: withdrawUsd,
+    estimatedCostUsd
+  });
 }
 
-export function allocate(policy, snapshot, options = {}) {
-  validatePolicy(policy);
-  validateSnapshot(snapshot);
+export function allocate(inputPolicy, inputSnapshot, options = {}) {
+  validatePolicy(inputPolicy);
+  validateSnapshot(inputSnapshot);
+  if (options.tradeHistory !== undefined) validateTradeHistory(options.tradeHistory);
+
+  // Everything below works on a latest-version policy with leaf symbols at
+  // absolute weights (as of the snapshot date, for a glide path), and on a
+  // single-currency snapshot whose `*Usd` amounts are in the base currency.
+  const migrated = migratePolicy(inputPolicy);
+  const glide = migrated.glidePath ? resolveGlidePath(migrated, inputSnapshot.asOfIso) : null;
+  const { leaves, groups } = flattenTargets(glide ? glide.targets : migrated.targets);
+  const policy = { ...migrated, targets: leaves };
+
+  const baseCurrency = policy.baseCurrency ?? "USD";
+  const fx = isMultiCurrencySnapshot(inputSnapshot) ? toBaseSnapshot(inputSnapshot, baseCurrency) : null;
+  if (!fx && baseCurrency !== "USD") {
+    throw new Error(`baseCurrency ${baseCurrency} requires a multi-currency snapshot with FX rates.`);
+  }
+  const snapshot = fx ? fx.snapshot : inputSnapshot;
 
   const roundToUsd = options.roundToUsd ?? 0.01;
   const noopIfWithinBand = options.noopIfWithinBand ?? false;
+  const notesFormat = options.notesFormat ?? "structured";
+  if (notesFormat !== "structured" && notesFormat !== "strings") {
+    throw new Error(`Invalid notesFormat option: ${notesFormat}`);
+  }
+  const lastRebalanceIso = options.lastRebalanceIso ?? null;
+  if (lastRebalanceIso !== null && (typeof lastRebalanceIso !== "string" || Number.isNaN(Date.parse(lastRebalanceIso)))) {
+    throw new Error(`Invalid lastRebalanceIso option: ${lastRebalanceIso}`);
+  }
+  const withdrawUsd = options.withdrawUsd;
+  if (withdrawUsd !== undefined && (typeof withdrawUsd !== "number" || !Number.isFinite(withdrawUsd) || withdrawUsd <= 0)) {
+    throw new Error(`Invalid withdrawUsd option: ${withdrawUsd}`);
+  }
+  // With `explain`, each decision below appends a `{ step, ... }` entry.
+  const trace = options.explain ? [] : null;
 
   const defs = getDefaulted(policy);
-  const notes = [];
+  if (options.orderUnits !== undefined) {
+    if (options.orderUnits !== "notional" && options.orderUnits !== "shares") {
+      throw new Error(`Invalid orderUnits option: ${options.orderUnits}`);
+    }
+    defs.orderUnits = options.orderUnits;
+  }
+  const resolved = resolveBuySymbols(policy.targets, snapshot.pricesUsd);
+  const notes = [...resolved.notes];
 
   for (const t of policy.targets) {
+    if (resolved.buySymbols.has(t.symbol)) continue;
     const px = snapshot.pricesUsd?.[t.symbol];
     if (px === undefined || px === null || typeof px !== "number" || px <= 0) {
       if (defs.allowMissingPrices) {
-        notes.push(`Missing/invalid price for ${t.symbol}; skipping symbol.`);
+        notes.push(makeNote(NOTE_CODES.PRICE_MISSING, `Missing/invalid price for ${t.symbol}; skipping symbol.`, {
+          symbol: t.symbol
+        }));
       } else {
         throw new Error(`Missing/invalid price for target symbol: ${t.symbol}`);
       }
     }
   }
 
-  const equityUsd = computeEquity(snapshot.positions);
+  const aliases = equivalentAliases(policy.targets);
+  const untracked = findUntrackedHoldings(snapshot.positions, aliases);
+  const untrackedUsd = untracked.reduce((acc, h) => acc + h.marketValueUsd, 0);
+  const grossValueUsd = computeEquity(snapshot.positions) + snapshot.cashUsd;
+  const untrackedHoldings = untracked.map((h) => ({
+    symbol: h.symbol,
+    quantity: h.quantity,
+    marketValueUsd: usd(h.marketValueUsd),
+    weight: grossValueUsd > 0 ? h.marketValueUsd / grossValueUsd : 0
+  }));
+
+  const excludeUntracked = defs.untrackedHoldings === "exclude";
+  const equityUsd = computeEquity(snapshot.positions) - (excludeUntracked ? untrackedUsd : 0);
   const totalValueUsd = equityUsd + snapshot.cashUsd;
+  if (untracked.length > 0 && defs.untrackedHoldings !== "liquidate") {
+    const symbols = untracked.map((h) => h.symbol);
+    notes.push(makeNote(
+      NOTE_CODES.UNTRACKED_HOLDINGS,
+      excludeUntracked
+        ? `Excluded untracked holdings (${symbols.join(", ")}, $${untrackedUsd.toFixed(2)}) from total value.`
+        : `Untracked holdings (${symbols.join(", ")}, $${untrackedUsd.toFixed(2)}, ${pct(untrackedUsd / grossValueUsd)}) count toward total value but match no target.`,
+      { mode: defs.untrackedHoldings, symbols, valueUsd: usd(untrackedUsd), weight: untrackedUsd / grossValueUsd }
+    ));
+  }
+  const liquidation = defs.untrackedHoldings === "liquidate" && untracked.length > 0
+    ? planLiquidation({ holdings: untracked, defs, pricesUsd: snapshot.pricesUsd, totalValueUsd, roundToUsd })
+    : null;
+  if (liquidation) {
+    notes.push(...liquidation.notes);
+    // Liquidation legs count toward maxOrders.
+    if (liquidation.legs.length > 0 && liquidation.legs.length >= defs.maxOrders) {
+      notes.push(makeNote(
+        NOTE_CODES.UNTRACKED_USED_MAX_ORDERS,
+        `Selling untracked holdings uses all ${defs.maxOrders} order(s) allowed by maxOrders; no target orders are planned.`,
+        { maxOrders: defs.maxOrders }
+      ));
+    }
+    defs.maxOrders = Math.max(0, defs.maxOrders - liquidation.legs.length);
+  }
+  const liquidating = (liquidation?.legs.length ?? 0) > 0;
+
+  const valueBySymbol = buildValueBySymbol(snapshot.positions, aliases);
+  const weights = computeWeights(policy.targets, valueBySymbol, buildValueBySymbol(snapshot.positions), totalValueUsd);
+  const groupDrift = computeGroupDrift(groups, weights);
+  const breachedGroups = groupDrift.filter((g) => g.outsideBand);
+  const symbolBreaches = findDriftBreaches(policy, weights);
+  const driftBreaches = [
+    ...symbolBreaches,
+    ...breachedGroups.map((g) => ({
+      group: g.name,
+      currentWeight: g.currentWeight,
+      targetWeight: g.targetWeight,
+      absDeviation: Math.abs(g.deviation),
+      relDeviation: Math.abs(g.deviation) / g.targetWeight,
+      band: "absolute",
+      threshold: g.maxAbsPct
+    }))
+  ];
+  const ctx = {
+    policy,
+    snapshot,
+    equityUsd,
+    totalValueUsd,
+    groupDrift,
+    driftBreaches,
+    untrackedHoldings,
+    baseCurrency: fx && baseCurrency,
+    costs: defs.costs,
+    glidePath: glide?.glidePath ?? null,
+    // Withdrawals only sell, so they are not scheduled rebalances.
+    calendar: policy.rebalance?.calendar && withdrawUsd === undefined
+      ? calendarStatus(policy.rebalance.calendar, snapshot.asOfIso, lastRebalanceIso)
+      : null,
+    notesFormat,
+    trace
+  };
 
-  const valueBySymbol = buildValueBySymbol(snapshot.positions);
-  const weights = computeWeights(policy.targets, valueBySymbol, totalValueUsd);
+  const leafOutsideBand = symbolBreaches.length > 0;
+  const outsideBand = leafOutsideBand || breachedGroups.length > 0;
+  // A due calendar rebalance trades like a band breach.
+  const calendarDue = ctx.calendar?.due ?? false;
+  const fullRebalance = defs.rebalanceKind === "full" && (outsideBand || calendarDue);
+
+  trace?.push({
+    step: "totals",
+    equityUsd: usd(equityUsd),
+    cashUsd: usd(snapshot.cashUsd),
+    totalValueUsd: usd(totalValueUsd),
+    untrackedUsd: usd(untrackedUsd),
+    untrackedHoldings: defs.untrackedHoldings
+  });
+
+  if (withdrawUsd !== undefined) {
+    trace?.push(traceWeights(weights), traceBandCheck(policy, outsideBand, driftBreaches));
+    return allocateWithdrawal(ctx, { defs, weights, withdrawUsd, roundToUsd, notes, fx, inputSnapshot, liquidation });
+  }
 
   const investableRes = computeInvestableCash(
-    { cashUsd: snapshot.cashUsd, totalValueUsd },
+    { cashUsd: snapshot.cashUsd + (liquidation?.proceedsUsd ?? 0), totalValueUsd },
     defs,
     notes
   );
 
-  if (investableRes.noopReason) {
-    return {
-      status: "NOOP",
-      policyName: policy.name,
-      asOfIso: snapshot.asOfIso,
-      totalEquityUsd: Number(equityUsd.toFixed(2)),
-      totalValueUsd: Number(totalValueUsd.toFixed(2)),
-      cashUsd: Number(snapshot.cashUsd.toFixed(2)),
-      investableCashUsd: 0,
-      plannedSpendUsd: 0,
-      legs: [],
-      notes: [...notes, investableRes.noopReason]
-    };
+  if (trace) {
+    trace.push({
+      step: "investable_cash",
+      cashBufferPct: defs.cashBufferPct,
+      bufferUsd: usd(defs.cashBufferPct * totalValueUsd),
+      maxInvestAmountUsd: Number.isFinite(defs.maxInvestAmountUsd) ? defs.maxInvestAmountUsd : null,
+      minInvestAmountUsd: defs.minInvestAmountUsd,
+      investableCashUsd: usd(investableRes.investableCashUsd),
+      belowMinimum: investableRes.noopReason !== null
+    });
+    trace.push(traceWeights(weights), traceBandCheck(policy, outsideBand, driftBreaches, ctx.calendar));
+  }
+
+  if (investableRes.noopReason && !fullRebalance) {
+    if (liquidating) {
+      return liquidationOnlyPlan(ctx, { defs, liquidation, investableCashUsd: 0, notes: [...notes, investableRes.noopReason], fx, inputSnapshot });
+    }
+    return buildPlan("NOOP", ctx, { investableCashUsd: 0, notes: [...notes, investableRes.noopReason] });
+  }
+  if (liquidating && defs.maxOrders === 0) {
+    trace?.push({ step: "mode", mode: "liquidate_only" });
+    return liquidationOnlyPlan(ctx, { defs, liquidation, investableCashUsd: investableRes.investableCashUsd, notes, fx, inputSnapshot });
   }
 
   const investableCashUsd = investableRes.investableCashUsd;
 
+  if (investableRes.noopReason) {
+    notes.push(makeNote(
+      NOTE_CODES.REBALANCE_FROM_SELLS_ONLY,
+      `${investableRes.noopReason.message} Funding rebalance from sell proceeds only.`,
+      investableRes.noopReason.data
+    ));
+  }
+
+  for (const g of breachedGroups) {
+    notes.push(makeNote(
+      NOTE_CODES.GROUP_OUTSIDE_BAND,
+      `Group ${g.name} outside its drift band (${pct(g.maxAbsPct)}): ${pct(g.currentWeight)} vs target ${pct(g.targetWeight)}.`,
+      { group: g.name, maxAbsPct: g.maxAbsPct, currentWeight: g.currentWeight, targetWeight: g.targetWeight }
+    ));
+  }
+
   let mode = "pro_rata";
-  if (policy.drift.kind === "band") {
-    const maxDev = maxAbsDeviation(weights);
-    if (maxDev > policy.drift.maxAbsPct) {
-      mode = "underweights";
-      notes.push(`Outside drift band (${(policy.drift.maxAbsPct * 100).toFixed(2)}%); prioritizing underweights.`);
+  const bandLabel = leafOutsideBand || !outsideBand
+    ? describeDriftBand(policy.drift)
+    : `group drift band (${breachedGroups.map((g) => g.name).join(", ")})`;
+
+  if (outsideBand && fullRebalance) {
+    mode = "full_rebalance";
+    notes.push(makeNote(NOTE_CODES.DRIFT_FULL_REBALANCE, `Outside ${bandLabel}; trimming overweights and buying underweights.`, {
+      band: bandLabel
+    }));
+  } else if (outsideBand) {
+    mode = "underweights";
+    notes.push(makeNote(NOTE_CODES.DRIFT_UNDERWEIGHTS, `Outside ${bandLabel}; prioritizing underweights.`, { band: bandLabel }));
+  } else if (calendarDue) {
+    mode = fullRebalance ? "full_rebalance" : "underweights";
+    const { frequency, scheduledIso, lastRebalanceIso: lastIso } = ctx.calendar;
+    notes.push(makeNote(
+      NOTE_CODES.CALENDAR_REBALANCE_DUE,
+      `Scheduled ${frequency} rebalance due (${scheduledIso.slice(0, 10)}; last ${lastIso ? lastIso.slice(0, 10) : "never"}); ` +
+        (fullRebalance ? "trimming overweights and buying underweights." : "prioritizing underweights."),
+      { frequency, scheduledIso, lastRebalanceIso: lastIso, mode }
+    ));
+  } else if (policy.drift.kind !== "none") {
+    notes.push(makeNote(NOTE_CODES.DRIFT_WITHIN_BAND, `Within ${bandLabel}; allocating pro-rata.`, { band: bandLabel }));
+    if (noopIfWithinBand) {
+      trace?.push({ step: "mode", mode: "noop_within_band" });
+      return buildPlan("NOOP", ctx, {
+        investableCashUsd,
+        notes: [...notes, makeNote(NOTE_CODES.WITHIN_BAND_NOOP, "NOOP because within drift band and noopIfWithinBand=true.")]
+      });
+    }
+  }
+
+  trace?.push({ step: "mode", mode });
+
+  const washBlocks = options.tradeHistory
+    ? findWashSaleBlocks(policy.targets.map((t) => t.symbol), options.tradeHistory, {
+      asOfIso: snapshot.asOfIso,
+      windowDays: defs.washSale.windowDays,
+      equivalents: defs.washSale.equivalents
+    })
+    : new Map();
+
+  // Legs for a given budget. With a cost model this runs again on a budget
+  // reduced by the estimated costs until buys plus costs fit the funding.
+  const planLegs = (budgetUsd) => {
+    let washGuard = null;
+    let fallbackNote = null;
+    let amounts;
+    let finalized;
+    if (mode === "full_rebalance") {
+      amounts = computeRebalanceDeltas(weights, budgetUsd);
+      if (washBlocks.size > 0) {
+        washGuard = applyWashSaleGuard(amounts, washBlocks, defs.washSale.action);
+        amounts = washGuard.amounts;
+      }
+
+      finalized = finalizeRebalanceLegs({
+        policy,
+        defs,
+        weights,
+        deltas: amounts,
+        totalValueUsd,
+        investableCashUsd: budgetUsd,
+        roundToUsd,
+        buySymbols: resolved.buySymbols
+      });
     } else {
-      notes.push(`Within drift band (${(policy.drift.maxAbsPct * 100).toFixed(2)}%); allocating pro-rata.`);
-      if (noopIfWithinBand) {
-        return {
-          status: "NOOP",
-          policyName: policy.name,
-          asOfIso: snapshot.asOfIso,
-          totalEquityUsd: Number(equityUsd.toFixed(2)),
-          totalValueUsd: Number(totalValueUsd.toFixed(2)),
-          cashUsd: Number(snapshot.cashUsd.toFixed(2)),
-          investableCashUsd: Number(investableCashUsd.toFixed(2)),
-          plannedSpendUsd: 0,
-          legs: [],
-          notes: [...notes, "NOOP because within drift band and noopIfWithinBand=true."]
-        };
+      if (mode === "underweights") {
+        amounts = allocateToUnderweights(weights, budgetUsd);
+        if (!amounts) {
+          fallbackNote = makeNote(NOTE_CODES.NO_UNDERWEIGHTS_FALLBACK, "No underweights detected; falling back to pro-rata allocation.");
+          amounts = allocateProRata(policy.targets, budgetUsd);
+        }
+      } else {
+        amounts = allocateProRata(policy.targets, budgetUsd);
       }
+
+      if (washBlocks.size > 0) {
+        washGuard = applyWashSaleGuard(amounts, washBlocks, defs.washSale.action);
+        amounts = washGuard.amounts;
+      }
+
+      finalized = finalizeLegs({
+        policy,
+        defs,
+        weights,
+        rawBuys: amounts,
+        totalValueUsd,
+        investableCashUsd: budgetUsd,
+        roundToUsd,
+        buySymbols: resolved.buySymbols
+      });
+    }
+
+    if (defs.orderUnits === "shares") {
+      const converted = toWholeShares({
+        legs: finalized.legs,
+        policy,
+        defs,
+        weights,
+        pricesUsd: snapshot.pricesUsd,
+        buyPricesUsd: tradePrices(resolved.buySymbols, snapshot.pricesUsd),
+        blockedSymbols: new Set(washBlocks.keys()),
+        totalValueUsd,
+        investableCashUsd: budgetUsd
+      });
+      finalized = {
+        ...converted,
+        legs: stableSortLegs(converted.legs),
+        notes: [...finalized.notes, ...converted.notes],
+        dropped: [...finalized.dropped, ...converted.dropped]
+      };
     }
+
+    annotateGroupLegs(finalized.legs, policy.targets, breachedGroups);
+    applyBuySymbols(finalized.legs, resolved.buySymbols);
+    return { finalized, washGuard, fallbackNote, amounts };
+  };
+
+  let budgetUsd = investableCashUsd;
+  let planned = planLegs(budgetUsd);
+  let estimatedCostUsd = 0;
+  if (defs.costs) {
+    const step = stepCents(roundToUsd);
+    const overspendCents = ({ finalized }) => {
+      // Without buys there is nothing left to shrink; sell costs come out of the proceeds.
+      if (!finalized.legs.some((l) => l.side === "BUY")) return 0;
+      const costUsd = attachCosts([...(liquidation?.legs ?? []), ...finalized.legs], defs.costs);
+      const fundingUsd = sumUsd([investableCashUsd, finalized.plannedSellUsd ?? 0]);
+      return toCents(finalized.plannedSpendUsd) + toCents(costUsd) - toCents(fundingUsd);
+    };
+    let overCents = overspendCents(planned);
+    if (overCents > 0) {
+      // Cut the budget by the overspend (at least one rounding step, as a
+      // smaller cut can floor back to the same legs) until the buys fit.
+      let highCents = toCents(budgetUsd);
+      for (;;) {
+        budgetUsd = fromCents(Math.max(0, toCents(budgetUsd) - Math.max(overCents, step)));
+        planned = planLegs(budgetUsd);
+        overCents = overspendCents(planned);
+        if (overCents <= 0) break;
+        highCents = toCents(budgetUsd);
+      }
+      // A cut that drops a leg also drops its cost, so the last cut can
+      // overshoot: search back up for the largest budget that still fits.
+      let lowCents = toCents(budgetUsd);
+      while (highCents - lowCents > step) {
+        const midCents = lowCents + Math.max(1, Math.floor((highCents - lowCents) / step / 2)) * step;
+        const candidate = planLegs(fromCents(midCents));
+        if (overspendCents(candidate) > 0) {
+          highCents = midCents;
+        } else {
+          lowCents = midCents;
+          budgetUsd = fromCents(midCents);
+          planned = candidate;
+        }
+      }
+    }
+    estimatedCostUsd = attachCosts([...(liquidation?.legs ?? []), ...planned.finalized.legs], defs.costs);
   }
+  const { finalized, washGuard, fallbackNote, amounts } = planned;
+  if (fallbackNote) notes.push(fallbackNote);
+  trace?.push({ step: "raw_amounts", amounts: traceAmounts(amounts) });
 
-  let rawBuys;
-  if (mode === "underweights") {
-    rawBuys = allocateToUnderweights(weights, investableCashUsd);
-    if (!rawBuys) {
-      notes.push("No underweights detected; falling back to pro-rata allocation.");
-      rawBuys = allocateProRata(policy.targets, investableCashUsd);
+  const spendBelowMinInvest = mode !== "full_rebalance" && finalized.plannedSpendUsd < defs.minInvestAmountUsd;
+  const spendBelowMinInvestNote = () => makeNote(NOTE_CODES.SPEND_BELOW_MIN_INVEST, "Planned spend fell below minInvestAmountUsd after constraints.", {
+    plannedSpendUsd: usd(finalized.plannedSpendUsd),
+    minInvestAmountUsd: defs.minInvestAmountUsd
+  });
+  if (spendBelowMinInvest && liquidating) {
+    return liquidationOnlyPlan(ctx, {
+      defs,
+      liquidation,
+      investableCashUsd,
+      notes: [...notes, ...finalized.notes, spendBelowMinInvestNote()],
+      dropped: finalized.dropped,
+      fx,
+      inputSnapshot
+    });
+  }
+  if (defs.costs) {
+    finalized.notes.push(...describeCosts(defs.costs, finalized.dropped, {
+      estimatedCostUsd,
+      reservedUsd: fromCents(toCents(investableCashUsd) - toCents(budgetUsd)),
+      legs: finalized.legs.length + (liquidation?.legs.length ?? 0)
+    }));
+    trace?.push({ step: "costs", estimatedCostUsd, budgetUsd: usd(budgetUsd) });
+  }
+
+  let blockedLegs = [];
+  if (washGuard) {
+    const report = describeWashSaleBlocks(washGuard, washBlocks, roundToUsd);
+    blockedLegs = report.blockedLegs;
+    finalized.notes.push(...report.notes);
+    for (const leg of finalized.legs) {
+      if (leg.side === "BUY" && washGuard.receivers.has(leg.symbol)) leg.reasonCodes.push("WASH_SALE_REDIRECT");
     }
-  } else {
-    rawBuys = allocateProRata(policy.targets, investableCashUsd);
   }
 
-  const finalized = finalizeLegs({
-    policy,
-    defs,
-    weights,
-    rawBuys,
-    totalValueUsd,
-    investableCashUsd,
-    roundToUsd
+  if (liquidation) {
+    finalized.legs = stableSortLegs([...liquidation.legs, ...finalized.legs]);
+    finalized.plannedSellUsd = sumUsd([finalized.plannedSellUsd ?? 0, liquidation.proceedsUsd]);
+  }
+
+  trace?.push({
+    step: "dropped_legs",
+    legs: [
+      ...blockedLegs.map((l) => ({ symbol: l.symbol, side: l.side, notionalUsd: l.notionalUsd, reason: "WASH_SALE" })),
+      ...(liquidation?.dropped ?? []),
+      ...finalized.dropped
+    ]
   });
 
-  if (finalized.plannedSpendUsd < defs.minInvestAmountUsd) {
-    return {
-      status: "NOOP",
-      policyName: policy.name,
-      asOfIso: snapshot.asOfIso,
-      totalEquityUsd: Number(equityUsd.toFixed(2)),
-      totalValueUsd: Number(totalValueUsd.toFixed(2)),
-      cashUsd: Number(snapshot.cashUsd.toFixed(2)),
-      investableCashUsd: Number(investableCashUsd.toFixed(2)),
-      plannedSpendUsd: 0,
-      legs: [],
-      notes: [...notes, ...finalized.notes, "Planned spend fell below minInvestAmountUsd after constraints."]
-    };
+  if (finalized.legs.some((l) => l.side === "SELL")) {
+    finalized.notes.push(...attachTaxLots(finalized.legs, snapshot, defs.lotSelection));
   }
+  if (fx) finalized.notes.push(...attachLegCurrencies(finalized.legs, fx, inputSnapshot));
 
-  return {
-    status: "PLANNED",
-    policyName: policy.name,
-    asOfIso: snapshot.asOfIso,
-    totalEquityUsd: Number(equityUsd.toFixed(2)),
-    totalValueUsd: Number(totalValueUsd.toFixed(2)),
-    cashUsd: Number(snapshot.cashUsd.toFixed(2)),
-    investableCashUsd: Number(investableCashUsd.toFixed(2)),
-    plannedSpendUsd: Number(finalized.plannedSpendUsd.toFixed(2)),
+  if (mode === "full_rebalance" && finalized.legs.length === 0) {
+    return buildPlan("NOOP", ctx, {
+      investableCashUsd,
+      blockedLegs,
+      notes: [...notes, ...finalized.notes, makeNote(NOTE_CODES.NO_LEGS_AFTER_CONSTRAINTS, "No rebalance legs remained after constraints.")]
+    });
+  }
+
+  if (spendBelowMinInvest) {
+    return buildPlan("NOOP", ctx, { investableCashUsd, blockedLegs, notes: [...notes, ...finalized.notes, spendBelowMinInvestNote()] });
+  }
+
+  return buildPlan("PLANNED", ctx, {
+    investableCashUsd,
+    plannedSpendUsd: finalized.plannedSpendUsd,
+    plannedSellUsd: finalized.plannedSellUsd,
     legs: finalized.legs,
-    notes: [...notes, ...finalized.notes]
-  };
+    blockedLegs,
+    notes: [...notes, ...finalized.notes],
+    estimatedCostUsd
+  });
 }
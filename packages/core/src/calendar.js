@@ -0,0 +1,57 @@
+/**
+ * Calendar rebalance triggers.
+ *
+ * `rebalance.calendar` is `{ frequency, anchorIso }`: rebalances are scheduled
+ * every 1, 3 or 12 months from the anchor date, in both directions. A
+ * rebalance is due when a scheduled date has passed since the last recorded
+ * rebalance (or when there is no record). Month ends clamp, so a schedule
+ * anchored on Jan 31 falls on Apr 30 and Jul 31.
+ */
+
+export const CALENDAR_FREQUENCIES = Object.freeze({ monthly: 1, quarterly: 3, annual: 12 });
+
+function addMonths(anchor, months) {
+  const total = anchor.getUTCFullYear() * 12 + anchor.getUTCMonth() + months;
+  const year = Math.floor(total / 12);
+  const month = total - year * 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), lastDay),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds(),
+    anchor.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Where `asOfIso` falls on a rebalance calendar.
+ *
+ * @param {Object} calendar - Validated `rebalance.calendar`
+ * @param {string} asOfIso - Snapshot time
+ * @param {string|null} lastRebalanceIso - Last recorded rebalance, or null for none
+ * @returns {{ frequency, anchorIso, lastRebalanceIso, scheduledIso, nextIso, due }} `scheduledIso`
+ *   is the latest scheduled date on or before `asOfIso` and `nextIso` the one after it
+ */
+export function calendarStatus(calendar, asOfIso, lastRebalanceIso) {
+  const asOf = new Date(asOfIso);
+  if (Number.isNaN(asOf.getTime())) throw new Error(`Calendar rebalance needs a valid snapshot asOfIso, got: ${asOfIso}`);
+  const anchor = new Date(calendar.anchorIso);
+  const step = CALENDAR_FREQUENCIES[calendar.frequency];
+
+  const monthsSinceAnchor = (asOf.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + asOf.getUTCMonth() - anchor.getUTCMonth();
+  let periods = Math.floor(monthsSinceAnchor / step);
+  if (addMonths(anchor, periods * step) > asOf) periods -= 1;
+  const scheduled = addMonths(anchor, periods * step);
+
+  return {
+    frequency: calendar.frequency,
+    anchorIso: calendar.anchorIso,
+    lastRebalanceIso,
+    scheduledIso: scheduled.toISOString(),
+    nextIso: addMonths(anchor, (periods + 1) * step).toISOString(),
+    due: lastRebalanceIso === null || Date.parse(lastRebalanceIso) < scheduled.getTime()
+  };
+}
@@ -0,0 +1,51 @@
+import { ceilCents, fromCents, sumUsd } from "./money.js";
+
+/**
+ * Transaction cost estimates.
+ *
+ * A leg's estimated cost is its commission plus the spread paid on its
+ * notional (`spreadBps`, overridable per traded symbol), but never less than
+ * `minFeeUsd`. Costs are rounded up to the cent so they never understate.
+ */
+
+/**
+ * Cost model settings with defaults filled in, or null when the policy has no
+ * `costs` section.
+ */
+export function costSettings(policy) {
+  if (policy.costs === undefined) return null;
+  return {
+    commissionUsd: policy.costs.commissionUsd ?? 0,
+    minFeeUsd: policy.costs.minFeeUsd ?? 0,
+    spreadBps: policy.costs.spreadBps ?? 0,
+    spreadBpsBySymbol: policy.costs.spreadBpsBySymbol ?? {},
+    maxCostPct: policy.costs.maxCostPct ?? null
+  };
+}
+
+function spreadBpsOf(costs, symbol, targetSymbol) {
+  return costs.spreadBpsBySymbol[symbol] ?? (targetSymbol ? costs.spreadBpsBySymbol[targetSymbol] : undefined) ?? costs.spreadBps;
+}
+
+/** Estimated cost of one order, in whole cents rounded up. */
+export function estimateCostUsd(costs, { symbol, targetSymbol, notionalUsd }) {
+  if (notionalUsd <= 0) return 0;
+  const raw = costs.commissionUsd + (notionalUsd * spreadBpsOf(costs, symbol, targetSymbol)) / 10_000;
+  return fromCents(ceilCents(Math.max(raw, costs.minFeeUsd)));
+}
+
+/** Whether an order's estimated cost is above `maxCostPct` of its notional. */
+export function exceedsMaxCost(costs, order) {
+  if (costs.maxCostPct === null) return false;
+  return estimateCostUsd(costs, order) > costs.maxCostPct * order.notionalUsd;
+}
+
+/**
+ * Set `estimatedCostUsd` on every leg.
+ *
+ * @returns {number} Total estimated cost of the legs
+ */
+export function attachCosts(legs, costs) {
+  for (const leg of legs) leg.estimatedCostUsd = estimateCostUsd(costs, leg);
+  return sumUsd(legs.map((l) => l.estimatedCostUsd));
+}
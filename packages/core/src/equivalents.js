@@ -0,0 +1,63 @@
+import { NOTE_CODES, makeNote } from "./notes.js";
+
+export function validPrice(pricesUsd, symbol) {
+  const px = pricesUsd?.[symbol];
+  return typeof px === "number" && Number.isFinite(px) && px > 0;
+}
+
+/**
+ * Map every held symbol that counts toward a target onto that target's symbol:
+ * the target itself and each of its `equivalents`.
+ *
+ * @returns {Map<string, string>} held symbol -> target symbol
+ */
+export function equivalentAliases(targets) {
+  const aliases = new Map();
+  for (const t of targets) {
+    aliases.set(t.symbol, t.symbol);
+    for (const s of t.equivalents ?? []) aliases.set(s, t.symbol);
+  }
+  return aliases;
+}
+
+/**
+ * Pick the symbol each target's buys go to: the first entry of `buyOrder`
+ * (default: the target, then its equivalents in listed order) with a usable
+ * price. Targets with no priced candidate are left out so the caller can apply
+ * its missing-price rule.
+ *
+ * @returns {{ buySymbols: Map<string, string>, notes: Object[] }}
+ */
+export function resolveBuySymbols(targets, pricesUsd) {
+  const buySymbols = new Map();
+  const notes = [];
+  for (const t of targets) {
+    const order = t.buyOrder ?? [t.symbol, ...(t.equivalents ?? [])];
+    const symbol = order.find((s) => validPrice(pricesUsd, s));
+    if (!symbol) continue;
+    buySymbols.set(t.symbol, symbol);
+    if (symbol !== order[0]) {
+      notes.push(makeNote(
+        NOTE_CODES.EQUIVALENT_PRICE_FALLBACK,
+        `Missing/invalid price for ${order[0]}; buying equivalent ${symbol} for target ${t.symbol}.`,
+        { symbol: t.symbol, missing: order[0], buySymbol: symbol }
+      ));
+    }
+  }
+  return { buySymbols, notes };
+}
+
+/**
+ * Rewrite BUY legs placed on a target to the symbol actually bought. Legs that
+ * moved keep the target in `targetSymbol` and gain an `EQUIVALENT_BUY` reason.
+ */
+export function applyBuySymbols(legs, buySymbols) {
+  for (const leg of legs) {
+    if (leg.side !== "BUY") continue;
+    const symbol = buySymbols.get(leg.symbol);
+    if (!symbol || symbol === leg.symbol) continue;
+    leg.targetSymbol = leg.symbol;
+    leg.symbol = symbol;
+    leg.reasonCodes.push("EQUIVALENT_BUY");
+  }
+}
@@ -0,0 +1,100 @@
+import { fromCents, toCents } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+
+/**
+ * Multi-currency snapshots carry `cashBalances` instead of `cashUsd`:
+ *
+ *   {
+ *     asOfIso,
+ *     cashBalances: { USD: 100, CAD: 500 },
+ *     positions: [{ symbol, quantity, marketValue, lots?: [{ acquiredIso, quantity, costBasis }] }],
+ *     prices: { VTI: 250, XIC: 35 },
+ *     currencies: { XIC: "CAD" },
+ *     fxRates: { base: "USD", rates: { CAD: 0.73, EUR: 1.08 } }
+ *   }
+ *
+ * Position values, lot cost basis and prices are in each symbol's quote
+ * currency (`currencies[symbol]`, defaulting to `fxRates.base`). A rate is the
+ * number of `fxRates.base` units per one unit of that currency.
+ */
+export function isMultiCurrencySnapshot(snapshot) {
+  return Boolean(snapshot) && snapshot.cashBalances !== undefined;
+}
+
+function rateToBase(fxRates, currency) {
+  if (currency === fxRates.base) return 1;
+  const rate = fxRates.rates?.[currency];
+  if (rate === undefined) throw new Error(`Missing FX rate for ${currency}.`);
+  return rate;
+}
+
+/**
+ * Value a multi-currency snapshot in `baseCurrency`, producing the classic
+ * single-currency snapshot shape the allocator works on. The `*Usd` fields of
+ * the result hold base-currency amounts.
+ *
+ * @returns {{ snapshot: Object, currencyOf: (symbol: string) => string, rateOf: (currency: string) => number }}
+ */
+export function toBaseSnapshot(snapshot, baseCurrency) {
+  const baseRate = rateToBase(snapshot.fxRates, baseCurrency);
+  const rateOf = (currency) => rateToBase(snapshot.fxRates, currency) / baseRate;
+  const currencyOf = (symbol) => snapshot.currencies?.[symbol] ?? snapshot.fxRates.base;
+
+  let cashUsd = 0;
+  for (const [currency, amount] of Object.entries(snapshot.cashBalances)) cashUsd += amount * rateOf(currency);
+
+  const positions = snapshot.positions.map((p) => {
+    const rate = rateOf(currencyOf(p.symbol));
+    const position = { symbol: p.symbol, quantity: p.quantity, marketValueUsd: p.marketValue * rate };
+    if (p.lots) {
+      position.lots = p.lots.map((l) => ({ acquiredIso: l.acquiredIso, quantity: l.quantity, costBasisUsd: l.costBasis * rate }));
+    }
+    return position;
+  });
+
+  const pricesUsd = {};
+  for (const [symbol, price] of Object.entries(snapshot.prices)) pricesUsd[symbol] = price * rateOf(currencyOf(symbol));
+
+  return {
+    snapshot: { asOfIso: snapshot.asOfIso, cashUsd, positions, pricesUsd },
+    currencyOf,
+    rateOf
+  };
+}
+
+/**
+ * Express each leg in its instrument's currency and record the FX rate used
+ * (base units per instrument-currency unit). Returns notes for currencies whose
+ * net buys exceed the cash held in that currency.
+ */
+export function attachLegCurrencies(legs, fx, snapshot) {
+  const netBuyByCurrency = new Map();
+
+  for (const leg of legs) {
+    const currency = fx.currencyOf(leg.symbol);
+    const fxRate = fx.rateOf(currency);
+    const notional = leg.quantity !== undefined
+      ? leg.quantity * snapshot.prices[leg.symbol]
+      : leg.notionalUsd / fxRate;
+
+    leg.currency = currency;
+    leg.notional = fromCents(toCents(notional));
+    leg.fxRate = fxRate;
+
+    const signed = leg.side === "SELL" ? -notional : notional;
+    netBuyByCurrency.set(currency, (netBuyByCurrency.get(currency) || 0) + signed);
+  }
+
+  const notes = [];
+  for (const [currency, netBuy] of netBuyByCurrency.entries()) {
+    const shortfall = netBuy - (snapshot.cashBalances[currency] || 0);
+    if (shortfall > 0.005) {
+      notes.push(makeNote(
+        NOTE_CODES.FX_CASH_SHORTFALL,
+        `Buys in ${currency} exceed ${currency} cash by ${shortfall.toFixed(2)} ${currency}; convert currency before executing.`,
+        { currency, shortfall: usd(shortfall) }
+      ));
+    }
+  }
+  return notes;
+}
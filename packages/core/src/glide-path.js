@@ -0,0 +1,136 @@
+import { isTargetGroup } from "./targets.js";
+
+// Same tolerance as the policy's own weight-sum check.
+const WEIGHT_EPS = 0.0005;
+
+/**
+ * Glide paths: target weights that change with the snapshot date.
+ *
+ * `policy.glidePath` is either
+ *   { kind: "steps", points: [{ fromIso, weights }, ...] } — each point's
+ *     weights apply from its date until the next point's, or
+ *   { kind: "linear", start: { dateIso, weights }, end: { dateIso, weights } } —
+ *     weights move in a straight line between the two dates.
+ * Dates before the first point (or `start`) use the first weights; dates after
+ * `end` keep the end weights. `weights` maps a symbol, or a group path such as
+ * "equity/us", to its `targetWeight` (relative to its group, as in `targets`);
+ * targets it leaves out keep the weight written in the policy.
+ */
+
+/**
+ * Copy a target list with `targetWeight` replaced for every symbol or group
+ * path in `weights`.
+ */
+export function applyTargetWeights(targets, weights, parentPath = null) {
+  return targets.map((t) => {
+    if (!t || typeof t !== "object") return t;
+    const key = isTargetGroup(t) ? (parentPath ? `${parentPath}/${t.group}` : t.group) : t.symbol;
+    const next = weights[key] !== undefined ? { ...t, targetWeight: weights[key] } : { ...t };
+    if (isTargetGroup(t)) next.targets = applyTargetWeights(t.targets, weights, key);
+    return next;
+  });
+}
+
+// The `targetWeight` of every symbol and group path of a target list.
+function policyWeights(targets, parentPath = null, weights = {}) {
+  for (const t of targets) {
+    if (!t || typeof t !== "object") continue;
+    if (isTargetGroup(t)) {
+      const path = parentPath ? `${parentPath}/${t.group}` : t.group;
+      weights[path] = t.targetWeight;
+      policyWeights(t.targets, path, weights);
+    } else {
+      weights[t.symbol] = t.targetWeight;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Every symbol and group path of a target list, in the form `weights` keys use.
+ */
+export function targetWeightKeys(targets) {
+  return Object.keys(policyWeights(targets));
+}
+
+// Throw unless every sibling list of resolved targets still sums to 1.
+function checkWeightSums(targets, asOfIso, groupName = null) {
+  const sum = targets.reduce((acc, t) => acc + t.targetWeight, 0);
+  if (Math.abs(sum - 1) > WEIGHT_EPS) {
+    const scope = groupName ? ` in group ${groupName}` : "";
+    throw new Error(`Glide path target weights${scope} sum to ${sum} as of ${asOfIso}, not 1.`);
+  }
+  for (const t of targets) {
+    if (isTargetGroup(t)) checkWeightSums(t.targets, asOfIso, t.group);
+  }
+}
+
+/**
+ * Each weight set of a glide path, in order, as `{ path, entry, dateIso, weights }`
+ * where `path` is the JSON pointer of the raw `entry`.
+ */
+export function glidePathWeightSets(glidePath) {
+  if (glidePath.kind === "linear") {
+    return ["start", "end"].map((end) => ({
+      path: `/glidePath/${end}`,
+      entry: glidePath[end],
+      dateIso: glidePath[end]?.dateIso,
+      weights: glidePath[end]?.weights
+    }));
+  }
+  return (Array.isArray(glidePath.points) ? glidePath.points : []).map((point, i) => ({
+    path: `/glidePath/points/${i}`,
+    entry: point,
+    dateIso: point?.fromIso,
+    weights: point?.weights
+  }));
+}
+
+// A key missing from one end keeps the policy's own weight at that end.
+function interpolate(start, end, progress, fallback) {
+  const weights = {};
+  for (const key of new Set([...Object.keys(start), ...Object.keys(end)])) {
+    const from = start[key] ?? fallback[key];
+    const to = end[key] ?? fallback[key];
+    weights[key] = from + (to - from) * progress;
+  }
+  return weights;
+}
+
+/**
+ * Resolve a policy's glide path at `asOfIso`.
+ *
+ * @param {Object} policy - Validated policy with `glidePath`
+ * @param {string} asOfIso - Snapshot time
+ * @returns {{ targets: Object[], glidePath: Object }} The targets with effective
+ *   weights, and a plan summary: `{ kind, asOfIso, weights }` plus `fromIso`
+ *   (steps) or `startIso`, `endIso` and `progress` (linear)
+ * @throws {Error} If the effective weights of a target list do not sum to 1
+ */
+export function resolveGlidePath(policy, asOfIso) {
+  const asOf = Date.parse(asOfIso);
+  if (Number.isNaN(asOf)) throw new Error(`Glide path needs a valid snapshot asOfIso, got: ${asOfIso}`);
+  const { glidePath } = policy;
+
+  let summary;
+  if (glidePath.kind === "linear") {
+    const startMs = Date.parse(glidePath.start.dateIso);
+    const endMs = Date.parse(glidePath.end.dateIso);
+    const progress = Math.min(1, Math.max(0, (asOf - startMs) / (endMs - startMs)));
+    summary = {
+      kind: "linear",
+      asOfIso,
+      startIso: glidePath.start.dateIso,
+      endIso: glidePath.end.dateIso,
+      progress,
+      weights: interpolate(glidePath.start.weights, glidePath.end.weights, progress, policyWeights(policy.targets))
+    };
+  } else {
+    const active = glidePath.points.filter((p) => Date.parse(p.fromIso) <= asOf).at(-1) ?? glidePath.points[0];
+    summary = { kind: "steps", asOfIso, fromIso: active.fromIso, weights: { ...active.weights } };
+  }
+
+  const targets = applyTargetWeights(policy.targets, summary.weights);
+  checkWeightSums(targets, asOfIso);
+  return { targets, glidePath: summary };
+}
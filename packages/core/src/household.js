@@ -0,0 +1,206 @@
+import { allocate } from "./allocate.js";
+import { migratePolicy, policySettings } from "./migrate.js";
+import { ceilCents, floorCents, fromCents, sumUsd, toCents } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+import { flattenTargets } from "./targets.js";
+import { validateAccounts, validatePolicy } from "./validate.js";
+
+function accountTotalUsd(snapshot) {
+  return snapshot.cashUsd + snapshot.positions.reduce((acc, p) => acc + p.marketValueUsd, 0);
+}
+
+function combineSnapshots(accounts) {
+  const asOfMs = Math.min(...accounts.map((a) => Date.parse(a.snapshot.asOfIso)));
+  const pricesUsd = {};
+  for (const a of accounts) {
+    for (const [symbol, price] of Object.entries(a.snapshot.pricesUsd ?? {})) {
+      if (!(symbol in pricesUsd)) pricesUsd[symbol] = price;
+    }
+  }
+  return {
+    asOfIso: new Date(asOfMs).toISOString(),
+    cashUsd: accounts.reduce((acc, a) => acc + a.snapshot.cashUsd, 0),
+    positions: accounts.flatMap((a) => a.snapshot.positions),
+    pricesUsd
+  };
+}
+
+function canTrade(account, symbol) {
+  return !account.tradeableSymbols || account.tradeableSymbols.includes(symbol);
+}
+
+// Position of the account type in the target's preference list; unlisted types rank last.
+function locationRank(target, accountType) {
+  const prefs = target.assetLocation;
+  if (!prefs) return 0;
+  const i = prefs.indexOf(accountType);
+  return i === -1 ? prefs.length : i;
+}
+
+/**
+ * Split each household buy across the accounts that can trade it.
+ *
+ * The most constrained symbols (fewest eligible accounts) are placed first so
+ * they get first claim on scarce cash. Within a symbol, accounts are tried in
+ * `assetLocation` order, then by most available cash.
+ */
+function placeLegs({ plan, accounts, available, targetsBySymbol, settings, pricesUsd, totalValueUsd }) {
+  const notes = [];
+  const placed = new Map(accounts.map((a) => [a.id, []]));
+  const eligibleCount = (symbol) => accounts.filter((a) => canTrade(a, symbol)).length;
+  const order = [...plan.legs].sort((a, b) =>
+    eligibleCount(a.symbol) - eligibleCount(b.symbol) || b.notionalUsd - a.notionalUsd || a.symbol.localeCompare(b.symbol)
+  );
+
+  for (const leg of order) {
+    const target = targetsBySymbol.get(leg.targetSymbol ?? leg.symbol);
+    const minOrderUsd = target.minOrderUsd ?? settings.minOrderUsd ?? 1;
+    const priceUsd = pricesUsd[leg.symbol];
+    const wholeShares = leg.quantity !== undefined;
+    let needCents = toCents(leg.notionalUsd);
+    let needQty = leg.quantity;
+
+    const eligible = accounts
+      .filter((a) => canTrade(a, leg.symbol))
+      .sort((a, b) =>
+        locationRank(target, a.type) - locationRank(target, b.type) ||
+        available.get(b.id) - available.get(a.id) ||
+        a.id.localeCompare(b.id)
+      );
+
+    for (const account of eligible) {
+      if (wholeShares ? needQty <= 0 : needCents <= 0) break;
+      const cashCents = available.get(account.id);
+      let amountCents;
+      let quantity;
+      if (wholeShares) {
+        quantity = Math.min(needQty, Math.floor(cashCents / ceilCents(priceUsd)));
+        amountCents = quantity * ceilCents(priceUsd);
+      } else {
+        amountCents = Math.min(needCents, cashCents);
+      }
+      if (amountCents <= 0 || amountCents < toCents(minOrderUsd)) continue;
+      const amountUsd = fromCents(amountCents);
+
+      const rank = locationRank(target, account.type);
+      const accountLeg = {
+        accountId: account.id,
+        accountType: account.type,
+        ...leg,
+        notionalUsd: amountUsd,
+        reasonCodes: target.assetLocation && rank === 0 ? [...leg.reasonCodes, "ASSET_LOCATION"] : [...leg.reasonCodes]
+      };
+      if (wholeShares) {
+        accountLeg.quantity = quantity;
+        accountLeg.estimatedNotionalUsd = amountUsd;
+        needQty -= quantity;
+      }
+      placed.get(account.id).push(accountLeg);
+      available.set(account.id, cashCents - amountCents);
+      needCents -= amountCents;
+
+      if (target.assetLocation && rank > 0) {
+        notes.push(makeNote(
+          NOTE_CODES.ASSET_LOCATION_FALLBACK,
+          `Placed $${amountUsd.toFixed(2)} of ${leg.symbol} in ${account.id} (${account.type}); ` +
+            `preferred ${target.assetLocation[0]} accounts lacked cash or access.`,
+          { symbol: leg.symbol, accountId: account.id, amountUsd }
+        ));
+      }
+    }
+
+    const unplacedUsd = wholeShares ? needQty * priceUsd : fromCents(needCents);
+    if (unplacedUsd > 0) {
+      notes.push(makeNote(
+        NOTE_CODES.HOUSEHOLD_UNPLACED,
+        `Could not place $${unplacedUsd.toFixed(2)} of ${leg.symbol}: no account that trades it has enough cash.`,
+        { symbol: leg.symbol, amountUsd: usd(unplacedUsd) }
+      ));
+    }
+  }
+
+  // Post-trade weights reflect what was actually placed across the household.
+  const placedBySymbol = new Map();
+  for (const legs of placed.values()) {
+    for (const l of legs) placedBySymbol.set(l.symbol, sumUsd([placedBySymbol.get(l.symbol) || 0, l.notionalUsd]));
+  }
+  for (const legs of placed.values()) {
+    for (const l of legs) {
+      const currentValue = l.currentWeight * totalValueUsd;
+      l.postBuyEstimatedWeight = totalValueUsd > 0 ? (currentValue + placedBySymbol.get(l.symbol)) / totalValueUsd : 0;
+    }
+  }
+
+  return { placed, notes };
+}
+
+/**
+ * Allocate one household-level policy across several accounts.
+ *
+ * `accounts` is `[{ id, type, tradeableSymbols?, snapshot }]`, where `type` is
+ * "taxable", "tax_deferred" or "tax_exempt". Weights are computed on the
+ * combined holdings; the resulting buys are then split into per-account legs
+ * limited by each account's cash (less its share of `cashBufferPct`) and the
+ * symbols it can trade, honoring per-target `assetLocation` preferences.
+ * Only cash-flow plans are supported: sells cannot move cash between accounts.
+ */
+export function allocateHousehold(policy, accounts, options = {}) {
+  validatePolicy(policy);
+  validateAccounts(accounts);
+  if (options.withdrawUsd !== undefined) throw new Error("Household allocation does not support withdrawUsd.");
+
+  const migrated = migratePolicy(policy);
+  if (migrated.rebalance?.kind === "full") {
+    throw new Error("Household allocation supports cash-flow rebalancing only (rebalance.kind \"cashflow\").");
+  }
+  if (migrated.untrackedHoldings === "liquidate") {
+    throw new Error("Household allocation does not support untrackedHoldings \"liquidate\".");
+  }
+  if (migrated.costs !== undefined) {
+    throw new Error("Household allocation does not support a transaction cost model (costs).");
+  }
+  const settings = policySettings(migrated);
+  const cashBufferPct = settings.cashBufferPct ?? 0;
+
+  const snapshot = combineSnapshots(accounts);
+  const plan = allocate(policy, snapshot, { ...options, notesFormat: "structured" });
+
+  // Spendable cash per account, in whole cents.
+  const available = new Map(accounts.map((a) => [
+    a.id,
+    Math.max(0, floorCents(a.snapshot.cashUsd - cashBufferPct * accountTotalUsd(a.snapshot)))
+  ]));
+  const summaries = accounts.map((a) => ({
+    id: a.id,
+    type: a.type,
+    cashUsd: usd(a.snapshot.cashUsd),
+    availableCashUsd: fromCents(available.get(a.id))
+  }));
+
+  const { leaves } = flattenTargets(migrated.targets);
+  const { placed, notes } = placeLegs({
+    plan,
+    accounts,
+    available,
+    targetsBySymbol: new Map(leaves.map((t) => [t.symbol, t])),
+    settings,
+    pricesUsd: snapshot.pricesUsd,
+    totalValueUsd: plan.totalValueUsd
+  });
+
+  const accountSummaries = summaries.map((s) => {
+    const legs = placed.get(s.id).sort((a, b) => b.notionalUsd - a.notionalUsd || a.symbol.localeCompare(b.symbol));
+    return { ...s, plannedSpendUsd: sumUsd(legs.map((l) => l.notionalUsd)), legs };
+  });
+  const legs = accountSummaries.flatMap((s) => s.legs);
+  const allNotes = [...plan.notes, ...notes];
+
+  return {
+    ...plan,
+    status: plan.status === "PLANNED" && legs.length > 0 ? "PLANNED" : "NOOP",
+    plannedSpendUsd: sumUsd(legs.map((l) => l.notionalUsd)),
+    legs,
+    notes: options.notesFormat === "strings" ? allNotes.map((n) => n.message) : allNotes,
+    accounts: accountSummaries
+  };
+}
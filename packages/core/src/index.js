@@ -1,2 +1,19 @@
 export { allocate } from "./allocate.js";
-export { validatePolicy, validateSnapshot } from "./validate.js";
+export { allocateHousehold } from "./household.js";
+export {
+  ValidationError,
+  checkPolicy,
+  checkSnapshot,
+  checkSnapshotConsistency,
+  validatePolicy,
+  validateSnapshot,
+  validateTradeHistory,
+  validateAccounts
+} from "./validate.js";
+export { POLICY_SCHEMA, SNAPSHOT_SCHEMA, PLAN_SCHEMA, SCHEMA_VERSION, getSchema } from "./schemas.js";
+export { flattenTargets } from "./targets.js";
+export { resolveGlidePath } from "./glide-path.js";
+export { selectLots } from "./lots.js";
+export { migratePolicy, LATEST_POLICY_VERSION } from "./migrate.js";
+export { loadPolicy, mergePolicies, policyFileFormat, readPolicyFile } from "./loader.js";
+export { NOTE_CODES, NOTE_SEVERITIES } from "./notes.js";
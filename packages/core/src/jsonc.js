@@ -0,0 +1,190 @@
+/**
+ * JSON parsing that reports where a document is broken.
+ *
+ * `JSON.parse` errors carry a character offset at best, and often only a
+ * quoted slice of the input. Policy files are edited by hand, so errors here
+ * carry 1-based `line` and `column` properties instead. Plain JSON is parsed
+ * by `JSON.parse`, and only re-scanned to locate an error; with
+ * `comments: true` the scanner parses the document itself, accepting line and
+ * block comments and trailing commas as used by `.jsonc` files.
+ */
+
+const LITERALS = { true: true, false: false, null: null };
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const HEX4 = /[0-9a-fA-F]{4}/y;
+const ESCAPES = new Set(["\"", "\\", "/", "b", "f", "n", "r", "t"]);
+
+function describe(char) {
+  return char === undefined ? "end of input" : `character ${JSON.stringify(char)}`;
+}
+
+class Parser {
+  constructor(text, comments) {
+    this.text = text;
+    this.comments = comments;
+    this.pos = 0;
+  }
+
+  fail(message, pos = this.pos) {
+    const before = this.text.slice(0, pos).split("\n");
+    const error = new SyntaxError(message);
+    error.line = before.length;
+    error.column = before[before.length - 1].length + 1;
+    throw error;
+  }
+
+  skip() {
+    const { text } = this;
+    while (this.pos < text.length) {
+      const char = text[this.pos];
+      if (char === " " || char === "\t" || char === "\n" || char === "\r") {
+        this.pos++;
+      } else if (this.comments && text.startsWith("//", this.pos)) {
+        const end = text.indexOf("\n", this.pos);
+        this.pos = end === -1 ? text.length : end;
+      } else if (this.comments && text.startsWith("/*", this.pos)) {
+        const end = text.indexOf("*/", this.pos + 2);
+        if (end === -1) this.fail("Unterminated comment");
+        this.pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  expect(char, context) {
+    this.skip();
+    if (this.text[this.pos] !== char) this.fail(`Expected '${char}' ${context}, found ${describe(this.text[this.pos])}`);
+    this.pos++;
+  }
+
+  // After an element: `true` when the container continues, `false` at its closing bracket.
+  next(close, context) {
+    this.skip();
+    const char = this.text[this.pos];
+    if (char === close) {
+      this.pos++;
+      return false;
+    }
+    if (char !== ",") this.fail(`Expected ',' or '${close}' after ${context}, found ${describe(char)}`);
+    const comma = this.pos++;
+    this.skip();
+    if (this.text[this.pos] === close) {
+      if (!this.comments) this.fail("Trailing comma", comma);
+      this.pos++;
+      return false;
+    }
+    return true;
+  }
+
+  value() {
+    this.skip();
+    const char = this.text[this.pos];
+    if (char === "{") return this.object();
+    if (char === "[") return this.array();
+    if (char === "\"") return this.string();
+    const match = this.match(NUMBER) ?? this.match(/[a-z]+/y);
+    if (match !== null) {
+      if (match in LITERALS) return LITERALS[match];
+      if (/^-?\d/.test(match)) return Number(match);
+      this.pos -= match.length;
+    }
+    this.fail(`Unexpected ${describe(char)}`);
+  }
+
+  match(regex) {
+    regex.lastIndex = this.pos;
+    const match = regex.exec(this.text);
+    if (!match) return null;
+    this.pos = regex.lastIndex;
+    return match[0];
+  }
+
+  string() {
+    const start = this.pos;
+    const { text } = this;
+    let i = start + 1;
+    for (;;) {
+      const code = text.charCodeAt(i);
+      // End of input or an unescaped control character (U+0000 to U+001F).
+      if (Number.isNaN(code) || code < 0x20) this.fail("Unterminated string or invalid escape", start);
+      if (text[i] === "\"") break;
+      if (text[i] !== "\\") {
+        i++;
+      } else if (text[i + 1] === "u") {
+        HEX4.lastIndex = i + 2;
+        if (!HEX4.test(text)) this.fail("Unterminated string or invalid escape", start);
+        i += 6;
+      } else if (ESCAPES.has(text[i + 1])) {
+        i += 2;
+      } else {
+        this.fail("Unterminated string or invalid escape", start);
+      }
+    }
+    this.pos = i + 1;
+    return JSON.parse(text.slice(start, this.pos));
+  }
+
+  object() {
+    this.pos++;
+    const result = {};
+    this.skip();
+    if (this.text[this.pos] === "}") {
+      this.pos++;
+      return result;
+    }
+    do {
+      this.skip();
+      if (this.text[this.pos] !== "\"") this.fail(`Expected a double-quoted property name, found ${describe(this.text[this.pos])}`);
+      const key = this.string();
+      this.expect(":", `after property name ${JSON.stringify(key)}`);
+      // Defined like JSON.parse does, so a "__proto__" key is kept as data.
+      Object.defineProperty(result, key, { value: this.value(), enumerable: true, writable: true, configurable: true });
+    } while (this.next("}", "property value"));
+    return result;
+  }
+
+  array() {
+    this.pos++;
+    const result = [];
+    this.skip();
+    if (this.text[this.pos] === "]") {
+      this.pos++;
+      return result;
+    }
+    do {
+      result.push(this.value());
+    } while (this.next("]", "array element"));
+    return result;
+  }
+}
+
+/**
+ * Parse JSON text, throwing a `SyntaxError` with `line` and `column` on failure.
+ *
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {boolean} [options.comments=false] - Allow comments and trailing commas
+ * @returns {*} The parsed value
+ */
+export function parseJson(text, { comments = false } = {}) {
+  const source = text.replace(/^\uFEFF/, "");
+  if (!comments) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      // The scanner throws the same error with its line and column.
+      scan(source, false);
+      throw error;
+    }
+  }
+  return scan(source, true);
+}
+
+function scan(source, comments) {
+  const parser = new Parser(source, comments);
+  const result = parser.value();
+  parser.skip();
+  if (parser.pos < parser.text.length) parser.fail(`Unexpected ${describe(parser.text[parser.pos])} after the document`);
+  return result;
+}
@@ -0,0 +1,169 @@
+import { readFile } from "node:fs/promises";
+import { dirname, extname, resolve } from "node:path";
+import { CORE_SCHEMA, load as loadYaml } from "js-yaml";
+import { parseJson } from "./jsonc.js";
+import { migratePolicy } from "./migrate.js";
+
+/**
+ * Policy file loading and `extends` composition.
+ *
+ * This is the only core module that touches the filesystem; everything it
+ * returns is a plain policy object for `validatePolicy()` / `allocate()`.
+ * Files are parsed by extension: `.yaml` / `.yml` as YAML, `.jsonc` as JSON
+ * with comments and trailing commas, anything else as strict JSON.
+ */
+
+const FORMATS = {
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".jsonc": "jsonc"
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function targetKey(t) {
+  return t.group !== undefined ? `group ${t.group}` : t.symbol;
+}
+
+function mergeValues(base, overlay) {
+  if (!isPlainObject(base) || !isPlainObject(overlay)) return structuredClone(overlay);
+  const merged = structuredClone(base);
+  for (const [key, value] of Object.entries(overlay)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (key === "targets" && Array.isArray(base.targets) && Array.isArray(value)) {
+      merged.targets = mergeTargets(base.targets, value);
+    } else {
+      merged[key] = mergeValues(base[key], value);
+    }
+  }
+  return merged;
+}
+
+// Overlay entries replace fields of the inherited target with the same symbol
+// (or group name), are appended when new, and drop it with `remove: true`.
+function mergeTargets(baseTargets, overlayTargets) {
+  const merged = structuredClone(baseTargets);
+  for (const entry of overlayTargets) {
+    if (!isPlainObject(entry)) {
+      merged.push(structuredClone(entry));
+      continue;
+    }
+    const i = merged.findIndex((t) => isPlainObject(t) && targetKey(t) === targetKey(entry));
+    const { remove, ...fields } = entry;
+    if (remove === true) {
+      if (i === -1) throw new Error(`Cannot remove target ${targetKey(entry)}: the extended policy has no such target.`);
+      merged.splice(i, 1);
+    } else if (i === -1) {
+      merged.push(structuredClone(fields));
+    } else {
+      merged[i] = mergeValues(merged[i], fields);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Apply an overlay policy on top of a base policy. Objects merge key by key,
+ * arrays and scalars in the overlay replace the base value, `null` deletes an
+ * inherited field, and `targets` merge per symbol or group (see above). When
+ * both documents declare different versions they are upgraded with
+ * `migratePolicy()` first so sectioned fields line up.
+ */
+export function mergePolicies(base, overlay) {
+  if (base.version !== undefined && overlay.version !== undefined && base.version !== overlay.version) {
+    return mergeValues(migratePolicy(base), migratePolicy(overlay));
+  }
+  return mergeValues(base, overlay);
+}
+
+/**
+ * Format a policy file is parsed as, from its extension.
+ *
+ * @param {string} path - Policy file path
+ * @returns {"json"|"jsonc"|"yaml"}
+ */
+export function policyFileFormat(path) {
+  return FORMATS[extname(path).toLowerCase()] ?? "json";
+}
+
+function parsePolicy(text, path) {
+  const format = policyFileFormat(path);
+  if (format === "yaml") {
+    try {
+      // CORE_SCHEMA keeps dates such as 2026-01-01 as strings, like JSON.
+      return loadYaml(text, { schema: CORE_SCHEMA, filename: path });
+    } catch (error) {
+      if (!error.mark) throw error;
+      throw new Error(`Invalid YAML in policy ${path}:${error.mark.line + 1}:${error.mark.column + 1}: ${error.reason}`);
+    }
+  }
+  try {
+    return parseJson(text, { comments: format === "jsonc" });
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new Error(`Invalid ${format === "jsonc" ? "JSONC" : "JSON"} in policy ${path}:${error.line}:${error.column}: ${error.message}`);
+  }
+}
+
+async function resolvePolicyFile(path, chain, read) {
+  if (chain.includes(path)) throw new Error(`Policy extends cycle: ${[...chain, path].join(" -> ")}`);
+
+  let text;
+  try {
+    text = await read(path);
+  } catch (error) {
+    const from = chain.length > 0 ? ` (extended by ${chain[chain.length - 1]})` : "";
+    throw new Error(`Cannot read policy ${path}${from}: ${error.message}`);
+  }
+  const document = parsePolicy(text, path);
+  if (!isPlainObject(document)) throw new Error(`Policy ${path} must contain an object at the top level.`);
+  if (document.extends === undefined) return document;
+
+  const parents = Array.isArray(document.extends) ? document.extends : [document.extends];
+  if (parents.length === 0 || !parents.every((p) => typeof p === "string" && p)) {
+    throw new Error(`Policy ${path}: extends must be a file path or a non-empty array of file paths.`);
+  }
+
+  let merged = null;
+  for (const parent of parents) {
+    const resolved = await resolvePolicyFile(resolve(dirname(path), parent), [...chain, path], read);
+    merged = merged ? mergePolicies(merged, resolved) : resolved;
+  }
+  const overlay = { ...document };
+  delete overlay.extends;
+  return mergePolicies(merged, overlay);
+}
+
+/**
+ * Read and parse one policy file without resolving its `extends`, e.g. to
+ * rewrite the file itself.
+ *
+ * @param {string} path - Policy file path
+ * @param {Object} [options]
+ * @param {Function} [options.read] - `async (absolutePath) => text`; defaults to reading UTF-8 from disk
+ * @returns {Promise<*>} The parsed document
+ */
+export async function readPolicyFile(path, { read = (p) => readFile(p, "utf-8") } = {}) {
+  const absolute = resolve(path);
+  return parsePolicy(await read(absolute), absolute);
+}
+
+/**
+ * Read a policy file and resolve its `extends` chain into one policy.
+ *
+ * `extends` is a path (or array of paths, applied in order) relative to the
+ * extending file, and each file in the chain may use any supported format.
+ * Parse errors name the file, line and column. The result is not validated;
+ * pass it to `validatePolicy()`.
+ *
+ * @param {string} path - Policy file path
+ * @param {Object} [options]
+ * @param {Function} [options.read] - `async (absolutePath) => text`; defaults to reading UTF-8 from disk
+ * @returns {Promise<Object>} The merged policy, without `extends`
+ */
+export async function loadPolicy(path, { read = (p) => readFile(p, "utf-8") } = {}) {
+  return resolvePolicyFile(resolve(path), [], read);
+}
@@ -0,0 +1,148 @@
+import { fromCents, toCents } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+
+const QTY_EPS = 1e-9;
+
+/**
+ * A lot is long-term when held for more than one year as of the snapshot.
+ */
+export function lotTerm(acquiredIso, asOfIso) {
+  const oneYearLater = new Date(acquiredIso);
+  oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+  return new Date(asOfIso) > oneYearLater ? "long" : "short";
+}
+
+function costPerShare(lot) {
+  return lot.costBasisUsd / lot.quantity;
+}
+
+/**
+ * Rank for "min_short_term_gain": realize losses first (short-term losses are
+ * the most valuable), then long-term gains, and short-term gains last. Within a
+ * bucket, the lot with the lowest gain per share goes first.
+ */
+function minShortTermGainRank(lot, priceUsd, asOfIso) {
+  const gainPerShare = priceUsd - costPerShare(lot);
+  const term = lotTerm(lot.acquiredIso, asOfIso);
+  if (gainPerShare < 0) return [term === "short" ? 0 : 1, gainPerShare];
+  return [term === "long" ? 2 : 3, gainPerShare];
+}
+
+function orderLots(lots, method, priceUsd, asOfIso) {
+  const byDate = (a, b) => a.acquiredIso.localeCompare(b.acquiredIso);
+  const sorted = [...lots];
+
+  if (method === "hifo") {
+    sorted.sort((a, b) => costPerShare(b) - costPerShare(a) || byDate(a, b));
+  } else if (method === "min_short_term_gain") {
+    sorted.sort((a, b) => {
+      const [ra, ga] = minShortTermGainRank(a, priceUsd, asOfIso);
+      const [rb, gb] = minShortTermGainRank(b, priceUsd, asOfIso);
+      return ra - rb || ga - gb || byDate(a, b);
+    });
+  } else {
+    sorted.sort(byDate);
+  }
+  return sorted;
+}
+
+/**
+ * Choose which lots a sell of `quantity` shares consumes.
+ *
+ * @param {Object[]} lots - [{ acquiredIso, quantity, costBasisUsd }]
+ * @param {number} quantity - Shares to sell
+ * @param {Object} options
+ * @param {"fifo"|"hifo"|"min_short_term_gain"} options.method
+ * @param {number} options.priceUsd - Estimated sale price per share
+ * @param {string} options.asOfIso - Sale date used to classify short/long term
+ * @returns {{ lots: Object[], estimatedRealizedGainUsd: number }}
+ */
+export function selectLots(lots, quantity, { method, priceUsd, asOfIso }) {
+  const chosen = [];
+  let remaining = quantity;
+  let gainCents = 0;
+
+  for (const lot of orderLots(lots, method, priceUsd, asOfIso)) {
+    if (remaining <= QTY_EPS) break;
+
+    const take = Math.min(remaining, lot.quantity);
+    const costBasisCents = toCents(costPerShare(lot) * take);
+    const proceedsCents = toCents(priceUsd * take);
+
+    chosen.push({
+      acquiredIso: lot.acquiredIso,
+      quantity: take,
+      costBasisUsd: fromCents(costBasisCents),
+      proceedsUsd: fromCents(proceedsCents),
+      gainUsd: fromCents(proceedsCents - costBasisCents),
+      term: lotTerm(lot.acquiredIso, asOfIso)
+    });
+    gainCents += proceedsCents - costBasisCents;
+    remaining -= take;
+  }
+
+  return { lots: chosen, estimatedRealizedGainUsd: fromCents(gainCents) };
+}
+
+/**
+ * Attach chosen lots and estimated realized gain/loss to every SELL leg whose
+ * position carries lot data. Returns notes summarizing the estimate.
+ */
+export function attachTaxLots(legs, snapshot, method) {
+  const notes = [];
+  const lotsBySymbol = new Map();
+  const quantityBySymbol = new Map();
+  const valueBySymbol = new Map();
+  for (const p of snapshot.positions) {
+    quantityBySymbol.set(p.symbol, (quantityBySymbol.get(p.symbol) || 0) + p.quantity);
+    valueBySymbol.set(p.symbol, (valueBySymbol.get(p.symbol) || 0) + p.marketValueUsd);
+    if (p.lots) lotsBySymbol.set(p.symbol, [...(lotsBySymbol.get(p.symbol) || []), ...p.lots]);
+  }
+
+  let shortTermUsd = 0;
+  let longTermUsd = 0;
+  let estimated = false;
+  const missing = [];
+
+  for (const leg of legs) {
+    if (leg.side !== "SELL") continue;
+    const lots = lotsBySymbol.get(leg.symbol);
+    if (!lots) {
+      missing.push(leg.symbol);
+      continue;
+    }
+
+    const heldQuantity = quantityBySymbol.get(leg.symbol);
+    const priceUsd = snapshot.pricesUsd[leg.symbol] ?? valueBySymbol.get(leg.symbol) / heldQuantity;
+    const quantity = Math.min(leg.quantity ?? leg.notionalUsd / priceUsd, heldQuantity);
+    const selected = selectLots(lots, quantity, { method, priceUsd, asOfIso: snapshot.asOfIso });
+
+    leg.lots = selected.lots;
+    leg.estimatedRealizedGainUsd = selected.estimatedRealizedGainUsd;
+    estimated = true;
+    for (const lot of selected.lots) {
+      if (lot.term === "short") shortTermUsd += lot.gainUsd;
+      else longTermUsd += lot.gainUsd;
+    }
+  }
+
+  if (missing.length > 0) {
+    notes.push(makeNote(NOTE_CODES.LOT_DATA_MISSING, `No lot data for ${missing.join(", ")}; realized gain/loss not estimated.`, {
+      symbols: missing
+    }));
+  }
+  if (estimated) {
+    notes.push(makeNote(
+      NOTE_CODES.REALIZED_GAIN_ESTIMATE,
+      `Estimated realized gain/loss (${method}): $${(shortTermUsd + longTermUsd).toFixed(2)} ` +
+        `(short-term $${shortTermUsd.toFixed(2)}, long-term $${longTermUsd.toFixed(2)}).`,
+      {
+        method,
+        totalUsd: usd(shortTermUsd + longTermUsd),
+        shortTermUsd: usd(shortTermUsd),
+        longTermUsd: usd(longTermUsd)
+      }
+    ));
+  }
+  return notes;
+}
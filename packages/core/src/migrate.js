@@ -0,0 +1,51 @@
+export const LATEST_POLICY_VERSION = 2;
+
+// v2 groups the flat v1 knobs into sections; everything else keeps its place.
+const SECTION_FIELDS = {
+  capital: ["cashBufferPct", "minInvestAmountUsd", "maxInvestAmountUsd"],
+  orders: ["minOrderUsd", "maxOrders", "orderUnits", "lotSelection"]
+};
+
+export function sectionForField(field) {
+  for (const [section, fields] of Object.entries(SECTION_FIELDS)) {
+    if (fields.includes(field)) return section;
+  }
+  return null;
+}
+
+/**
+ * Upgrade a policy document to the latest schema version.
+ * v1 capital controls move under `capital` and order rules under `orders`;
+ * the section is created where its first field appeared so key order stays
+ * familiar. Already-current documents come back as a deep copy.
+ */
+export function migratePolicy(policy) {
+  if (!policy || typeof policy !== "object") throw new Error("Policy must be an object.");
+  if (policy.version === LATEST_POLICY_VERSION) return structuredClone(policy);
+  if (policy.version !== 1) throw new Error(`Cannot migrate policy version ${policy.version}.`);
+
+  const migrated = {};
+  for (const [key, value] of Object.entries(structuredClone(policy))) {
+    if (key === "version") {
+      migrated.version = LATEST_POLICY_VERSION;
+      continue;
+    }
+    const section = sectionForField(key);
+    if (section) {
+      migrated[section] = migrated[section] ?? {};
+      migrated[section][key] = value;
+    } else {
+      migrated[key] = value;
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Read the sectioned settings of a policy as a flat object, whichever schema
+ * version it uses.
+ */
+export function policySettings(policy) {
+  if (policy.version === 1) return policy;
+  return { ...policy.capital, ...policy.orders };
+}
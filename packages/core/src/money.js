@@ -0,0 +1,55 @@
+/**
+ * Integer-cent money helpers.
+ *
+ * Amounts stay plain USD numbers at the API boundary, but every rounding,
+ * comparison and sum of order amounts goes through whole cents so results are
+ * exact to the cent. Inputs are first snapped to a millionth of a dollar, which
+ * absorbs binary floating-point noise (69.99999999999 is $70.00, not $69.99).
+ */
+
+function snapMicros(usd) {
+  return Math.round(usd * 1e6);
+}
+
+/** Nearest whole cent. */
+export function toCents(usd) {
+  return Math.round(snapMicros(usd) / 1e4);
+}
+
+/** Whole cents at or below the amount. */
+export function floorCents(usd) {
+  if (!Number.isFinite(usd)) return usd;
+  return Math.floor(snapMicros(usd) / 1e4);
+}
+
+/** Whole cents at or above the amount. */
+export function ceilCents(usd) {
+  if (!Number.isFinite(usd)) return usd;
+  return Math.ceil(snapMicros(usd) / 1e4);
+}
+
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+/** A rounding step (`roundToUsd`) in whole cents; at least one cent. */
+export function stepCents(stepUsd) {
+  return Math.max(1, toCents(stepUsd));
+}
+
+/** Round down to a multiple of `stepUsd`, returning USD at exact cents. */
+export function floorToStep(usd, stepUsd) {
+  const step = stepCents(stepUsd);
+  return fromCents(Math.floor(floorCents(usd) / step) * step);
+}
+
+/** Round up to a multiple of `stepUsd`, returning USD at exact cents. */
+export function ceilToStep(usd, stepUsd) {
+  const step = stepCents(stepUsd);
+  return fromCents(Math.ceil(ceilCents(usd) / step) * step);
+}
+
+/** Sum cent-precision amounts without floating-point drift. */
+export function sumUsd(amounts) {
+  return fromCents(amounts.reduce((acc, usd) => acc + toCents(usd), 0));
+}
@@ -0,0 +1,68 @@
+import { fromCents, toCents } from "./money.js";
+
+/**
+ * Plan note codes and their severities.
+ *
+ * Every entry in `plan.notes` is `{ code, severity, message, data }`: `message`
+ * is the human-readable sentence and `data` carries the values it was built
+ * from, so consumers can branch on `code` instead of parsing text.
+ */
+const NOTE_SEVERITY_BY_CODE = {
+  CASH_BUFFER_APPLIED: "info", // { reserveUsd }
+  MAX_INVEST_CAP_APPLIED: "info", // { maxInvestAmountUsd }
+  INVESTABLE_BELOW_MIN_INVEST: "info", // { investableCashUsd, minInvestAmountUsd }
+  REBALANCE_FROM_SELLS_ONLY: "info", // { investableCashUsd, minInvestAmountUsd }
+  PRICE_MISSING: "warning", // { symbol }
+  UNTRACKED_HOLDINGS: "info", // { mode: "include" | "exclude", symbols, valueUsd, weight }
+  UNTRACKED_LIQUIDATED: "info", // { symbols, proceedsUsd }
+  UNTRACKED_USED_MAX_ORDERS: "warning", // { maxOrders }
+  EQUIVALENT_PRICE_FALLBACK: "info", // { symbol, missing, buySymbol }
+  GROUP_OUTSIDE_BAND: "info", // { group, maxAbsPct, currentWeight, targetWeight }
+  DRIFT_FULL_REBALANCE: "info", // { band }
+  DRIFT_UNDERWEIGHTS: "info", // { band }
+  DRIFT_WITHIN_BAND: "info", // { band }
+  CALENDAR_REBALANCE_DUE: "info", // { frequency, scheduledIso, lastRebalanceIso, mode }
+  WITHIN_BAND_NOOP: "info", // {}
+  NO_UNDERWEIGHTS_FALLBACK: "info", // {}
+  MIN_WEIGHT_RAISED: "info", // { symbol, amountUsd, minWeight }
+  ORDER_CLAMPED: "info", // { symbol, side, capUsd, constraint: "maxWeight" | "maxOrderUsd" }
+  CLAMPED_CASH_RESPREAD: "info", // { amountUsd }
+  CLAMPED_CASH_IDLE: "warning", // { amountUsd }
+  ALL_LEGS_BELOW_MIN_ORDER: "warning", // { minOrderUsd }
+  EQUIVALENTS_NOT_SOLD: "warning", // { symbol, equivalents, unsoldUsd }
+  MAX_ORDERS_APPLIED: "info", // { maxOrders, dropped }
+  LEFTOVER_REDISTRIBUTED: "info", // { amountUsd, legs }
+  SPEND_BELOW_AVAILABLE: "info", // { plannedSpendUsd, availableUsd }
+  TRADING_COSTS_ESTIMATED: "info", // { estimatedCostUsd, reservedUsd, legs }
+  LEGS_ABOVE_MAX_COST: "warning", // { symbols, maxCostPct }
+  WASH_SALE_BLOCKED: "warning", // { symbol, amountUsd, tradeSymbol, executedIso, lossUsd }
+  WASH_SALE_REDIRECTED: "info", // { symbols }
+  WHOLE_SHARE_LEGS_DROPPED: "warning", // { dropped }
+  WHOLE_SHARE_RESIDUAL: "info", // { residualUsd }
+  LOT_DATA_MISSING: "warning", // { symbols }
+  REALIZED_GAIN_ESTIMATE: "info", // { method, totalUsd, shortTermUsd, longTermUsd }
+  FX_CASH_SHORTFALL: "warning", // { currency, shortfall }
+  NO_LEGS_AFTER_CONSTRAINTS: "warning", // {}
+  SPEND_BELOW_MIN_INVEST: "warning", // { plannedSpendUsd, minInvestAmountUsd }
+  WITHDRAWAL_PLANNED: "info", // { withdrawalUsd, sellUsd, cashUsd, bufferUsd }
+  WITHDRAWAL_COVERED_BY_CASH: "info", // { withdrawalUsd, cashUsd, bufferUsd }
+  WITHDRAWAL_SHORTFALL: "warning", // { shortfallUsd }
+  ASSET_LOCATION_FALLBACK: "info", // { symbol, accountId, amountUsd }
+  HOUSEHOLD_UNPLACED: "warning" // { symbol, amountUsd }
+};
+
+export const NOTE_CODES = Object.freeze(
+  Object.fromEntries(Object.keys(NOTE_SEVERITY_BY_CODE).map((code) => [code, code]))
+);
+
+export const NOTE_SEVERITIES = Object.freeze({ ...NOTE_SEVERITY_BY_CODE });
+
+export function makeNote(code, message, data = {}) {
+  const severity = NOTE_SEVERITY_BY_CODE[code];
+  if (!severity) throw new Error(`Unknown note code: ${code}`);
+  return { code, severity, message, data };
+}
+
+export function usd(value) {
+  return fromCents(toCents(value));
+}
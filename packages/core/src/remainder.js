@@ -0,0 +1,59 @@
+const UNIT_EPS = 1e-9;
+
+function openQuotas(entries, totalUnits, capped) {
+  const open = entries.filter((e) => !capped.has(e.key));
+  const cappedUnits = entries.filter((e) => capped.has(e.key)).reduce((acc, e) => acc + e.cap, 0);
+  const openWeight = open.reduce((acc, e) => acc + e.weight, 0);
+
+  const quotas = new Map();
+  for (const e of open) {
+    quotas.set(e.key, openWeight > 0 ? (e.weight / openWeight) * (totalUnits - cappedUnits) : 0);
+  }
+  return quotas;
+}
+
+/**
+ * Split `totalUnits` whole units across entries in proportion to `weight`
+ * (largest-remainder method). Each entry keeps at least its `floor` units and
+ * never exceeds its `cap`; weight freed by capped entries flows to the rest.
+ * Leftover single units go to the largest fractional remainders, ties broken
+ * by higher `priority`, then `key`, so the result is deterministic.
+ */
+export function largestRemainder(entries, totalUnits) {
+  const capped = new Set();
+  let quotas = openQuotas(entries, totalUnits, capped);
+  for (;;) {
+    const hitCap = entries.filter((e) => quotas.has(e.key) && Math.floor(quotas.get(e.key) + UNIT_EPS) >= e.cap);
+    if (hitCap.length === 0) break;
+    for (const e of hitCap) capped.add(e.key);
+    quotas = openQuotas(entries, totalUnits, capped);
+  }
+
+  const alloc = new Map();
+  const remainders = new Map();
+  for (const e of entries) {
+    if (capped.has(e.key)) {
+      alloc.set(e.key, Math.max(e.floor, e.cap));
+      continue;
+    }
+    const quota = quotas.get(e.key);
+    const units = Math.max(e.floor, Math.floor(quota + UNIT_EPS));
+    alloc.set(e.key, units);
+    remainders.set(e.key, Math.max(0, quota - units));
+  }
+
+  let spare = totalUnits - [...alloc.values()].reduce((acc, u) => acc + u, 0);
+  const order = entries.filter((e) => !capped.has(e.key)).sort((a, b) => {
+    const diff = remainders.get(b.key) - remainders.get(a.key);
+    if (diff !== 0) return diff;
+    if (b.priority !== a.priority) return b.priority - a.priority;
+    return a.key.localeCompare(b.key);
+  });
+  for (const e of order) {
+    if (spare <= 0) break;
+    if (alloc.get(e.key) + 1 > e.cap) continue;
+    alloc.set(e.key, alloc.get(e.key) + 1);
+    spare--;
+  }
+  return alloc;
+}
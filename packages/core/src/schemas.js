@@ -0,0 +1,476 @@
+import { CALENDAR_FREQUENCIES } from "./calendar.js";
+import { ACCOUNT_TYPES, SNAPSHOT_CHECK_CODES } from "./validate.js";
+
+/**
+ * JSON Schema (draft-07) documents for the policy, snapshot and plan shapes.
+ *
+ * The schemas describe structure only: field names, types, ranges and enums.
+ * Rules that relate several values (weights summing to 1, duplicate symbols,
+ * minWeight vs targetWeight, buyOrder drawn from equivalents, FX rates for
+ * every currency, lot quantities matching the position) are checked by
+ * `validatePolicy()` / `validateSnapshot()` alone. `SCHEMA_VERSION` is bumped
+ * whenever a schema changes shape and is part of each `$id`.
+ *
+ * A policy file with `extends` is an overlay: its `targets` and `drift` may be
+ * partial, so only the shape of the fields it sets is checked.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const DRAFT_07 = "http://json-schema.org/draft-07/schema#";
+
+const schemaId = (name) => `urn:ledgerrun:schema:${name}:v${SCHEMA_VERSION}`;
+
+const fraction = { type: "number", minimum: 0, maximum: 1 };
+const nonNegative = { type: "number", minimum: 0 };
+const positive = { type: "number", exclusiveMinimum: 0 };
+const bps = { type: "number", minimum: 0, maximum: 10000 };
+const symbol = { type: "string", minLength: 1 };
+const currencyCode = { type: "string", pattern: "^[A-Z]{3}$" };
+const symbolList = { type: "array", items: symbol, uniqueItems: true };
+const priceMap = { type: "object", propertyNames: { minLength: 1 }, additionalProperties: positive };
+const weightMap = { type: "object", propertyNames: { minLength: 1 }, additionalProperties: { type: "number", exclusiveMinimum: 0, maximum: 1 } };
+const glidePathPoint = (dateField) => ({
+  type: "object",
+  required: [dateField, "weights"],
+  properties: { [dateField]: { type: "string", minLength: 1 }, weights: weightMap }
+});
+
+export const POLICY_SCHEMA = {
+  $schema: DRAFT_07,
+  $id: schemaId("policy"),
+  title: "LedgerRun policy",
+  type: "object",
+  properties: {
+    $schema: { type: "string" },
+    extends: {
+      description: "Policy file(s) to inherit from, relative to this file.",
+      anyOf: [{ type: "string", minLength: 1 }, { type: "array", minItems: 1, items: { type: "string", minLength: 1 } }]
+    },
+    version: { enum: [1, 2], description: "Policy format version." },
+    name: { type: "string" },
+    description: { type: "string" },
+    rebalance: {
+      type: "object",
+      required: ["kind"],
+      properties: {
+        kind: { enum: ["cashflow", "full"] },
+        calendar: {
+          type: "object",
+          description: "Scheduled rebalances every month, quarter or year from anchorIso, in addition to the drift band.",
+          required: ["frequency", "anchorIso"],
+          properties: {
+            frequency: { enum: Object.keys(CALENDAR_FREQUENCIES) },
+            anchorIso: { type: "string", minLength: 1 }
+          }
+        }
+      }
+    },
+    allowMissingPrices: { type: "boolean" },
+    untrackedHoldings: { enum: ["include", "exclude", "liquidate"] },
+    baseCurrency: currencyCode,
+    washSale: {
+      type: "object",
+      properties: {
+        windowDays: { type: "integer", minimum: 0 },
+        action: { enum: ["suppress", "redirect"] },
+        equivalents: { type: "array", items: { type: "array", items: symbol } }
+      }
+    },
+    costs: {
+      type: "object",
+      description: "Transaction cost model used to size and skip orders.",
+      properties: {
+        commissionUsd: nonNegative,
+        minFeeUsd: nonNegative,
+        spreadBps: bps,
+        spreadBpsBySymbol: { type: "object", propertyNames: { minLength: 1 }, additionalProperties: bps },
+        maxCostPct: { type: "number", exclusiveMinimum: 0, maximum: 1 }
+      }
+    },
+    glidePath: {
+      description: "Target weights by date, keyed by symbol or group path; resolved from the snapshot's asOfIso.",
+      anyOf: [
+        {
+          type: "object",
+          required: ["kind", "points"],
+          properties: { kind: { const: "steps" }, points: { type: "array", minItems: 1, items: glidePathPoint("fromIso") } }
+        },
+        {
+          type: "object",
+          required: ["kind", "start", "end"],
+          properties: { kind: { const: "linear" }, start: glidePathPoint("dateIso"), end: glidePathPoint("dateIso") }
+        }
+      ]
+    },
+    snapshotChecks: {
+      type: "object",
+      properties: {
+        valueTolerancePct: fraction,
+        maxAgeMinutes: positive,
+        futureSkewMinutes: nonNegative,
+        severities: {
+          type: "object",
+          propertyNames: { enum: SNAPSHOT_CHECK_CODES },
+          additionalProperties: { enum: ["error", "warning", "off"] }
+        }
+      }
+    }
+  },
+  if: { required: ["extends"] },
+  then: {
+    properties: {
+      targets: { type: "array", items: { type: "object" } },
+      drift: { type: "object" }
+    }
+  },
+  else: {
+    required: ["version", "targets", "drift"],
+    properties: {
+      targets: { $ref: "#/definitions/targetList" },
+      drift: { $ref: "#/definitions/drift" }
+    }
+  },
+  allOf: [
+    {
+      if: { properties: { version: { const: 2 } } },
+      then: {
+        properties: {
+          capital: { $ref: "#/definitions/capital" },
+          orders: { $ref: "#/definitions/orders" },
+          cashBufferPct: false,
+          minInvestAmountUsd: false,
+          maxInvestAmountUsd: false,
+          minOrderUsd: false,
+          maxOrders: false,
+          orderUnits: false,
+          lotSelection: false
+        }
+      },
+      else: {
+        properties: {
+          ...capitalFields(),
+          ...orderFields()
+        }
+      }
+    },
+    {
+      if: {
+        required: ["rebalance"],
+        properties: {
+          rebalance: {
+            type: "object",
+            required: ["kind"],
+            properties: { kind: { const: "full" } },
+            not: { type: "object", required: ["calendar"] }
+          }
+        }
+      },
+      then: { properties: { drift: { type: "object", properties: { kind: { not: { const: "none" } } } } } }
+    }
+  ],
+  definitions: {
+    targetList: { type: "array", minItems: 1, items: { $ref: "#/definitions/target" } },
+    target: {
+      if: { type: "object", required: ["targets"], properties: { targets: { type: "array" } } },
+      then: { $ref: "#/definitions/targetGroup" },
+      else: { $ref: "#/definitions/symbolTarget" }
+    },
+    symbolTarget: {
+      type: "object",
+      required: ["symbol", "targetWeight"],
+      properties: {
+        symbol,
+        targetWeight: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        minWeight: fraction,
+        maxWeight: fraction,
+        minOrderUsd: nonNegative,
+        maxOrderUsd: nonNegative,
+        equivalents: symbolList,
+        buyOrder: { ...symbolList, minItems: 1 },
+        assetLocation: { type: "array", minItems: 1, uniqueItems: true, items: { enum: ACCOUNT_TYPES } },
+        drift: {
+          type: "object",
+          properties: { maxAbsPct: fraction, maxRelPct: nonNegative }
+        }
+      }
+    },
+    targetGroup: {
+      type: "object",
+      required: ["group", "targetWeight", "targets"],
+      properties: {
+        group: { type: "string", minLength: 1 },
+        targetWeight: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        drift: { type: "object", required: ["maxAbsPct"], properties: { maxAbsPct: fraction } },
+        targets: { $ref: "#/definitions/targetList" }
+      }
+    },
+    drift: {
+      type: "object",
+      required: ["kind"],
+      properties: { kind: { enum: ["none", "band", "relative", "combined"] } },
+      allOf: [
+        {
+          if: { properties: { kind: { enum: ["band", "combined"] } } },
+          then: { required: ["maxAbsPct"], properties: { maxAbsPct: fraction } }
+        },
+        {
+          if: { properties: { kind: { enum: ["relative", "combined"] } } },
+          then: { required: ["maxRelPct"], properties: { maxRelPct: nonNegative } }
+        }
+      ]
+    },
+    capital: { type: "object", additionalProperties: false, properties: capitalFields() },
+    orders: { type: "object", additionalProperties: false, properties: orderFields() }
+  }
+};
+
+function capitalFields() {
+  return { cashBufferPct: fraction, minInvestAmountUsd: nonNegative, maxInvestAmountUsd: nonNegative };
+}
+
+function orderFields() {
+  return {
+    minOrderUsd: nonNegative,
+    maxOrders: { type: "integer", minimum: 1 },
+    orderUnits: { enum: ["notional", "shares"] },
+    lotSelection: { enum: ["fifo", "hifo", "min_short_term_gain"] }
+  };
+}
+
+function positionSchema(valueField, costField) {
+  return {
+    type: "object",
+    required: ["symbol", "quantity", valueField],
+    properties: {
+      symbol,
+      quantity: nonNegative,
+      [valueField]: nonNegative,
+      lots: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["acquiredIso", "quantity", costField],
+          properties: { acquiredIso: { type: "string" }, quantity: positive, [costField]: nonNegative }
+        }
+      }
+    }
+  };
+}
+
+export const SNAPSHOT_SCHEMA = {
+  $schema: DRAFT_07,
+  $id: schemaId("snapshot"),
+  title: "LedgerRun account snapshot",
+  description: "Single-currency (cashUsd, pricesUsd) or, when cashBalances is present, multi-currency.",
+  type: "object",
+  required: ["asOfIso", "positions"],
+  properties: { asOfIso: { type: "string" } },
+  if: { required: ["cashBalances"] },
+  then: {
+    required: ["cashBalances", "prices", "fxRates"],
+    properties: {
+      cashBalances: { type: "object", propertyNames: currencyCode, additionalProperties: nonNegative },
+      prices: priceMap,
+      currencies: { type: "object", additionalProperties: currencyCode },
+      fxRates: {
+        type: "object",
+        required: ["base", "rates"],
+        properties: {
+          base: currencyCode,
+          rates: { type: "object", propertyNames: currencyCode, additionalProperties: positive }
+        }
+      },
+      positions: { type: "array", items: positionSchema("marketValue", "costBasis") }
+    }
+  },
+  else: {
+    required: ["cashUsd", "pricesUsd"],
+    properties: {
+      cashUsd: nonNegative,
+      pricesUsd: priceMap,
+      positions: { type: "array", items: positionSchema("marketValueUsd", "costBasisUsd") }
+    }
+  }
+};
+
+const leg = {
+  type: "object",
+  required: ["symbol", "side", "notionalUsd", "reasonCodes"],
+  properties: {
+    symbol,
+    side: { enum: ["BUY", "SELL"] },
+    notionalUsd: nonNegative,
+    reasonCodes: { type: "array", items: { type: "string" } },
+    targetWeight: fraction,
+    currentWeight: { type: "number" },
+    postBuyEstimatedWeight: { type: "number" },
+    quantity: nonNegative,
+    estimatedNotionalUsd: nonNegative,
+    targetSymbol: symbol,
+    group: { type: "string" },
+    currency: currencyCode,
+    notional: { type: "number" },
+    fxRate: positive,
+    lots: { type: "array", items: { type: "object" } },
+    estimatedRealizedGainUsd: { type: "number" },
+    estimatedCostUsd: nonNegative,
+    accountId: { type: "string" },
+    accountType: { enum: ACCOUNT_TYPES }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  $schema: DRAFT_07,
+  $id: schemaId("plan"),
+  title: "LedgerRun allocation plan",
+  description: "The object returned by allocate() (and, with accounts, allocateHousehold()).",
+  type: "object",
+  required: [
+    "status",
+    "asOfIso",
+    "totalEquityUsd",
+    "totalValueUsd",
+    "cashUsd",
+    "investableCashUsd",
+    "plannedSpendUsd",
+    "plannedSellUsd",
+    "legs",
+    "notes",
+    "driftBreaches",
+    "untrackedHoldings",
+    "blockedLegs"
+  ],
+  properties: {
+    status: { enum: ["PLANNED", "NOOP"] },
+    policyName: { type: "string" },
+    asOfIso: { type: "string" },
+    baseCurrency: currencyCode,
+    totalEquityUsd: { type: "number" },
+    totalValueUsd: { type: "number" },
+    cashUsd: { type: "number" },
+    investableCashUsd: nonNegative,
+    plannedSpendUsd: nonNegative,
+    plannedSellUsd: nonNegative,
+    withdrawalUsd: positive,
+    estimatedCostUsd: nonNegative,
+    calendar: {
+      type: "object",
+      required: ["frequency", "anchorIso", "lastRebalanceIso", "scheduledIso", "nextIso", "due"],
+      properties: {
+        frequency: { enum: Object.keys(CALENDAR_FREQUENCIES) },
+        anchorIso: { type: "string" },
+        lastRebalanceIso: { type: ["string", "null"] },
+        scheduledIso: { type: "string" },
+        nextIso: { type: "string" },
+        due: { type: "boolean" }
+      }
+    },
+    glidePath: {
+      type: "object",
+      required: ["kind", "asOfIso", "weights"],
+      properties: {
+        kind: { enum: ["steps", "linear"] },
+        asOfIso: { type: "string" },
+        fromIso: { type: "string" },
+        startIso: { type: "string" },
+        endIso: { type: "string" },
+        progress: fraction,
+        weights: weightMap
+      }
+    },
+    legs: { type: "array", items: leg },
+    blockedLegs: { type: "array", items: leg },
+    notes: {
+      type: "array",
+      items: {
+        anyOf: [
+          { type: "string" },
+          {
+            type: "object",
+            required: ["code", "severity", "message", "data"],
+            properties: {
+              code: { type: "string" },
+              severity: { enum: ["info", "warning"] },
+              message: { type: "string" },
+              data: { type: "object" }
+            }
+          }
+        ]
+      }
+    },
+    driftBreaches: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["band", "threshold", "currentWeight", "targetWeight"],
+        properties: {
+          symbol,
+          group: { type: "string" },
+          band: { enum: ["absolute", "relative"] },
+          threshold: nonNegative,
+          currentWeight: { type: "number" },
+          targetWeight: { type: "number" },
+          absDeviation: { type: "number" },
+          relDeviation: { type: "number" }
+        }
+      }
+    },
+    untrackedHoldings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["symbol", "quantity", "marketValueUsd", "weight"],
+        properties: { symbol, quantity: nonNegative, marketValueUsd: nonNegative, weight: fraction }
+      }
+    },
+    groups: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "symbols", "targetWeight", "currentWeight", "deviation", "outsideBand"],
+        properties: {
+          name: { type: "string" },
+          symbols: { type: "array", items: symbol },
+          targetWeight: fraction,
+          currentWeight: { type: "number" },
+          deviation: { type: "number" },
+          maxAbsPct: { anyOf: [fraction, { type: "null" }] },
+          outsideBand: { type: "boolean" }
+        }
+      }
+    },
+    trace: {
+      type: "array",
+      items: { type: "object", required: ["step"], properties: { step: { type: "string" } } }
+    },
+    accounts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "type", "cashUsd", "availableCashUsd", "plannedSpendUsd", "legs"],
+        properties: {
+          id: { type: "string" },
+          type: { enum: ACCOUNT_TYPES },
+          cashUsd: nonNegative,
+          availableCashUsd: nonNegative,
+          plannedSpendUsd: nonNegative,
+          legs: { type: "array", items: leg }
+        }
+      }
+    }
+  }
+};
+
+const SCHEMAS = { policy: POLICY_SCHEMA, snapshot: SNAPSHOT_SCHEMA, plan: PLAN_SCHEMA };
+
+export const SCHEMA_NAMES = Object.keys(SCHEMAS);
+
+/**
+ * A copy of the named JSON Schema ("policy", "snapshot" or "plan").
+ */
+export function getSchema(name) {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`Unknown schema: ${name}. Expected one of: ${SCHEMA_NAMES.join(", ")}.`);
+  return structuredClone(schema);
+}
@@ -0,0 +1,168 @@
+import { ceilCents, floorCents, fromCents, toCents } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+import { buyCapUsd } from "./targets.js";
+
+function priceOf(pricesUsd, symbol) {
+  const px = pricesUsd?.[symbol];
+  return typeof px === "number" && Number.isFinite(px) && px > 0 ? px : null;
+}
+
+// Orders carry a whole-cent share price: rounded up for buys and down for
+// sells, so estimated spend never understates and proceeds never overstate.
+function sumCents(orders) {
+  let total = 0;
+  for (const o of orders.values()) total += o.quantity * o.priceCents;
+  return total;
+}
+
+/**
+ * Pick the most underweight target (after the buys planned so far) that can
+ * still afford one more share without exceeding its buy cap. New legs must
+ * clear minOrderUsd with a single share and fit under maxOrders. Ties break by
+ * symbol for determinism.
+ */
+function pickFillCandidate({ policy, defs, weights, pricesUsd, buys, excluded, legCount, leftoverCents, totalValueUsd }) {
+  let best = null;
+
+  for (const t of policy.targets) {
+    const w = weights.get(t.symbol);
+    const priceUsd = priceOf(pricesUsd, t.symbol);
+    if (!w || priceUsd === null || excluded.has(t.symbol)) continue;
+    const priceCents = ceilCents(priceUsd);
+    if (priceCents > leftoverCents) continue;
+
+    const existing = buys.get(t.symbol);
+    if (!existing && (legCount >= defs.maxOrders || priceCents < toCents(t.minOrderUsd ?? defs.minOrderUsd))) continue;
+
+    const boughtCents = existing ? existing.quantity * priceCents : 0;
+    if (boughtCents + priceCents > floorCents(buyCapUsd(t, w.currentValue, totalValueUsd))) continue;
+    const postWeight = totalValueUsd > 0 ? (w.currentValue + fromCents(boughtCents)) / totalValueUsd : 0;
+    const deficit = w.targetWeight - postWeight;
+    if (deficit <= 0) continue;
+
+    if (!best || deficit > best.deficit || (deficit === best.deficit && t.symbol.localeCompare(best.symbol) < 0)) {
+      best = { symbol: t.symbol, priceCents, deficit };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Convert notional legs into whole-share orders priced from the snapshot.
+ *
+ * Sells are floored to whole shares first; buys are then floored within the
+ * resulting funding (investable cash + estimated sell proceeds), and the
+ * leftover is spent one share at a time on the most underweight targets.
+ * Buys are priced from `buyPricesUsd` (default `pricesUsd`), which maps each
+ * target to the price of the symbol it actually buys.
+ *
+ * @returns {{ legs: Object[], plannedSpendUsd: number, plannedSellUsd: number, residualCashUsd: number, notes: Object[], dropped: Object[] }}
+ */
+export function toWholeShares({ legs, policy, defs, weights, pricesUsd, buyPricesUsd = pricesUsd, blockedSymbols, totalValueUsd, investableCashUsd }) {
+  const notes = [];
+  const sells = new Map();
+  const buys = new Map();
+  const minOrderOf = new Map(policy.targets.map((t) => [t.symbol, t.minOrderUsd ?? defs.minOrderUsd]));
+  const dropped = [];
+
+  for (const leg of legs) {
+    if (leg.side !== "SELL") continue;
+    const priceUsd = priceOf(pricesUsd, leg.symbol);
+    const priceCents = priceUsd ? floorCents(priceUsd) : 0;
+    const quantity = priceCents > 0 ? Math.floor(toCents(leg.notionalUsd) / priceCents) : 0;
+    if (quantity === 0 || quantity * priceCents < toCents(minOrderOf.get(leg.symbol))) {
+      dropped.push({ symbol: leg.symbol, side: leg.side, notionalUsd: leg.notionalUsd, reason: "WHOLE_SHARE" });
+      continue;
+    }
+    sells.set(leg.symbol, { leg, priceCents, quantity });
+  }
+
+  const plannedSellCents = sumCents(sells);
+  const fundingCents = floorCents(investableCashUsd) + plannedSellCents;
+
+  // Each buy's budget is its pro-rata share of funding in whole cents, so the
+  // budgets can never add up to more than the funding.
+  const buyLegs = legs.filter((l) => l.side !== "SELL");
+  const requestedCents = buyLegs.reduce((acc, l) => acc + toCents(l.notionalUsd), 0);
+
+  for (const leg of buyLegs) {
+    const priceUsd = priceOf(buyPricesUsd, leg.symbol);
+    const priceCents = priceUsd ? ceilCents(priceUsd) : 0;
+    const budgetCents = requestedCents > fundingCents
+      ? Math.floor((toCents(leg.notionalUsd) * fundingCents) / requestedCents)
+      : toCents(leg.notionalUsd);
+    const quantity = priceCents > 0 ? Math.floor(budgetCents / priceCents) : 0;
+    if (quantity === 0 || quantity * priceCents < toCents(minOrderOf.get(leg.symbol))) {
+      dropped.push({ symbol: leg.symbol, side: leg.side, notionalUsd: leg.notionalUsd, reason: "WHOLE_SHARE" });
+      continue;
+    }
+    buys.set(leg.symbol, { leg, priceCents, quantity });
+  }
+
+  if (dropped.length > 0) {
+    notes.push(makeNote(
+      NOTE_CODES.WHOLE_SHARE_LEGS_DROPPED,
+      `Dropped ${dropped.length} leg(s) that could not fill a whole share at or above minOrderUsd.`,
+      { dropped: dropped.length }
+    ));
+  }
+
+  // Never top up a symbol being sold or one blocked from buying.
+  const excluded = new Set([...sells.keys(), ...(blockedSymbols ?? [])]);
+  let leftoverCents = fundingCents - sumCents(buys);
+  for (;;) {
+    const pick = pickFillCandidate({
+      policy,
+      defs,
+      weights,
+      pricesUsd: buyPricesUsd,
+      buys,
+      excluded,
+      legCount: sells.size + buys.size,
+      leftoverCents,
+      totalValueUsd
+    });
+    if (!pick) break;
+
+    const existing = buys.get(pick.symbol);
+    if (existing) existing.quantity += 1;
+    else buys.set(pick.symbol, { leg: null, priceCents: pick.priceCents, quantity: 1 });
+    leftoverCents -= pick.priceCents;
+  }
+
+  const out = [];
+  for (const [symbol, o] of [...sells.entries(), ...buys.entries()]) {
+    const w = weights.get(symbol);
+    const side = sells.has(symbol) ? "SELL" : "BUY";
+    const estimatedNotionalUsd = fromCents(o.quantity * o.priceCents);
+    const postValue = side === "SELL" ? w.currentValue - estimatedNotionalUsd : w.currentValue + estimatedNotionalUsd;
+
+    out.push({
+      ...(o.leg ?? {
+        symbol,
+        side,
+        reasonCodes: ["UNDERWEIGHT", "WHOLE_SHARE_FILL"],
+        targetWeight: w.targetWeight,
+        currentWeight: w.currentWeight
+      }),
+      notionalUsd: estimatedNotionalUsd,
+      quantity: o.quantity,
+      estimatedNotionalUsd,
+      postBuyEstimatedWeight: totalValueUsd > 0 ? postValue / totalValueUsd : 0
+    });
+  }
+
+  const plannedSpendUsd = fromCents(sumCents(buys));
+  const plannedSellUsd = fromCents(plannedSellCents);
+  const residualCashUsd = fromCents(Math.max(0, fundingCents - sumCents(buys)));
+  if (residualCashUsd > 0) {
+    notes.push(makeNote(
+      NOTE_CODES.WHOLE_SHARE_RESIDUAL,
+      `Whole-share orders leave ~$${residualCashUsd.toFixed(2)} of available cash unallocated.`,
+      { residualUsd: usd(residualCashUsd) }
+    ));
+  }
+
+  return { legs: out, plannedSpendUsd, plannedSellUsd, residualCashUsd, notes, dropped };
+}
@@ -0,0 +1,59 @@
+/**
+ * A target entry is either a leaf `{ symbol, targetWeight }` or a group
+ * `{ group, targetWeight, drift?, targets }` whose children's weights are
+ * relative to the group.
+ */
+export function isTargetGroup(target) {
+  return Boolean(target) && Array.isArray(target.targets);
+}
+
+/**
+ * Flatten a (possibly nested) target list into leaf symbols with absolute weights.
+ *
+ * Leaves inside groups carry `group`, the slash-joined path of their enclosing
+ * groups (e.g. "equity/us"). Groups are returned with their absolute weight,
+ * optional drift band and every descendant symbol.
+ *
+ * @param {Object[]} targets - policy.targets
+ * @returns {{ leaves: Object[], groups: Array<{ name: string, targetWeight: number, maxAbsPct: number|null, symbols: string[] }> }}
+ */
+export function flattenTargets(targets) {
+  const leaves = [];
+  const groups = [];
+
+  function walk(list, parentWeight, parentPath) {
+    for (const t of list) {
+      const weight = parentWeight * t.targetWeight;
+
+      if (isTargetGroup(t)) {
+        const name = parentPath ? `${parentPath}/${t.group}` : t.group;
+        const group = { name, targetWeight: weight, maxAbsPct: t.drift?.maxAbsPct ?? null, symbols: [] };
+        groups.push(group);
+
+        const firstLeaf = leaves.length;
+        walk(t.targets, weight, name);
+        for (const leaf of leaves.slice(firstLeaf)) group.symbols.push(leaf.symbol);
+        continue;
+      }
+
+      const leaf = { ...t, targetWeight: weight };
+      if (parentPath) leaf.group = parentPath;
+      leaves.push(leaf);
+    }
+  }
+
+  walk(targets, 1, null);
+  return { leaves, groups };
+}
+
+/**
+ * Largest buy (USD) a single run may place for a target: the lower of its
+ * `maxOrderUsd` and the amount that would lift it to `maxWeight` of total value.
+ */
+export function buyCapUsd(target, currentValue, totalValueUsd) {
+  let cap = target.maxOrderUsd ?? Number.POSITIVE_INFINITY;
+  if (target.maxWeight !== undefined) {
+    cap = Math.min(cap, Math.max(0, target.maxWeight * totalValueUsd - currentValue));
+  }
+  return cap;
+}
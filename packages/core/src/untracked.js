@@ -0,0 +1,77 @@
+import { floorCents, floorToStep, fromCents, sumUsd } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+
+/**
+ * Positions that count toward no target (neither a target symbol nor one of
+ * its equivalents), aggregated per symbol, largest first.
+ *
+ * @param {Object[]} positions - snapshot.positions
+ * @param {Map<string, string>} aliases - held symbol -> target symbol
+ * @returns {Array<{ symbol: string, quantity: number, marketValueUsd: number }>}
+ */
+export function findUntrackedHoldings(positions, aliases) {
+  const bySymbol = new Map();
+  for (const p of positions) {
+    if (aliases.has(p.symbol)) continue;
+    const h = bySymbol.get(p.symbol) ?? { symbol: p.symbol, quantity: 0, marketValueUsd: 0 };
+    h.quantity += p.quantity;
+    h.marketValueUsd += p.marketValueUsd;
+    bySymbol.set(p.symbol, h);
+  }
+  return [...bySymbol.values()].sort((a, b) => b.marketValueUsd - a.marketValueUsd || a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * SELL legs that close out untracked holdings so their value funds the plan.
+ * Holdings below minOrderUsd are left alone; beyond `maxOrders` only the
+ * largest are sold. In share mode the whole-share part of each position is sold.
+ * Empty holdings (no quantity or value) and holdings without a usable price are
+ * skipped.
+ *
+ * @returns {{ legs: Object[], proceedsUsd: number, notes: Object[], dropped: Object[] }}
+ */
+export function planLiquidation({ holdings, defs, pricesUsd, totalValueUsd, roundToUsd }) {
+  const legs = [];
+  const dropped = [];
+
+  for (const h of holdings) {
+    if (!(h.quantity > 0) || !(h.marketValueUsd > 0)) continue;
+    const priceUsd = pricesUsd?.[h.symbol] ?? h.marketValueUsd / h.quantity;
+    if (!Number.isFinite(priceUsd) || priceUsd <= 0) continue;
+    const leg = {
+      symbol: h.symbol,
+      side: "SELL",
+      notionalUsd: floorToStep(h.marketValueUsd, roundToUsd),
+      reasonCodes: ["UNTRACKED_LIQUIDATE"],
+      targetWeight: 0,
+      currentWeight: totalValueUsd > 0 ? h.marketValueUsd / totalValueUsd : 0
+    };
+    if (defs.orderUnits === "shares") {
+      leg.quantity = Math.floor(h.quantity + 1e-9);
+      leg.estimatedNotionalUsd = fromCents(floorCents(leg.quantity * priceUsd));
+      leg.notionalUsd = leg.estimatedNotionalUsd;
+    }
+    leg.postBuyEstimatedWeight = totalValueUsd > 0 ? (h.marketValueUsd - leg.notionalUsd) / totalValueUsd : 0;
+
+    if (leg.notionalUsd <= 0 || leg.notionalUsd < defs.minOrderUsd) {
+      dropped.push({ symbol: h.symbol, side: "SELL", notionalUsd: usd(h.marketValueUsd), reason: "BELOW_MIN_ORDER" });
+      continue;
+    }
+    if (legs.length >= defs.maxOrders) {
+      dropped.push({ symbol: h.symbol, side: "SELL", notionalUsd: leg.notionalUsd, reason: "MAX_ORDERS" });
+      continue;
+    }
+    legs.push(leg);
+  }
+
+  const proceedsUsd = sumUsd(legs.map((l) => l.notionalUsd));
+  const notes = [];
+  if (legs.length > 0) {
+    notes.push(makeNote(
+      NOTE_CODES.UNTRACKED_LIQUIDATED,
+      `Selling ${legs.length} untracked holding(s) (${legs.map((l) => l.symbol).join(", ")}) for ~$${proceedsUsd.toFixed(2)} of funding.`,
+      { symbols: legs.map((l) => l.symbol), proceedsUsd: usd(proceedsUsd) }
+    ));
+  }
+  return { legs, proceedsUsd, notes, dropped };
+}
@@ -1,99 +1,819 @@
+import { CALENDAR_FREQUENCIES } from "./calendar.js";
+import { isMultiCurrencySnapshot } from "./fx.js";
+import { applyTargetWeights, glidePathWeightSets, targetWeightKeys } from "./glide-path.js";
+import { policySettings, sectionForField } from "./migrate.js";
+import { isTargetGroup } from "./targets.js";
+
 const EPS = 0.0005;
 
+export const ACCOUNT_TYPES = ["taxable", "tax_deferred", "tax_exempt"];
+
+const SNAPSHOT_CHECK_DEFAULTS = { valueTolerancePct: 0.02, maxAgeMinutes: 1440, futureSkewMinutes: 5 };
+
+export const SNAPSHOT_CHECK_CODES = [
+  "INVALID_TIMESTAMP",
+  "FUTURE_TIMESTAMP",
+  "STALE_SNAPSHOT",
+  "DUPLICATE_POSITION",
+  "MISSING_PRICE",
+  "VALUE_MISMATCH"
+];
+
+const SNAPSHOT_CHECK_SEVERITIES = ["error", "warning", "off"];
+
+/**
+ * Thrown by the `validate*` functions with every problem found, not just the
+ * first. Each issue is `{ path, code, message }`: `path` is a JSON pointer into
+ * the validated document (e.g. "/targets/2/targetWeight", "" for the document
+ * itself) and `code` is one of REQUIRED, INVALID_TYPE, INVALID_VALUE,
+ * OUT_OF_RANGE, DUPLICATE, WEIGHT_SUM, UNKNOWN_FIELD, MISPLACED_FIELD,
+ * CONFLICT or UNRESOLVED.
+ */
+export class ValidationError extends Error {
+  constructor(issues) {
+    super(issues.length === 1
+      ? issues[0].message
+      : `${issues.length} validation issues:\n${issues.map((i) => `- ${i.message}`).join("\n")}`);
+    this.name = "ValidationError";
+    this.issues = issues;
+  }
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function pointer(base, ...segments) {
+  return base + segments.map((s) => `/${escapePointer(s)}`).join("");
+}
+
 function isFiniteNumber(n) {
   return typeof n === "number" && Number.isFinite(n);
 }
 
-function sumTargetWeights(targets) {
-  return targets.reduce((acc, t) => acc + t.targetWeight, 0);
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
 }
 
-function toSymbolSet(targets) {
-  const set = new Set();
-  for (const t of targets) {
-    if (set.has(t.symbol)) throw new Error(`Duplicate target symbol: ${t.symbol}`);
-    set.add(t.symbol);
-  }
-  return set;
+function throwIfIssues(issues) {
+  if (issues.length > 0) throw new ValidationError(issues);
 }
 
-export function validatePolicy(policy) {
-  if (!policy || typeof policy !== "object") throw new Error("Policy must be an object.");
-  if (policy.version !== 1) throw new Error("Policy version must be 1.");
-  if (!Array.isArray(policy.targets) || policy.targets.length === 0) {
-    throw new Error("Policy.targets must be a non-empty array.");
+function checkTargetBounds(t, path, absoluteWeight, issues) {
+  const add = (field, code, message) => issues.push({ path: pointer(path, field), code, message });
+
+  for (const name of ["minWeight", "maxWeight"]) {
+    if (t[name] === undefined) continue;
+    if (!isFiniteNumber(t[name]) || t[name] < 0 || t[name] > 1) {
+      add(name, "OUT_OF_RANGE", `Invalid ${name} for ${t.symbol}: ${t[name]}`);
+    }
+  }
+  if (isFiniteNumber(absoluteWeight)) {
+    if (isFiniteNumber(t.minWeight) && t.minWeight > absoluteWeight + EPS) {
+      add("minWeight", "CONFLICT", `minWeight for ${t.symbol} exceeds its target weight.`);
+    }
+    if (isFiniteNumber(t.maxWeight) && t.maxWeight + EPS < absoluteWeight) {
+      add("maxWeight", "CONFLICT", `maxWeight for ${t.symbol} is below its target weight.`);
+    }
+  }
+
+  for (const name of ["minOrderUsd", "maxOrderUsd"]) {
+    if (t[name] === undefined) continue;
+    if (!isFiniteNumber(t[name]) || t[name] < 0) add(name, "OUT_OF_RANGE", `Invalid ${name} for ${t.symbol}: ${t[name]}`);
+  }
+  if (isFiniteNumber(t.maxOrderUsd) && isFiniteNumber(t.minOrderUsd) && t.maxOrderUsd < t.minOrderUsd) {
+    add("maxOrderUsd", "CONFLICT", `maxOrderUsd for ${t.symbol} is below its minOrderUsd.`);
+  }
+
+  if (t.equivalents !== undefined) {
+    const valid = Array.isArray(t.equivalents) && t.equivalents.every((s) => typeof s === "string" && s && s !== t.symbol) &&
+      new Set(t.equivalents).size === t.equivalents.length;
+    if (!valid) add("equivalents", "INVALID_VALUE", `Invalid equivalents for ${t.symbol}: expected distinct symbols other than ${t.symbol}.`);
+  }
+  if (t.buyOrder !== undefined) {
+    const candidates = [t.symbol, ...(Array.isArray(t.equivalents) ? t.equivalents : [])];
+    const valid = Array.isArray(t.buyOrder) && t.buyOrder.length > 0 &&
+      t.buyOrder.every((s) => candidates.includes(s)) && new Set(t.buyOrder).size === t.buyOrder.length;
+    if (!valid) add("buyOrder", "INVALID_VALUE", `Invalid buyOrder for ${t.symbol}: expected distinct symbols from ${candidates.join(", ")}.`);
   }
 
-  toSymbolSet(policy.targets);
+  if (t.assetLocation !== undefined) {
+    const valid = Array.isArray(t.assetLocation) && t.assetLocation.length > 0 &&
+      t.assetLocation.every((type) => ACCOUNT_TYPES.includes(type)) &&
+      new Set(t.assetLocation).size === t.assetLocation.length;
+    if (!valid) {
+      add("assetLocation", "INVALID_VALUE",
+        `Invalid assetLocation for ${t.symbol}: expected distinct account types from ${ACCOUNT_TYPES.join(", ")}.`);
+    }
+  }
 
-  for (const t of policy.targets) {
-    if (!t.symbol || typeof t.symbol !== "string") throw new Error("Each target must have a symbol.");
-    if (!isFiniteNumber(t.targetWeight) || t.targetWeight <= 0 || t.targetWeight > 1) {
-      throw new Error(`Invalid targetWeight for ${t.symbol}: ${t.targetWeight}`);
+  if (t.drift !== undefined) {
+    if (!isObject(t.drift)) {
+      add("drift", "INVALID_TYPE", `Invalid drift override for ${t.symbol}.`);
+      return;
+    }
+    const { maxAbsPct, maxRelPct } = t.drift;
+    if (maxAbsPct !== undefined && (!isFiniteNumber(maxAbsPct) || maxAbsPct < 0 || maxAbsPct > 1)) {
+      issues.push({ path: pointer(path, "drift", "maxAbsPct"), code: "OUT_OF_RANGE", message: `Invalid drift.maxAbsPct for ${t.symbol}: ${maxAbsPct}` });
+    }
+    if (maxRelPct !== undefined && (!isFiniteNumber(maxRelPct) || maxRelPct < 0)) {
+      issues.push({ path: pointer(path, "drift", "maxRelPct"), code: "OUT_OF_RANGE", message: `Invalid drift.maxRelPct for ${t.symbol}: ${maxRelPct}` });
     }
   }
+}
+
+function checkTargetList(targets, path, groupName, symbols, parentWeight, issues) {
+  const groupNames = new Set();
+
+  targets.forEach((t, i) => {
+    const at = pointer(path, i);
+    if (!isObject(t)) {
+      issues.push({ path: at, code: "INVALID_TYPE", message: "Each target must be an object." });
+      return;
+    }
+    if (isTargetGroup(t)) {
+      if (!t.group || typeof t.group !== "string") {
+        issues.push({ path: pointer(at, "group"), code: "REQUIRED", message: "Each target group must have a group name." });
+      } else if (groupNames.has(t.group)) {
+        issues.push({ path: pointer(at, "group"), code: "DUPLICATE", message: `Duplicate target group: ${t.group}` });
+      }
+      groupNames.add(t.group);
+      return;
+    }
+    if (t.remove !== undefined) {
+      issues.push({
+        path: pointer(at, "remove"),
+        code: "UNRESOLVED",
+        message: `Target ${t.symbol} has "remove", which only applies in a policy that extends another (use loadPolicy()).`
+      });
+    }
+    if (!t.symbol || typeof t.symbol !== "string") return;
+    if (symbols.has(t.symbol)) {
+      issues.push({ path: pointer(at, "symbol"), code: "DUPLICATE", message: `Duplicate target symbol: ${t.symbol}` });
+    }
+    symbols.add(t.symbol);
+    const equivalents = Array.isArray(t.equivalents) ? t.equivalents : [];
+    equivalents.forEach((s, j) => {
+      if (s === t.symbol || typeof s !== "string") return;
+      if (symbols.has(s)) {
+        issues.push({
+          path: pointer(at, "equivalents", j),
+          code: "DUPLICATE",
+          message: `Equivalent ${s} of ${t.symbol} is already a target or another target's equivalent.`
+        });
+      }
+      symbols.add(s);
+    });
+  });
+
+  let weightsValid = true;
+  targets.forEach((t, i) => {
+    if (!isObject(t)) {
+      weightsValid = false;
+      return;
+    }
+    const at = pointer(path, i);
+    const label = isTargetGroup(t) ? `group ${t.group}` : t.symbol;
+    if (!isTargetGroup(t) && (!t.symbol || typeof t.symbol !== "string")) {
+      issues.push({ path: pointer(at, "symbol"), code: "REQUIRED", message: "Each target must have a symbol." });
+    }
+    const weightOk = isFiniteNumber(t.targetWeight) && t.targetWeight > 0 && t.targetWeight <= 1;
+    if (!weightOk) {
+      weightsValid = false;
+      issues.push({ path: pointer(at, "targetWeight"), code: "OUT_OF_RANGE", message: `Invalid targetWeight for ${label}: ${t.targetWeight}` });
+    }
+    const absoluteWeight = weightOk ? parentWeight * t.targetWeight : NaN;
+    if (!isTargetGroup(t)) {
+      checkTargetBounds(t, at, absoluteWeight, issues);
+      return;
+    }
 
-  const sum = sumTargetWeights(policy.targets);
+    if (t.targets.length === 0) {
+      issues.push({ path: pointer(at, "targets"), code: "REQUIRED", message: `Target group ${t.group} must have a non-empty targets array.` });
+      return;
+    }
+    if (t.drift !== undefined) {
+      if (!isObject(t.drift) || !isFiniteNumber(t.drift.maxAbsPct) || t.drift.maxAbsPct < 0 || t.drift.maxAbsPct > 1) {
+        issues.push({
+          path: pointer(at, "drift", "maxAbsPct"),
+          code: "OUT_OF_RANGE",
+          message: `Invalid drift.maxAbsPct for group ${t.group}: ${t.drift?.maxAbsPct}`
+        });
+      }
+    }
+    checkTargetList(t.targets, pointer(at, "targets"), t.group, symbols, absoluteWeight, issues);
+  });
+
+  if (!weightsValid) return;
+  const sum = targets.reduce((acc, t) => acc + t.targetWeight, 0);
   if (Math.abs(sum - 1) > EPS) {
-    throw new Error(`Target weights must sum to 1. Got ${sum}`);
+    const scope = groupName ? `Target weights in group ${groupName}` : "Target weights";
+    issues.push({ path, code: "WEIGHT_SUM", message: `${scope} must sum to 1. Got ${sum}` });
+  }
+}
+
+function checkWashSaleConfig(washSale, issues) {
+  if (!isObject(washSale)) {
+    issues.push({ path: "/washSale", code: "INVALID_TYPE", message: "Policy.washSale must be an object." });
+    return;
   }
+  if (washSale.windowDays !== undefined && (!Number.isInteger(washSale.windowDays) || washSale.windowDays < 0)) {
+    issues.push({ path: "/washSale/windowDays", code: "OUT_OF_RANGE", message: `Invalid washSale.windowDays: ${washSale.windowDays}` });
+  }
+  if (washSale.action !== undefined && washSale.action !== "suppress" && washSale.action !== "redirect") {
+    issues.push({ path: "/washSale/action", code: "INVALID_VALUE", message: `Invalid washSale.action: ${washSale.action}` });
+  }
+  if (washSale.equivalents !== undefined) {
+    const valid = Array.isArray(washSale.equivalents) && washSale.equivalents.every(
+      (group) => Array.isArray(group) && group.every((s) => typeof s === "string" && s)
+    );
+    if (!valid) {
+      issues.push({ path: "/washSale/equivalents", code: "INVALID_TYPE", message: "washSale.equivalents must be an array of symbol arrays." });
+    }
+  }
+}
+
+function checkCostsConfig(costs, issues) {
+  if (!isObject(costs)) {
+    issues.push({ path: "/costs", code: "INVALID_TYPE", message: "Policy.costs must be an object." });
+    return;
+  }
+  const outOfRange = {
+    commissionUsd: (v) => v < 0,
+    minFeeUsd: (v) => v < 0,
+    spreadBps: (v) => v < 0 || v > 10_000,
+    maxCostPct: (v) => v <= 0 || v > 1
+  };
+  for (const [name, invalid] of Object.entries(outOfRange)) {
+    const value = costs[name];
+    if (value === undefined) continue;
+    if (!isFiniteNumber(value) || invalid(value)) {
+      issues.push({ path: pointer("/costs", name), code: "OUT_OF_RANGE", message: `Invalid costs.${name}: ${value}` });
+    }
+  }
+  if (costs.spreadBpsBySymbol === undefined) return;
+  if (!isObject(costs.spreadBpsBySymbol)) {
+    issues.push({ path: "/costs/spreadBpsBySymbol", code: "INVALID_TYPE", message: "costs.spreadBpsBySymbol must be an object." });
+    return;
+  }
+  for (const [symbol, bps] of Object.entries(costs.spreadBpsBySymbol)) {
+    if (!isFiniteNumber(bps) || bps < 0 || bps > 10_000) {
+      issues.push({
+        path: pointer("/costs/spreadBpsBySymbol", symbol),
+        code: "OUT_OF_RANGE",
+        message: `Invalid costs.spreadBpsBySymbol.${symbol}: ${bps}`
+      });
+    }
+  }
+}
+
+// Each weight set must name known targets and, applied to `targets`, pass the
+// same checks as the policy's own weights. Those are only run once the
+// policy's own targets are valid, so a broken target is reported once.
+function checkGlidePath(policy, targetsValid, issues) {
+  const { glidePath } = policy;
+  if (!isObject(glidePath)) {
+    issues.push({ path: "/glidePath", code: "INVALID_TYPE", message: "Policy.glidePath must be an object." });
+    return;
+  }
+  if (glidePath.kind !== "steps" && glidePath.kind !== "linear") {
+    issues.push({ path: "/glidePath/kind", code: "INVALID_VALUE", message: `Invalid glidePath.kind: ${glidePath.kind}` });
+    return;
+  }
+  if (glidePath.kind === "steps" && (!Array.isArray(glidePath.points) || glidePath.points.length === 0)) {
+    issues.push({ path: "/glidePath/points", code: "REQUIRED", message: "glidePath.points must be a non-empty array." });
+    return;
+  }
+
+  const keys = new Set(Array.isArray(policy.targets) ? targetWeightKeys(policy.targets) : []);
+  const dateField = glidePath.kind === "steps" ? "fromIso" : "dateIso";
+  let previous = null;
+  for (const set of glidePathWeightSets(glidePath)) {
+    const label = set.path.slice(1).replace(/\//g, ".");
+    if (!isObject(set.entry)) {
+      issues.push({ path: set.path, code: "INVALID_TYPE", message: `${label} must be an object.` });
+      continue;
+    }
+    const time = typeof set.dateIso === "string" ? Date.parse(set.dateIso) : NaN;
+    if (Number.isNaN(time)) {
+      issues.push({ path: pointer(set.path, dateField), code: "INVALID_VALUE", message: `Invalid ${label}.${dateField}: ${set.dateIso}` });
+    } else if (previous !== null && time <= previous) {
+      issues.push({
+        path: pointer(set.path, dateField),
+        code: "INVALID_VALUE",
+        message: `${label}.${dateField} must be after the previous glide path date (${set.dateIso}).`
+      });
+    }
+    if (!Number.isNaN(time)) previous = time;
+
+    if (!isObject(set.weights)) {
+      issues.push({ path: pointer(set.path, "weights"), code: "REQUIRED", message: `${label}.weights must be an object.` });
+      continue;
+    }
+    let weightsValid = true;
+    for (const [key, weight] of Object.entries(set.weights)) {
+      const at = pointer(set.path, "weights", key);
+      if (!keys.has(key)) {
+        weightsValid = false;
+        issues.push({ path: at, code: "UNKNOWN_FIELD", message: `${label}.weights names no target symbol or group: ${key}` });
+      } else if (!isFiniteNumber(weight) || weight <= 0 || weight > 1) {
+        weightsValid = false;
+        issues.push({ path: at, code: "OUT_OF_RANGE", message: `Invalid ${label}.weights.${key}: ${weight}` });
+      }
+    }
+    if (!targetsValid || !weightsValid) continue;
+    const targetIssues = [];
+    checkTargetList(applyTargetWeights(policy.targets, set.weights), "/targets", null, new Set(), 1, targetIssues);
+    for (const issue of targetIssues) {
+      issues.push({ path: pointer(set.path, "weights"), code: issue.code, message: `${label} (${set.dateIso}): ${issue.message}` });
+    }
+  }
+}
+
+function checkCalendar(calendar, issues) {
+  if (!isObject(calendar)) {
+    issues.push({ path: "/rebalance/calendar", code: "INVALID_TYPE", message: "rebalance.calendar must be an object." });
+    return;
+  }
+  if (!Object.hasOwn(CALENDAR_FREQUENCIES, calendar.frequency)) {
+    issues.push({
+      path: "/rebalance/calendar/frequency",
+      code: "INVALID_VALUE",
+      message: `Invalid rebalance.calendar.frequency: ${calendar.frequency}`
+    });
+  }
+  if (typeof calendar.anchorIso !== "string" || Number.isNaN(Date.parse(calendar.anchorIso))) {
+    issues.push({
+      path: "/rebalance/calendar/anchorIso",
+      code: "INVALID_VALUE",
+      message: `Invalid rebalance.calendar.anchorIso: ${calendar.anchorIso}`
+    });
+  }
+}
+
+function checkV2Sections(policy, issues) {
+  for (const section of ["capital", "orders"]) {
+    const value = policy[section];
+    if (value === undefined) continue;
+    if (!isObject(value)) {
+      issues.push({ path: pointer("", section), code: "INVALID_TYPE", message: `Policy.${section} must be an object.` });
+      continue;
+    }
+    for (const key of Object.keys(value)) {
+      if (sectionForField(key) !== section) {
+        issues.push({ path: pointer("", section, key), code: "UNKNOWN_FIELD", message: `Unknown field ${section}.${key}.` });
+      }
+    }
+  }
+  for (const key of Object.keys(policy)) {
+    const section = sectionForField(key);
+    if (section) {
+      issues.push({ path: pointer("", key), code: "MISPLACED_FIELD", message: `Policy.${key} belongs under ${section} in version 2.` });
+    }
+  }
+}
+
+function checkDrift(drift, issues) {
+  if (!isObject(drift)) {
+    issues.push({ path: "/drift", code: "REQUIRED", message: "Policy.drift is required." });
+    return;
+  }
+  if (!["none", "band", "relative", "combined"].includes(drift.kind)) {
+    issues.push({ path: "/drift/kind", code: "INVALID_VALUE", message: `Invalid drift.kind: ${drift.kind}` });
+  }
+  if (drift.kind === "band" || drift.kind === "combined") {
+    if (!isFiniteNumber(drift.maxAbsPct) || drift.maxAbsPct < 0 || drift.maxAbsPct > 1) {
+      issues.push({ path: "/drift/maxAbsPct", code: "OUT_OF_RANGE", message: `Invalid drift.maxAbsPct: ${drift.maxAbsPct}` });
+    }
+  }
+  if (drift.kind === "relative" || drift.kind === "combined") {
+    if (!isFiniteNumber(drift.maxRelPct) || drift.maxRelPct < 0) {
+      issues.push({ path: "/drift/maxRelPct", code: "OUT_OF_RANGE", message: `Invalid drift.maxRelPct: ${drift.maxRelPct}` });
+    }
+  }
+}
 
+function checkSnapshotChecksConfig(config, issues) {
+  if (!isObject(config)) {
+    issues.push({ path: "/snapshotChecks", code: "INVALID_TYPE", message: "Policy.snapshotChecks must be an object." });
+    return;
+  }
+  const outOfRange = {
+    valueTolerancePct: (v) => v < 0 || v > 1,
+    maxAgeMinutes: (v) => v <= 0,
+    futureSkewMinutes: (v) => v < 0
+  };
+  for (const [name, invalid] of Object.entries(outOfRange)) {
+    const value = config[name];
+    if (value === undefined) continue;
+    if (!isFiniteNumber(value) || invalid(value)) {
+      issues.push({ path: pointer("/snapshotChecks", name), code: "OUT_OF_RANGE", message: `Invalid snapshotChecks.${name}: ${value}` });
+    }
+  }
+  if (config.severities === undefined) return;
+  if (!isObject(config.severities)) {
+    issues.push({ path: "/snapshotChecks/severities", code: "INVALID_TYPE", message: "snapshotChecks.severities must be an object." });
+    return;
+  }
+  for (const [code, severity] of Object.entries(config.severities)) {
+    const at = pointer("/snapshotChecks/severities", code);
+    if (!SNAPSHOT_CHECK_CODES.includes(code)) {
+      issues.push({ path: at, code: "UNKNOWN_FIELD", message: `Unknown snapshot check: ${code}` });
+    } else if (!SNAPSHOT_CHECK_SEVERITIES.includes(severity)) {
+      issues.push({ path: at, code: "INVALID_VALUE", message: `Invalid severity for snapshot check ${code}: ${severity}` });
+    }
+  }
+}
+
+/**
+ * Every problem with a policy document, as `{ path, code, message }` issues
+ * (see ValidationError). Returns an empty array for a valid policy.
+ */
+export function checkPolicy(policy) {
+  const issues = [];
+  if (!isObject(policy)) {
+    issues.push({ path: "", code: "INVALID_TYPE", message: "Policy must be an object." });
+    return issues;
+  }
+  if (policy.version !== 1 && policy.version !== 2) {
+    issues.push({ path: "/version", code: "INVALID_VALUE", message: "Policy version must be 1 or 2." });
+  }
+  if (policy.extends !== undefined) {
+    issues.push({ path: "/extends", code: "UNRESOLVED", message: "Policy.extends must be resolved with loadPolicy() before use." });
+  }
+  if (policy.version === 2) checkV2Sections(policy, issues);
+  for (const field of ["name", "description"]) {
+    if (policy[field] !== undefined && typeof policy[field] !== "string") {
+      issues.push({ path: pointer("", field), code: "INVALID_TYPE", message: `Policy.${field} must be a string.` });
+    }
+  }
+  if (!Array.isArray(policy.targets) || policy.targets.length === 0) {
+    issues.push({ path: "/targets", code: "REQUIRED", message: "Policy.targets must be a non-empty array." });
+  } else {
+    checkTargetList(policy.targets, "/targets", null, new Set(), 1, issues);
+  }
+  if (policy.glidePath !== undefined) {
+    const targetsValid = !issues.some((i) => i.path === "/targets" || i.path.startsWith("/targets/"));
+    checkGlidePath(policy, targetsValid, issues);
+  }
+
+  // v1 keeps settings at the top level; v2 moves some into sections.
+  const settings = policySettings({ ...policy, capital: isObject(policy.capital) ? policy.capital : {}, orders: isObject(policy.orders) ? policy.orders : {} });
+  const settingPath = (field) => (policy.version === 2 ? pointer("", sectionForField(field), field) : pointer("", field));
   const numericFields = [
-    ["cashBufferPct", policy.cashBufferPct, 0, 1],
-    ["minInvestAmountUsd", policy.minInvestAmountUsd, 0, Number.POSITIVE_INFINITY],
-    ["maxInvestAmountUsd", policy.maxInvestAmountUsd, 0, Number.POSITIVE_INFINITY],
-    ["minOrderUsd", policy.minOrderUsd, 0, Number.POSITIVE_INFINITY]
+    ["cashBufferPct", 0, 1],
+    ["minInvestAmountUsd", 0, Number.POSITIVE_INFINITY],
+    ["maxInvestAmountUsd", 0, Number.POSITIVE_INFINITY],
+    ["minOrderUsd", 0, Number.POSITIVE_INFINITY]
   ];
 
-  for (const [name, value, min, max] of numericFields) {
+  for (const [name, min, max] of numericFields) {
+    const value = settings[name];
     if (value === undefined) continue;
     if (!isFiniteNumber(value) || value < min || value > max) {
-      throw new Error(`Invalid ${name}: ${value}`);
+      issues.push({ path: settingPath(name), code: "OUT_OF_RANGE", message: `Invalid ${name}: ${value}` });
     }
   }
 
-  if (policy.maxOrders !== undefined) {
-    if (!Number.isInteger(policy.maxOrders) || policy.maxOrders < 1) {
-      throw new Error(`Invalid maxOrders: ${policy.maxOrders}`);
+  if (settings.maxOrders !== undefined && (!Number.isInteger(settings.maxOrders) || settings.maxOrders < 1)) {
+    issues.push({ path: settingPath("maxOrders"), code: "OUT_OF_RANGE", message: `Invalid maxOrders: ${settings.maxOrders}` });
+  }
+
+  if (policy.allowMissingPrices !== undefined && typeof policy.allowMissingPrices !== "boolean") {
+    issues.push({ path: "/allowMissingPrices", code: "INVALID_TYPE", message: "Policy.allowMissingPrices must be a boolean." });
+  }
+
+  if (policy.washSale !== undefined) checkWashSaleConfig(policy.washSale, issues);
+  if (policy.costs !== undefined) checkCostsConfig(policy.costs, issues);
+
+  if (policy.baseCurrency !== undefined && !isCurrencyCode(policy.baseCurrency)) {
+    issues.push({ path: "/baseCurrency", code: "INVALID_VALUE", message: `Invalid baseCurrency: ${policy.baseCurrency}` });
+  }
+
+  if (settings.lotSelection !== undefined && !["fifo", "hifo", "min_short_term_gain"].includes(settings.lotSelection)) {
+    issues.push({ path: settingPath("lotSelection"), code: "INVALID_VALUE", message: `Invalid lotSelection: ${settings.lotSelection}` });
+  }
+
+  if (settings.orderUnits !== undefined && settings.orderUnits !== "notional" && settings.orderUnits !== "shares") {
+    issues.push({ path: settingPath("orderUnits"), code: "INVALID_VALUE", message: `Invalid orderUnits: ${settings.orderUnits}` });
+  }
+
+  if (policy.untrackedHoldings !== undefined && !["include", "exclude", "liquidate"].includes(policy.untrackedHoldings)) {
+    issues.push({ path: "/untrackedHoldings", code: "INVALID_VALUE", message: `Invalid untrackedHoldings: ${policy.untrackedHoldings}` });
+  }
+
+  if (policy.snapshotChecks !== undefined) checkSnapshotChecksConfig(policy.snapshotChecks, issues);
+
+  checkDrift(policy.drift, issues);
+
+  if (policy.rebalance !== undefined) {
+    if (!isObject(policy.rebalance)) {
+      issues.push({ path: "/rebalance", code: "INVALID_TYPE", message: "Policy.rebalance must be an object." });
+    } else if (policy.rebalance.kind !== "cashflow" && policy.rebalance.kind !== "full") {
+      issues.push({ path: "/rebalance/kind", code: "INVALID_VALUE", message: `Invalid rebalance.kind: ${policy.rebalance.kind}` });
+    } else if (policy.rebalance.kind === "full" && policy.drift?.kind === "none" && policy.rebalance.calendar === undefined) {
+      issues.push({
+        path: "/rebalance/kind",
+        code: "CONFLICT",
+        message: "rebalance.kind \"full\" requires a drift band or a rebalance.calendar to trigger it."
+      });
     }
+    if (isObject(policy.rebalance) && policy.rebalance.calendar !== undefined) checkCalendar(policy.rebalance.calendar, issues);
+  }
+
+  return issues;
+}
+
+export function validatePolicy(policy) {
+  throwIfIssues(checkPolicy(policy));
+}
+
+function checkLots(position, path, costField, issues) {
+  const { symbol, lots } = position;
+  if (!Array.isArray(lots)) {
+    issues.push({ path: pointer(path, "lots"), code: "INVALID_TYPE", message: `Lots for ${symbol} must be an array.` });
+    return;
   }
 
-  if (!policy.drift || typeof policy.drift !== "object") {
-    throw new Error("Policy.drift is required.");
+  let lotQuantity = 0;
+  let quantitiesValid = true;
+  lots.forEach((lot, i) => {
+    const at = pointer(path, "lots", i);
+    if (!lot || typeof lot.acquiredIso !== "string" || Number.isNaN(Date.parse(lot.acquiredIso))) {
+      issues.push({ path: pointer(at, "acquiredIso"), code: "INVALID_VALUE", message: `Invalid lot acquiredIso for ${symbol}.` });
+    }
+    if (!isFiniteNumber(lot?.quantity) || lot.quantity <= 0) {
+      quantitiesValid = false;
+      issues.push({ path: pointer(at, "quantity"), code: "OUT_OF_RANGE", message: `Invalid lot quantity for ${symbol}.` });
+    } else {
+      lotQuantity += lot.quantity;
+    }
+    if (!isFiniteNumber(lot?.[costField]) || lot[costField] < 0) {
+      issues.push({ path: pointer(at, costField), code: "OUT_OF_RANGE", message: `Invalid lot ${costField} for ${symbol}.` });
+    }
+  });
+
+  if (quantitiesValid && isFiniteNumber(position.quantity) && Math.abs(lotQuantity - position.quantity) > 1e-6) {
+    issues.push({
+      path: pointer(path, "lots"),
+      code: "CONFLICT",
+      message: `Lot quantities for ${symbol} (${lotQuantity}) do not sum to position quantity (${position.quantity}).`
+    });
   }
-  if (policy.drift.kind !== "none" && policy.drift.kind !== "band") {
-    throw new Error(`Invalid drift.kind: ${policy.drift.kind}`);
+}
+
+function checkPrices(prices, field, issues) {
+  if (!isObject(prices)) {
+    issues.push({ path: pointer("", field), code: "INVALID_TYPE", message: `Snapshot.${field} must be an object map of symbol->price.` });
+    return;
   }
-  if (policy.drift.kind === "band") {
-    if (!isFiniteNumber(policy.drift.maxAbsPct) || policy.drift.maxAbsPct < 0 || policy.drift.maxAbsPct > 1) {
-      throw new Error(`Invalid drift.maxAbsPct: ${policy.drift.maxAbsPct}`);
+
+  for (const [symbol, price] of Object.entries(prices)) {
+    if (!symbol) {
+      issues.push({ path: pointer("", field, symbol), code: "INVALID_VALUE", message: `Snapshot.${field} keys must be symbols.` });
+    } else if (!isFiniteNumber(price) || price <= 0) {
+      issues.push({ path: pointer("", field, symbol), code: "OUT_OF_RANGE", message: `Invalid price for ${symbol}.` });
     }
   }
 }
 
+function checkPositions(positions, valueField, costField, issues) {
+  if (!Array.isArray(positions)) {
+    issues.push({ path: "/positions", code: "INVALID_TYPE", message: "Snapshot.positions must be an array." });
+    return;
+  }
+
+  positions.forEach((p, i) => {
+    const at = pointer("/positions", i);
+    if (!isObject(p) || !p.symbol || typeof p.symbol !== "string") {
+      issues.push({ path: pointer(at, "symbol"), code: "REQUIRED", message: "Each position must have a symbol." });
+      return;
+    }
+    if (!isFiniteNumber(p.quantity) || p.quantity < 0) {
+      issues.push({ path: pointer(at, "quantity"), code: "OUT_OF_RANGE", message: `Invalid quantity for ${p.symbol}.` });
+    }
+    if (!isFiniteNumber(p[valueField]) || p[valueField] < 0) {
+      issues.push({ path: pointer(at, valueField), code: "OUT_OF_RANGE", message: `Invalid ${valueField} for ${p.symbol}.` });
+    }
+    if (p.lots !== undefined) checkLots(p, at, costField, issues);
+  });
+}
+
+function isCurrencyCode(code) {
+  return typeof code === "string" && /^[A-Z]{3}$/.test(code);
+}
+
+function checkMultiCurrencySnapshot(snapshot, issues) {
+  const { cashBalances, currencies = {}, fxRates } = snapshot;
+
+  let rates = {};
+  if (!isObject(fxRates) || !isCurrencyCode(fxRates.base)) {
+    issues.push({ path: "/fxRates/base", code: "REQUIRED", message: "Snapshot.fxRates must have a base currency code." });
+  }
+  if (!isObject(fxRates?.rates)) {
+    issues.push({ path: "/fxRates/rates", code: "INVALID_TYPE", message: "Snapshot.fxRates.rates must be an object." });
+  } else {
+    rates = fxRates.rates;
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!isCurrencyCode(currency) || !isFiniteNumber(rate) || rate <= 0) {
+        issues.push({ path: pointer("/fxRates/rates", currency), code: "INVALID_VALUE", message: `Invalid FX rate for ${currency}: ${rate}` });
+      }
+    }
+  }
+  const hasRate = (currency) => currency === fxRates?.base || rates[currency] !== undefined;
+
+  if (!isObject(cashBalances)) {
+    issues.push({ path: "/cashBalances", code: "INVALID_TYPE", message: "Snapshot.cashBalances must be an object." });
+  } else {
+    for (const [currency, amount] of Object.entries(cashBalances)) {
+      const at = pointer("/cashBalances", currency);
+      if (!isCurrencyCode(currency)) {
+        issues.push({ path: at, code: "INVALID_VALUE", message: `Invalid cash currency: ${currency}` });
+        continue;
+      }
+      if (!isFiniteNumber(amount) || amount < 0) {
+        issues.push({ path: at, code: "OUT_OF_RANGE", message: `Snapshot.cashBalances.${currency} must be >= 0.` });
+      }
+      if (!hasRate(currency)) issues.push({ path: at, code: "REQUIRED", message: `Missing FX rate for ${currency}.` });
+    }
+  }
+
+  if (!isObject(currencies)) {
+    issues.push({ path: "/currencies", code: "INVALID_TYPE", message: "Snapshot.currencies must be an object map of symbol->currency." });
+  } else {
+    for (const [symbol, currency] of Object.entries(currencies)) {
+      const at = pointer("/currencies", symbol);
+      if (!isCurrencyCode(currency)) {
+        issues.push({ path: at, code: "INVALID_VALUE", message: `Invalid currency for ${symbol}: ${currency}` });
+      } else if (!hasRate(currency)) {
+        issues.push({ path: at, code: "REQUIRED", message: `Missing FX rate for ${currency}.` });
+      }
+    }
+  }
+
+  checkPositions(snapshot.positions, "marketValue", "costBasis", issues);
+  checkPrices(snapshot.prices, "prices", issues);
+}
+
+/**
+ * Every problem with a snapshot (single- or multi-currency), as
+ * `{ path, code, message }` issues. Returns an empty array for a valid snapshot.
+ */
+export function checkSnapshot(snapshot) {
+  const issues = [];
+  if (!isObject(snapshot)) {
+    issues.push({ path: "", code: "INVALID_TYPE", message: "Snapshot must be an object." });
+    return issues;
+  }
+  if (typeof snapshot.asOfIso !== "string") {
+    issues.push({ path: "/asOfIso", code: "REQUIRED", message: "Snapshot.asOfIso must be an ISO string." });
+  }
+  if (isMultiCurrencySnapshot(snapshot)) {
+    checkMultiCurrencySnapshot(snapshot, issues);
+    return issues;
+  }
+
+  if (!isFiniteNumber(snapshot.cashUsd) || snapshot.cashUsd < 0) {
+    issues.push({ path: "/cashUsd", code: "OUT_OF_RANGE", message: "Snapshot.cashUsd must be >= 0." });
+  }
+  checkPrices(snapshot.pricesUsd, "pricesUsd", issues);
+  checkPositions(snapshot.positions, "marketValueUsd", "costBasisUsd", issues);
+  return issues;
+}
+
 export function validateSnapshot(snapshot) {
-  if (!snapshot || typeof snapshot !== "object") throw new Error("Snapshot must be an object.");
-  if (typeof snapshot.asOfIso !== "string") throw new Error("Snapshot.asOfIso must be an ISO string.");
-  if (!isFiniteNumber(snapshot.cashUsd) || snapshot.cashUsd < 0) throw new Error("Snapshot.cashUsd must be >= 0.");
-  if (!Array.isArray(snapshot.positions)) throw new Error("Snapshot.positions must be an array.");
-  if (!snapshot.pricesUsd || typeof snapshot.pricesUsd !== "object") {
-    throw new Error("Snapshot.pricesUsd must be an object map of symbol->price.");
+  throwIfIssues(checkSnapshot(snapshot));
+}
+
+/**
+ * Sanity checks on a structurally valid snapshot: timestamp parses and is
+ * neither in the future nor older than `maxAgeMinutes`, each symbol is held
+ * once, every held position has a price, and `quantity * price` agrees with
+ * the reported market value within `valueTolerancePct`.
+ *
+ * `checks` is the policy's `snapshotChecks`. Without it every check only warns;
+ * once a policy sets `snapshotChecks`, checks default to severity "error" and
+ * `checks.severities` can lower one to "warning" or turn it "off".
+ *
+ * @param {Object} snapshot
+ * @param {Object} [checks] - policy.snapshotChecks
+ * @param {Object} [options]
+ * @param {string} [options.nowIso] - Reference time for age checks (default: now)
+ * @returns {Array<{ path: string, code: string, severity: string, message: string }>}
+ */
+export function checkSnapshotConsistency(snapshot, checks, { nowIso = new Date().toISOString() } = {}) {
+  const { valueTolerancePct, maxAgeMinutes, futureSkewMinutes } = { ...SNAPSHOT_CHECK_DEFAULTS, ...checks };
+  const defaultSeverity = checks ? "error" : "warning";
+  const issues = [];
+  const add = (path, code, message) => {
+    const severity = checks?.severities?.[code] ?? defaultSeverity;
+    if (severity !== "off") issues.push({ path, code, severity, message });
+  };
+
+  const asOfMs = Date.parse(snapshot.asOfIso);
+  const nowMs = Date.parse(nowIso);
+  if (Number.isNaN(asOfMs)) {
+    add("/asOfIso", "INVALID_TIMESTAMP", `Snapshot.asOfIso is not a valid timestamp: ${snapshot.asOfIso}`);
+  } else if (asOfMs - nowMs > futureSkewMinutes * 60000) {
+    add("/asOfIso", "FUTURE_TIMESTAMP", `Snapshot.asOfIso ${snapshot.asOfIso} is in the future.`);
+  } else if (nowMs - asOfMs > maxAgeMinutes * 60000) {
+    const ageMinutes = Math.round((nowMs - asOfMs) / 60000);
+    add("/asOfIso", "STALE_SNAPSHOT", `Snapshot is ${ageMinutes} minutes old (max ${maxAgeMinutes}).`);
   }
 
-  for (const [symbol, price] of Object.entries(snapshot.pricesUsd)) {
-    if (!symbol || typeof symbol !== "string") {
-      throw new Error("Snapshot.pricesUsd keys must be symbols.");
+  const multiCurrency = isMultiCurrencySnapshot(snapshot);
+  const priceField = multiCurrency ? "prices" : "pricesUsd";
+  const valueField = multiCurrency ? "marketValue" : "marketValueUsd";
+  const prices = snapshot[priceField] ?? {};
+  const seen = new Set();
+
+  snapshot.positions.forEach((p, i) => {
+    const at = pointer("/positions", i);
+    if (seen.has(p.symbol)) add(pointer(at, "symbol"), "DUPLICATE_POSITION", `Duplicate position for ${p.symbol}.`);
+    seen.add(p.symbol);
+    if (p.quantity === 0) return;
+
+    const price = prices[p.symbol];
+    if (price === undefined) {
+      add(pointer("", priceField, p.symbol), "MISSING_PRICE", `No price for held position ${p.symbol}.`);
+      return;
     }
-    if (!isFiniteNumber(price) || price <= 0) {
-      throw new Error(`Invalid price for ${symbol}.`);
+    const expected = p.quantity * price;
+    const diff = Math.abs(p[valueField] - expected);
+    if (diff > Math.max(0.01, valueTolerancePct * expected)) {
+      add(
+        pointer(at, valueField),
+        "VALUE_MISMATCH",
+        `${valueField} for ${p.symbol} (${p[valueField].toFixed(2)}) differs from quantity * price (${expected.toFixed(2)}) ` +
+          `by more than ${(valueTolerancePct * 100).toFixed(2)}%.`
+      );
     }
+  });
+
+  return issues;
+}
+
+export function validateTradeHistory(trades) {
+  const issues = [];
+  if (!Array.isArray(trades)) {
+    issues.push({ path: "", code: "INVALID_TYPE", message: "Trade history must be an array." });
+    throwIfIssues(issues);
   }
 
-  for (const p of snapshot.positions) {
-    if (!p.symbol || typeof p.symbol !== "string") throw new Error("Each position must have a symbol.");
-    if (!isFiniteNumber(p.quantity) || p.quantity < 0) throw new Error(`Invalid quantity for ${p.symbol}.`);
-    if (!isFiniteNumber(p.marketValueUsd) || p.marketValueUsd < 0) {
-      throw new Error(`Invalid marketValueUsd for ${p.symbol}.`);
+  trades.forEach((t, i) => {
+    const at = pointer("", i);
+    if (!t || !t.symbol || typeof t.symbol !== "string") {
+      issues.push({ path: pointer(at, "symbol"), code: "REQUIRED", message: "Each trade must have a symbol." });
+      return;
     }
+    if (t.side !== "BUY" && t.side !== "SELL") {
+      issues.push({ path: pointer(at, "side"), code: "INVALID_VALUE", message: `Invalid side for trade of ${t.symbol}: ${t.side}` });
+    }
+    if (typeof t.executedIso !== "string" || Number.isNaN(Date.parse(t.executedIso))) {
+      issues.push({ path: pointer(at, "executedIso"), code: "INVALID_VALUE", message: `Invalid executedIso for trade of ${t.symbol}.` });
+    }
+    if (t.realizedGainUsd !== undefined && !isFiniteNumber(t.realizedGainUsd)) {
+      issues.push({ path: pointer(at, "realizedGainUsd"), code: "INVALID_TYPE", message: `Invalid realizedGainUsd for trade of ${t.symbol}.` });
+    }
+  });
+  throwIfIssues(issues);
+}
+
+export function validateAccounts(accounts) {
+  const issues = [];
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    issues.push({ path: "", code: "REQUIRED", message: "Accounts must be a non-empty array." });
+    throwIfIssues(issues);
   }
+
+  const ids = new Set();
+  accounts.forEach((a, i) => {
+    const at = pointer("", i);
+    if (!a || typeof a.id !== "string" || !a.id) {
+      issues.push({ path: pointer(at, "id"), code: "REQUIRED", message: "Each account must have an id." });
+      return;
+    }
+    if (ids.has(a.id)) issues.push({ path: pointer(at, "id"), code: "DUPLICATE", message: `Duplicate account id: ${a.id}` });
+    ids.add(a.id);
+    if (!ACCOUNT_TYPES.includes(a.type)) {
+      issues.push({ path: pointer(at, "type"), code: "INVALID_VALUE", message: `Invalid type for account ${a.id}: ${a.type}` });
+    }
+    if (a.tradeableSymbols !== undefined) {
+      const valid = Array.isArray(a.tradeableSymbols) && a.tradeableSymbols.every((s) => typeof s === "string" && s);
+      if (!valid) {
+        issues.push({ path: pointer(at, "tradeableSymbols"), code: "INVALID_TYPE", message: `Account ${a.id} tradeableSymbols must be an array of symbols.` });
+      }
+    }
+    for (const issue of checkSnapshot(a.snapshot)) {
+      issues.push({ ...issue, path: pointer(at, "snapshot") + issue.path, message: `Account ${a.id}: ${issue.message}` });
+    }
+    if (isMultiCurrencySnapshot(a.snapshot)) {
+      issues.push({
+        path: pointer(at, "snapshot"),
+        code: "INVALID_VALUE",
+        message: `Account ${a.id}: multi-currency snapshots are not supported for household allocation.`
+      });
+    }
+  });
+  throwIfIssues(issues);
 }
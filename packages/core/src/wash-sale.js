@@ -0,0 +1,73 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function equivalentsOf(symbol, equivalents) {
+  const set = new Set([symbol]);
+  for (const group of equivalents) {
+    if (group.includes(symbol)) for (const s of group) set.add(s);
+  }
+  return set;
+}
+
+/**
+ * Find target symbols whose purchase would trigger a wash sale: a SELL at a
+ * loss of the same (or a substantially identical) symbol within `windowDays`
+ * before the snapshot. The most recent blocking trade is kept per symbol.
+ *
+ * @param {string[]} symbols - Candidate buy symbols
+ * @param {Object[]} tradeHistory - [{ symbol, side, executedIso, realizedGainUsd? }]
+ * @param {Object} options
+ * @param {string} options.asOfIso
+ * @param {number} options.windowDays
+ * @param {string[][]} options.equivalents - Groups of substantially identical symbols
+ * @returns {Map<string, Object>} symbol -> blocking trade
+ */
+export function findWashSaleBlocks(symbols, tradeHistory, { asOfIso, windowDays, equivalents }) {
+  const asOfMs = Date.parse(asOfIso);
+  const blocks = new Map();
+
+  for (const symbol of symbols) {
+    const identical = equivalentsOf(symbol, equivalents);
+    for (const trade of tradeHistory) {
+      if (trade.side !== "SELL" || !(trade.realizedGainUsd < 0) || !identical.has(trade.symbol)) continue;
+
+      const ageMs = asOfMs - Date.parse(trade.executedIso);
+      if (ageMs < 0 || ageMs > windowDays * DAY_MS) continue;
+
+      const current = blocks.get(symbol);
+      if (!current || trade.executedIso > current.executedIso) blocks.set(symbol, trade);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Remove blocked symbols from a map of positive buy amounts. With
+ * action "redirect" their amount is re-spread pro-rata over the remaining buys.
+ *
+ * @returns {{ amounts: Map<string, number>, blocked: Array<{ symbol, amountUsd }>, receivers: Set<string> }}
+ */
+export function applyWashSaleGuard(amounts, blocks, action) {
+  const out = new Map(amounts);
+  const blocked = [];
+  let freedUsd = 0;
+
+  for (const [symbol, amountUsd] of amounts.entries()) {
+    if (amountUsd <= 0 || !blocks.has(symbol)) continue;
+    out.set(symbol, 0);
+    blocked.push({ symbol, amountUsd });
+    freedUsd += amountUsd;
+  }
+
+  const receivers = new Set();
+  if (action !== "redirect" || freedUsd <= 0) return { amounts: out, blocked, receivers };
+
+  const open = [...out.entries()].filter(([symbol, amountUsd]) => amountUsd > 0 && !blocks.has(symbol));
+  const openUsd = open.reduce((acc, [, amountUsd]) => acc + amountUsd, 0);
+  if (openUsd <= 0) return { amounts: out, blocked, receivers };
+
+  for (const [symbol, amountUsd] of open) {
+    out.set(symbol, amountUsd + freedUsd * (amountUsd / openUsd));
+    receivers.add(symbol);
+  }
+  return { amounts: out, blocked, receivers };
+}
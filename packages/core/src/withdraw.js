@@ -0,0 +1,140 @@
+import { validPrice } from "./equivalents.js";
+import { ceilToStep, floorCents, fromCents, sumUsd } from "./money.js";
+import { NOTE_CODES, makeNote, usd } from "./notes.js";
+
+/**
+ * Holding level L such that selling every holding down to `targetWeight * L`
+ * raises `sellUsd`: the most overweight holdings (highest value/weight) are
+ * sold first, and everything sold ends at the same fraction of its target.
+ */
+function sellLevel(holdings, sellUsd) {
+  const sorted = [...holdings].sort((a, b) => b.valueUsd / b.targetWeight - a.valueUsd / a.targetWeight);
+  let valueUsd = 0;
+  let weight = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    valueUsd += sorted[i].valueUsd;
+    weight += sorted[i].targetWeight;
+    const level = (valueUsd - sellUsd) / weight;
+    const next = sorted[i + 1];
+    if (!next || level >= next.valueUsd / next.targetWeight) return Math.max(0, level);
+  }
+  return 0;
+}
+
+function computeSells(holdings, sellUsd) {
+  const capacityUsd = holdings.reduce((acc, h) => acc + h.valueUsd, 0);
+  const sells = new Map();
+  if (sellUsd >= capacityUsd) {
+    for (const h of holdings) sells.set(h.symbol, h.valueUsd);
+    return sells;
+  }
+  const level = sellLevel(holdings, sellUsd);
+  for (const h of holdings) sells.set(h.symbol, Math.max(0, h.valueUsd - h.targetWeight * level));
+  return sells;
+}
+
+/**
+ * Plan SELL legs that raise cash for a withdrawal of `withdrawUsd`, keeping
+ * `cashBufferPct` of the post-withdrawal value in cash. Sells come from the
+ * most overweight targets first; legs under minOrderUsd, or beyond maxOrders,
+ * are dropped and their share re-spread over the remaining holdings. Only a
+ * target's own symbol is sold, and only when it has a price; equivalent
+ * holdings are left in place. In share mode only whole held shares are sold.
+ *
+ * @returns {{ legs: Object[], plannedSellUsd: number, notes: Object[], dropped: Object[], sellNeededUsd: number }}
+ */
+export function planWithdrawal({ policy, defs, weights, snapshot, totalValueUsd, withdrawUsd, roundToUsd }) {
+  const notes = [];
+  const dropped = [];
+  const postTotalUsd = Math.max(0, totalValueUsd - withdrawUsd);
+  const bufferUsd = defs.cashBufferPct * postTotalUsd;
+  const sellNeededUsd = Math.max(0, withdrawUsd + bufferUsd - snapshot.cashUsd);
+
+  if (sellNeededUsd <= 0) {
+    notes.push(makeNote(
+      NOTE_CODES.WITHDRAWAL_COVERED_BY_CASH,
+      `Cash ($${snapshot.cashUsd.toFixed(2)}) already covers the $${withdrawUsd.toFixed(2)} withdrawal and $${bufferUsd.toFixed(2)} buffer; no sells needed.`,
+      { withdrawalUsd: usd(withdrawUsd), cashUsd: usd(snapshot.cashUsd), bufferUsd: usd(bufferUsd) }
+    ));
+    return { legs: [], plannedSellUsd: 0, notes, dropped, sellNeededUsd: 0 };
+  }
+
+  const quantityOf = new Map();
+  for (const p of snapshot.positions) quantityOf.set(p.symbol, (quantityOf.get(p.symbol) || 0) + p.quantity);
+  const wholeShares = (symbol) => Math.floor((quantityOf.get(symbol) ?? 0) + 1e-9);
+  const sellableUsd = (symbol) => {
+    const { sellableValue } = weights.get(symbol);
+    return defs.orderUnits === "shares" ? Math.min(sellableValue, wholeShares(symbol) * snapshot.pricesUsd[symbol]) : sellableValue;
+  };
+
+  const minOrderOf = new Map(policy.targets.map((t) => [t.symbol, t.minOrderUsd ?? defs.minOrderUsd]));
+  let holdings = policy.targets
+    .filter((t) => weights.has(t.symbol) && validPrice(snapshot.pricesUsd, t.symbol) && sellableUsd(t.symbol) > 0)
+    .map((t) => ({ symbol: t.symbol, targetWeight: t.targetWeight, valueUsd: sellableUsd(t.symbol) }));
+
+  // Each pass removes at least one holding, so this terminates.
+  let sells = computeSells(holdings, sellNeededUsd);
+  for (;;) {
+    const small = holdings.filter((h) => sells.get(h.symbol) > 0 && ceilToStep(sells.get(h.symbol), roundToUsd) < minOrderOf.get(h.symbol));
+    if (small.length > 0) {
+      for (const h of small) dropped.push({ symbol: h.symbol, side: "SELL", notionalUsd: usd(sells.get(h.symbol)), reason: "BELOW_MIN_ORDER" });
+      holdings = holdings.filter((h) => !small.includes(h));
+      sells = computeSells(holdings, sellNeededUsd);
+      continue;
+    }
+    const selling = holdings.filter((h) => sells.get(h.symbol) > 0);
+    if (selling.length > defs.maxOrders) {
+      const smallest = selling.reduce((min, h) => (sells.get(h.symbol) < sells.get(min.symbol) ? h : min));
+      dropped.push({ symbol: smallest.symbol, side: "SELL", notionalUsd: usd(sells.get(smallest.symbol)), reason: "MAX_ORDERS" });
+      holdings = holdings.filter((h) => h !== smallest);
+      sells = computeSells(holdings, sellNeededUsd);
+      continue;
+    }
+    break;
+  }
+
+  const legs = [];
+  for (const h of holdings) {
+    const raw = sells.get(h.symbol);
+    if (!(raw > 0)) continue;
+    const w = weights.get(h.symbol);
+    // Round sells up so the withdrawal is covered, but never past the position.
+    let notionalUsd = Math.min(h.valueUsd, ceilToStep(raw, roundToUsd));
+    const leg = {
+      symbol: h.symbol,
+      side: "SELL",
+      notionalUsd: usd(notionalUsd),
+      reasonCodes: w.currentWeight > w.targetWeight ? ["OVERWEIGHT_TRIM", "WITHDRAWAL"] : ["WITHDRAWAL"],
+      targetWeight: w.targetWeight,
+      currentWeight: w.currentWeight
+    };
+    if (defs.orderUnits === "shares") {
+      const priceUsd = snapshot.pricesUsd[h.symbol];
+      leg.quantity = Math.min(wholeShares(h.symbol), Math.ceil(notionalUsd / priceUsd - 1e-9));
+      leg.estimatedNotionalUsd = fromCents(floorCents(leg.quantity * priceUsd));
+      notionalUsd = leg.estimatedNotionalUsd;
+      leg.notionalUsd = notionalUsd;
+    }
+    leg.postBuyEstimatedWeight = postTotalUsd > 0 ? (w.currentValue - notionalUsd) / postTotalUsd : 0;
+    legs.push(leg);
+  }
+
+  const plannedSellUsd = sumUsd(legs.map((l) => l.notionalUsd));
+  notes.push(makeNote(
+    NOTE_CODES.WITHDRAWAL_PLANNED,
+    `Withdrawal of $${withdrawUsd.toFixed(2)}: selling $${plannedSellUsd.toFixed(2)} alongside $${snapshot.cashUsd.toFixed(2)} cash, ` +
+      `keeping a $${bufferUsd.toFixed(2)} buffer.`,
+    { withdrawalUsd: usd(withdrawUsd), sellUsd: usd(plannedSellUsd), cashUsd: usd(snapshot.cashUsd), bufferUsd: usd(bufferUsd) }
+  ));
+
+  const shortfallUsd = sellNeededUsd - plannedSellUsd;
+  if (shortfallUsd > 0.005) {
+    notes.push(makeNote(
+      NOTE_CODES.WITHDRAWAL_SHORTFALL,
+      `Sells fall $${shortfallUsd.toFixed(2)} short of the cash needed for the withdrawal and buffer.`,
+      { shortfallUsd: usd(shortfallUsd) }
+    ));
+  }
+
+  return { legs, plannedSellUsd, notes, dropped, sellNeededUsd };
+}
@@ -1,75 +1,296 @@
-import { readFile } from "node:fs/promises";
 import { allocate } from "../../core/src/allocate.js";
+import { loadPolicy } from "../../core/src/loader.js";
+import { flattenTargets } from "../../core/src/targets.js";
+import { checkSnapshotConsistency } from "../../core/src/validate.js";
+import { readLastRebalance, recordRebalance } from "./state.js";
+
+/**
+ * Order legs for submission: sells first so their proceeds can fund the buys.
+ * Relative order within each side is preserved.
+ */
+export function orderLegsForExecution(legs) {
+  return [...legs.filter((l) => l.side === "SELL"), ...legs.filter((l) => l.side !== "SELL")];
+}
+
+/**
+ * Render a plan note for the console: warnings are flagged and suffixed with
+ * their code. Plain string notes (the legacy format) pass through unchanged.
+ */
+export function formatNote(note) {
+  if (typeof note === "string") return note;
+  return note.severity === "warning" ? `⚠️  ${note.message} [${note.code}]` : note.message;
+}
+
+function pctText(weight) {
+  return `${(weight * 100).toFixed(2)}%`;
+}
+
+function usdText(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Left-align the first column and right-align the rest.
+function formatTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  return [header, ...rows].map((row) =>
+    row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("   ")
+  );
+}
+
+function formatTraceStep(entry) {
+  switch (entry.step) {
+    case "totals":
+      return [`Totals: equity ${usdText(entry.equityUsd)} + cash ${usdText(entry.cashUsd)} = ${usdText(entry.totalValueUsd)}`];
+    case "investable_cash":
+      return [
+        `Investable cash: buffer ${usdText(entry.bufferUsd)} (${pctText(entry.cashBufferPct)}), ` +
+          `max invest ${entry.maxInvestAmountUsd === null ? "none" : usdText(entry.maxInvestAmountUsd)}, ` +
+          `min invest ${usdText(entry.minInvestAmountUsd)} → ${usdText(entry.investableCashUsd)}` +
+          (entry.belowMinimum ? " (below minimum)" : "")
+      ];
+    case "weights":
+      return ["Weights:", ...formatTable(
+        ["Symbol", "Value", "Current", "Target", "Deviation"],
+        entry.symbols.map((w) => [
+          w.symbol,
+          usdText(w.currentValueUsd),
+          pctText(w.currentWeight),
+          pctText(w.targetWeight),
+          `${w.deviation >= 0 ? "+" : ""}${pctText(w.deviation)}`
+        ])
+      ).map((line) => `   ${line}`)];
+    case "band_check":
+      return [
+        `Band check (${entry.driftKind}): ` +
+          (entry.outsideBand ? `outside band (${entry.breaches.join(", ")})` : "within band") +
+          (entry.calendarDue ? ", calendar rebalance due" : "")
+      ];
+    case "mode":
+      return [`Mode: ${entry.mode}`];
+    case "raw_amounts":
+      if (entry.amounts.length === 0) return ["Raw amounts: none"];
+      return ["Raw amounts (before rounding):", ...formatTable(
+        ["Symbol", "Side", "Amount"],
+        entry.amounts.map((a) => [a.symbol, a.side, usdText(a.amountUsd)])
+      ).map((line) => `   ${line}`)];
+    case "costs":
+      return [`Costs: estimated ${usdText(entry.estimatedCostUsd)}, budget after costs ${usdText(entry.budgetUsd)}`];
+    case "dropped_legs":
+      if (entry.legs.length === 0) return ["Dropped legs: none"];
+      return ["Dropped legs:", ...formatTable(
+        ["Symbol", "Side", "Amount", "Reason"],
+        entry.legs.map((l) => [l.symbol, l.side, usdText(l.notionalUsd), l.reason])
+      ).map((line) => `   ${line}`)];
+    case "result":
+      return [
+        `Result: ${entry.status}, spend ${usdText(entry.plannedSpendUsd)}, ` +
+          `sells ${usdText(entry.plannedSellUsd)}, ${entry.legs} leg(s)`
+      ];
+    default:
+      return [`${entry.step}: ${JSON.stringify(entry)}`];
+  }
+}
+
+/**
+ * Render an `explain` trace as numbered steps, with tables for per-symbol data.
+ */
+export function formatTrace(trace) {
+  const lines = [];
+  trace.forEach((entry, i) => {
+    const [first, ...rest] = formatTraceStep(entry);
+    lines.push(`${i + 1}. ${first}`, ...rest.map((line) => `   ${line}`));
+  });
+  return lines;
+}
 
 /**
  * Run once: load policy, fetch snapshot, compute allocation plan, and optionally execute.
  *
  * @param {Object} options
- * @param {string} options.policyPath - Path to policy JSON file
- * @param {Object} options.broker - Broker interface with methods: getSnapshot(), executeOrders(legs), isPaper()
+ * @param {string} options.policyPath - Path to policy file (.json, .jsonc or .yaml; may `extends` other policy files)
+ * @param {Object} options.broker - Broker interface with methods: getSnapshot(), executeOrders(legs), isPaper().
+ *   executeOrders receives legs with a `side` of "BUY" or "SELL", sells first. An optional
+ *   getTradeHistory() supplies recent trades for the wash-sale guard.
  * @param {boolean} options.dryRun - If true, only print plan without executing (default: true)
  * @param {boolean} options.execute - If true and dryRun is false, execute orders (default: false)
  * @param {boolean} options.silent - If true, suppress console output (default: false)
- * @returns {Promise<Object>} The allocation plan result
+ * @param {boolean} options.explain - If true, attach the allocation trace to the plan and print it (default: false)
+ * @param {string} [options.notesFormat] - "structured" (default) or "strings" for plain string plan notes
+ * @param {number} [options.withdrawUsd] - If set, plan SELL legs that raise this much cash instead of investing
+ * @param {string} [options.nowIso] - Reference time for the snapshot age checks (default: now)
+ * @param {string} [options.statePath] - Run state file holding each policy's last rebalance. Required
+ *   when the policy has a `rebalance.calendar`; an executed plan that was due on the calendar is
+ *   recorded there as of the snapshot time.
+ * @returns {Promise<Object>} `{ plan, snapshotIssues, execution? }`. When any snapshot check configured
+ *   by `policy.snapshotChecks` reports an error, nothing is planned or executed and `plan` is null.
  */
-export async function runOnce({ policyPath, broker, dryRun = true, execute = false, silent = false }) {
+export async function runOnce({
+  policyPath,
+  broker,
+  dryRun = true,
+  execute = false,
+  silent = false,
+  explain = false,
+  notesFormat,
+  withdrawUsd,
+  nowIso = new Date().toISOString(),
+  statePath
+}) {
   const log = silent ? () => {} : console.log;
   // Enforce paper-only trading
   if (!broker.isPaper()) {
     throw new Error("SAFETY: Only paper trading is supported. Broker must be in paper mode.");
   }
 
-  // Load policy
-  const policyData = await readFile(policyPath, "utf-8");
-  const policy = JSON.parse(policyData);
+  // Load policy, resolving any `extends` chain
+  const policy = await loadPolicy(policyPath);
 
   log(`📋 Loaded policy: ${policy.name || "Unnamed"}`);
-  log(`   Targets: ${policy.targets.map(t => `${t.symbol} (${(t.targetWeight * 100).toFixed(1)}%)`).join(", ")}`);
+  const { leaves } = flattenTargets(policy.targets);
+  log(`   Targets: ${leaves.map(t => `${t.symbol} (${(t.targetWeight * 100).toFixed(1)}%)`).join(", ")}`);
+
+  const calendar = policy.rebalance?.calendar;
+  if (calendar && !statePath) {
+    throw new Error("Policy rebalance.calendar needs a statePath to track the last rebalance.");
+  }
+  const lastRebalanceIso = calendar ? await readLastRebalance(statePath, policyPath) : null;
 
   // Fetch current snapshot from broker
   log("\n📊 Fetching account snapshot from broker...");
   const snapshot = await broker.getSnapshot();
 
-  log(`   Cash: $${snapshot.cashUsd.toFixed(2)}`);
-  log(`   Positions: ${snapshot.positions.length} holdings`);
-  for (const pos of snapshot.positions) {
-    log(`     - ${pos.symbol}: ${pos.quantity} shares @ $${snapshot.pricesUsd[pos.symbol]?.toFixed(2) || "N/A"} = $${pos.marketValueUsd.toFixed(2)}`);
+  if (snapshot.cashBalances) {
+    log(`   Cash: ${Object.entries(snapshot.cashBalances).map(([ccy, amount]) => `${amount.toFixed(2)} ${ccy}`).join(", ")}`);
+    log(`   Positions: ${snapshot.positions.length} holdings`);
+    for (const pos of snapshot.positions) {
+      const ccy = snapshot.currencies?.[pos.symbol] ?? snapshot.fxRates.base;
+      log(`     - ${pos.symbol}: ${pos.quantity} shares @ ${snapshot.prices[pos.symbol]?.toFixed(2) || "N/A"} = ${pos.marketValue.toFixed(2)} ${ccy}`);
+    }
+  } else {
+    log(`   Cash: $${snapshot.cashUsd.toFixed(2)}`);
+    log(`   Positions: ${snapshot.positions.length} holdings`);
+    for (const pos of snapshot.positions) {
+      log(`     - ${pos.symbol}: ${pos.quantity} shares @ $${snapshot.pricesUsd[pos.symbol]?.toFixed(2) || "N/A"} = $${pos.marketValueUsd.toFixed(2)}`);
+    }
+  }
+
+  // Check the snapshot before planning on it
+  const snapshotIssues = checkSnapshotConsistency(snapshot, policy.snapshotChecks, { nowIso });
+  if (snapshotIssues.length > 0) {
+    log("\n🩺 Snapshot Checks:");
+    for (const issue of snapshotIssues) {
+      log(`   - ${issue.severity === "error" ? "❌" : "⚠️ "} ${issue.message} [${issue.code}]`);
+    }
+  }
+  if (snapshotIssues.some((i) => i.severity === "error")) {
+    log("\n⛔ Snapshot checks failed - No plan computed");
+    return { plan: null, snapshotIssues };
   }
 
   // Compute allocation plan
   log("\n🧮 Computing allocation plan...");
-  const plan = allocate(policy, snapshot);
+  const tradeHistory = typeof broker.getTradeHistory === "function" ? await broker.getTradeHistory() : undefined;
+  const plan = allocate(policy, snapshot, { tradeHistory, explain, notesFormat, withdrawUsd, lastRebalanceIso });
 
   // Print plan summary
   log(`\n📈 Plan Status: ${plan.status}`);
+  if (plan.baseCurrency) log(`   Base Currency: ${plan.baseCurrency}`);
   log(`   Total Value: $${plan.totalValueUsd.toFixed(2)}`);
   log(`   Cash: $${plan.cashUsd.toFixed(2)}`);
-  log(`   Investable Cash: $${plan.investableCashUsd.toFixed(2)}`);
-  log(`   Planned Spend: $${plan.plannedSpendUsd.toFixed(2)}`);
+  if (plan.withdrawalUsd !== undefined) {
+    log(`   Withdrawal: $${plan.withdrawalUsd.toFixed(2)}`);
+  } else {
+    log(`   Investable Cash: $${plan.investableCashUsd.toFixed(2)}`);
+    log(`   Planned Spend: $${plan.plannedSpendUsd.toFixed(2)}`);
+  }
+  if (plan.plannedSellUsd > 0) log(`   Planned Sells: $${plan.plannedSellUsd.toFixed(2)}`);
+  if (plan.estimatedCostUsd !== undefined) log(`   Estimated Costs: $${plan.estimatedCostUsd.toFixed(2)}`);
+
+  if (plan.calendar) {
+    const c = plan.calendar;
+    log(`\n🗓️  Calendar: ${c.frequency} from ${c.anchorIso}, last rebalance ${c.lastRebalanceIso ?? "never"}`);
+    log(c.due ? `   Due since ${c.scheduledIso}` : `   Next due ${c.nextIso}`);
+  }
+
+  if (plan.glidePath) {
+    const gp = plan.glidePath;
+    const position = gp.kind === "linear"
+      ? `${(gp.progress * 100).toFixed(1)}% from ${gp.startIso} to ${gp.endIso}`
+      : `step from ${gp.fromIso}`;
+    log(`\n🛤️  Glide Path (${position}):`);
+    for (const [key, weight] of Object.entries(gp.weights)) {
+      log(`   - ${key}: ${(weight * 100).toFixed(2)}%`);
+    }
+  }
+
+  if (plan.driftBreaches.length > 0) {
+    log("\n📐 Drift Breaches:");
+    for (const b of plan.driftBreaches) {
+      const deviation = b.band === "relative" ? b.relDeviation : b.absDeviation;
+      log(`   - ${b.symbol ?? b.group}: ${b.band} deviation ${(deviation * 100).toFixed(2)}% > ${(b.threshold * 100).toFixed(2)}%`);
+    }
+  }
+
+  if (plan.groups) {
+    log("\n🗂️  Groups:");
+    for (const g of plan.groups) {
+      const flag = g.outsideBand ? " (outside band)" : "";
+      log(`   - ${g.name}: ${(g.currentWeight * 100).toFixed(2)}% → Target: ${(g.targetWeight * 100).toFixed(2)}%${flag}`);
+    }
+  }
+
+  if (plan.untrackedHoldings.length > 0) {
+    log("\n❔ Untracked Holdings:");
+    for (const h of plan.untrackedHoldings) {
+      log(`   - ${h.symbol}: $${h.marketValueUsd.toFixed(2)} (${(h.weight * 100).toFixed(2)}% of account value)`);
+    }
+  }
 
   if (plan.legs.length > 0) {
     log(`\n💰 Planned Orders (${plan.legs.length}):`);
     for (const leg of plan.legs) {
-      log(`   - BUY ${leg.symbol}: $${leg.notionalUsd.toFixed(2)}`);
+      if (leg.quantity !== undefined) {
+        log(`   - ${leg.side} ${leg.quantity} ${leg.symbol}: ~$${leg.estimatedNotionalUsd.toFixed(2)}`);
+      } else {
+        log(`   - ${leg.side} ${leg.symbol}: $${leg.notionalUsd.toFixed(2)}`);
+      }
+      if (leg.currency) log(`     In ${leg.currency}: ${leg.notional.toFixed(2)} (FX ${leg.fxRate})`);
+      if (leg.estimatedCostUsd !== undefined) log(`     Estimated cost: $${leg.estimatedCostUsd.toFixed(2)}`);
       log(`     Current weight: ${(leg.currentWeight * 100).toFixed(2)}% → Target: ${(leg.targetWeight * 100).toFixed(2)}%`);
-      log(`     Post-buy estimate: ${(leg.postBuyEstimatedWeight * 100).toFixed(2)}%`);
+      log(`     Post-trade estimate: ${(leg.postBuyEstimatedWeight * 100).toFixed(2)}%`);
       log(`     Reasons: ${leg.reasonCodes.join(", ")}`);
     }
   }
 
+  if (plan.blockedLegs.length > 0) {
+    log(`\n🚫 Blocked Orders (${plan.blockedLegs.length}):`);
+    for (const leg of plan.blockedLegs) {
+      log(`   - ${leg.side} ${leg.symbol}: ~$${leg.notionalUsd.toFixed(2)} (${leg.reasonCodes.join(", ")})`);
+    }
+  }
+
   if (plan.notes.length > 0) {
     log("\n📝 Notes:");
     for (const note of plan.notes) {
-      log(`   - ${note}`);
+      log(`   - ${formatNote(note)}`);
     }
   }
 
+  if (plan.trace) {
+    log("\n🔍 Decision Trace:");
+    for (const line of formatTrace(plan.trace)) log(`   ${line}`);
+  }
+
   // Execute orders if requested
   if (!dryRun && execute && plan.status === "PLANNED" && plan.legs.length > 0) {
     log("\n⚡ Executing orders...");
-    const executionResult = await broker.executeOrders(plan.legs);
+    const executionResult = await broker.executeOrders(orderLegsForExecution(plan.legs));
     log(`   ✅ Execution complete: ${executionResult.ordersPlaced} orders placed`);
-    return { plan, execution: executionResult };
+    if (plan.calendar?.due) {
+      await recordRebalance(statePath, policyPath, snapshot.asOfIso);
+      log(`   🗓️  Recorded rebalance as of ${snapshot.asOfIso} in ${statePath}`);
+    }
+    return { plan, snapshotIssues, execution: executionResult };
   }
 
   if (dryRun) {
@@ -80,5 +301,5 @@ export async function runOnce({ policyPath, broker, dryRun = true, execute = fal
     log(`\n⏭️  Status is ${plan.status} - No orders to execute`);
   }
 
-  return { plan };
+  return { plan, snapshotIssues };
 }
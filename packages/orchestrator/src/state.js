@@ -0,0 +1,46 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+
+/**
+ * Run state kept between runs: the last executed rebalance of each policy,
+ * for `rebalance.calendar` triggers. The state file is JSON of the form
+ * `{ "rebalances": { "<absolute policy path>": { "lastRebalanceIso": "..." } } }`.
+ */
+
+async function readState(statePath) {
+  let text;
+  try {
+    text = await readFile(statePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { rebalances: {} };
+    throw new Error(`Cannot read run state ${statePath}: ${error.message}`);
+  }
+  try {
+    const state = JSON.parse(text);
+    return { ...state, rebalances: state.rebalances ?? {} };
+  } catch (error) {
+    throw new Error(`Invalid JSON in run state ${statePath}: ${error.message}`);
+  }
+}
+
+/**
+ * The last recorded rebalance of a policy, or null when there is none (or no
+ * state file yet).
+ */
+export async function readLastRebalance(statePath, policyPath) {
+  const state = await readState(statePath);
+  return state.rebalances[resolve(policyPath)]?.lastRebalanceIso ?? null;
+}
+
+/**
+ * Record a rebalance of a policy as of `asOfIso`, keeping the other policies'
+ * records. The file is replaced atomically.
+ */
+export async function recordRebalance(statePath, policyPath, asOfIso) {
+  const state = await readState(statePath);
+  state.rebalances[resolve(policyPath)] = { lastRebalanceIso: asOfIso };
+  await mkdir(dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, `${JSON.stringify(state, null, 2)}\n`);
+  await rename(tmpPath, statePath);
+}
@@ -1,38 +1,9 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { allocate } from "../../packages/core/src/allocate.js";
-
-function basePolicy(overrides = {}) {
-  return {
-    version: 1,
-    name: "Core DCA",
-    targets: [
-      { symbol: "VTI", targetWeight: 0.7 },
-      { symbol: "VXUS", targetWeight: 0.3 }
-    ],
-    cashBufferPct: 0,
-    minInvestAmountUsd: 1,
-    maxInvestAmountUsd: 10_000,
-    minOrderUsd: 1,
-    maxOrders: 10,
-    drift: { kind: "band", maxAbsPct: 0.03 },
-    allowMissingPrices: false,
-    ...overrides
-  };
-}
-
-function baseSnapshot(overrides = {}) {
-  return {
-    asOfIso: new Date().toISOString(),
-    cashUsd: 100,
-    positions: [
-      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
-      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
-    ],
-    pricesUsd: { VTI: 250, VXUS: 60 },
-    ...overrides
-  };
-}
+import { migratePolicy } from "../../packages/core/src/migrate.js";
+import { NOTE_CODES, NOTE_SEVERITIES } from "../../packages/core/src/notes.js";
+import { basePolicy, baseSnapshot } from "./fixtures.js";
 
 test("pro-rata allocation when within drift band", () => {
   const policy = basePolicy({ drift: { kind: "band", maxAbsPct: 0.5 } });
@@ -74,7 +45,7 @@ test("reports missing price in non-strict mode", () => {
   const plan = allocate(policy, snap);
   assert.equal(plan.status, "PLANNED");
   // Should note the missing price
-  assert.ok(plan.notes.some((n) => n.includes("Missing/invalid price for VXUS")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Missing/invalid price for VXUS")));
   // Both symbols still get allocation (current behavior)
   assert.ok(plan.legs.length >= 1);
 });
@@ -106,13 +77,14 @@ test("minOrderUsd threshold behavior", () => {
 
   const plan = allocate(policy, snap);
 
-  // VTI should be $56 (above threshold), VXUS should be $24 (below threshold, skipped)
+  // VXUS's $24 is below threshold and skipped; its cash is redistributed to VTI
   const vti = plan.legs.find((l) => l.symbol === "VTI");
   const vxus = plan.legs.find((l) => l.symbol === "VXUS");
 
   assert.ok(vti, "VTI order should be created");
-  assert.equal(vti.notionalUsd, 56);
+  assert.equal(vti.notionalUsd, 80);
   assert.ok(!vxus, "VXUS order should be skipped (below minOrderUsd)");
+  assert.ok(plan.notes.some((n) => n.message.includes("Redistributed $24.00")));
 });
 
 test("drift band mode switching - outside band prioritizes underweights", () => {
@@ -134,8 +106,8 @@ test("drift band mode switching - outside band prioritizes underweights", () =>
   assert.equal(plan.status, "PLANNED");
 
   // Should be in underweight mode
-  assert.ok(plan.notes.some((n) => n.includes("Outside drift band")));
-  assert.ok(plan.notes.some((n) => n.includes("prioritizing underweights")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Outside drift band")));
+  assert.ok(plan.notes.some((n) => n.message.includes("prioritizing underweights")));
 
   // VTI is underweight, VXUS is overweight
   // Should allocate more to VTI
@@ -164,8 +136,8 @@ test("drift band mode switching - within band uses pro-rata", () => {
   assert.equal(plan.status, "PLANNED");
 
   // Should be in pro-rata mode
-  assert.ok(plan.notes.some((n) => n.includes("Within drift band")));
-  assert.ok(plan.notes.some((n) => n.includes("allocating pro-rata")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Within drift band")));
+  assert.ok(plan.notes.some((n) => n.message.includes("allocating pro-rata")));
 
   // Should allocate 70%/30% of cash
   const vti = plan.legs.find((l) => l.symbol === "VTI");
@@ -204,7 +176,10 @@ test("maxOrders cap enforcement", () => {
   const plan = allocate(policy, snap);
   assert.equal(plan.status, "PLANNED");
   assert.ok(plan.legs.length <= 2, "Should enforce maxOrders cap");
-  assert.ok(plan.notes.some((n) => n.includes("Applied maxOrders")));
+  const maxOrdersNote = plan.notes.find((n) => n.code === NOTE_CODES.MAX_ORDERS_APPLIED);
+  assert.ok(maxOrdersNote.message.includes("Applied maxOrders"));
+  assert.deepEqual(maxOrdersNote.data, { maxOrders: 2, dropped: 2 });
+  assert.equal(maxOrdersNote.severity, "info");
 });
 
 test("cashBufferPct reserves cash correctly", () => {
@@ -227,7 +202,7 @@ test("cashBufferPct reserves cash correctly", () => {
   // Investable = 500 - 162 = 338
 
   assert.equal(plan.investableCashUsd, 338);
-  assert.ok(plan.notes.some((n) => n.includes("Applied cash buffer")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Applied cash buffer")));
 });
 
 test("maxInvestAmountUsd cap enforcement", () => {
@@ -242,7 +217,7 @@ test("maxInvestAmountUsd cap enforcement", () => {
   assert.equal(plan.investableCashUsd, 50);
   // Planned spend may be slightly less due to rounding
   assert.ok(plan.plannedSpendUsd <= 50 && plan.plannedSpendUsd >= 49.99);
-  assert.ok(plan.notes.some((n) => n.includes("Applied max invest cap")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Applied max invest cap")));
 });
 
 test("noopIfWithinBand option triggers NOOP when within band", () => {
@@ -254,5 +229,1092 @@ test("noopIfWithinBand option triggers NOOP when within band", () => {
 
   const plan = allocate(policy, snap, { noopIfWithinBand: true });
   assert.equal(plan.status, "NOOP");
-  assert.ok(plan.notes.some((n) => n.includes("within drift band")));
+  assert.ok(plan.notes.some((n) => n.message.includes("within drift band")));
+});
+
+test("full rebalance sells overweights and buys underweights when outside band", () => {
+  const policy = basePolicy({ rebalance: { kind: "full" } });
+  const snap = baseSnapshot({
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 200 },
+      { symbol: "VXUS", quantity: 10, marketValueUsd: 800 }
+    ],
+    pricesUsd: { VTI: 200, VXUS: 80 }
+  });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.status, "PLANNED");
+
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  const vxus = plan.legs.find((l) => l.symbol === "VXUS");
+
+  assert.equal(vxus.side, "SELL");
+  assert.equal(vxus.notionalUsd, 500);
+  assert.deepEqual(vxus.reasonCodes, ["OVERWEIGHT_TRIM", "FULL_REBALANCE"]);
+  assert.equal(vti.side, "BUY");
+  assert.equal(vti.notionalUsd, 500);
+  assert.equal(plan.plannedSellUsd, 500);
+  assert.equal(plan.plannedSpendUsd, 500);
+  assert.equal(plan.legs[0].side, "SELL", "Sells should be listed before buys");
+});
+
+test("full rebalance buys never exceed sell proceeds plus investable cash", () => {
+  const policy = basePolicy({ rebalance: { kind: "full" }, minOrderUsd: 5 });
+  const snap = baseSnapshot({
+    cashUsd: 3.33,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 123.45 },
+      { symbol: "VXUS", quantity: 10, marketValueUsd: 876.54 }
+    ]
+  });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.status, "PLANNED");
+  assert.ok(plan.plannedSpendUsd <= plan.plannedSellUsd + plan.investableCashUsd + 1e-9);
+});
+
+test("full rebalance within band falls back to cash-flow buys", () => {
+  const policy = basePolicy({ rebalance: { kind: "full" }, drift: { kind: "band", maxAbsPct: 0.5 } });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }));
+
+  assert.equal(plan.status, "PLANNED");
+  assert.ok(plan.legs.every((l) => l.side === "BUY"));
+  assert.equal(plan.plannedSellUsd, 0);
+});
+
+test("full rebalance respects maxOrders across both sides", () => {
+  const policy = basePolicy({
+    rebalance: { kind: "full" },
+    maxOrders: 1,
+    targets: [
+      { symbol: "VTI", targetWeight: 0.5 },
+      { symbol: "VXUS", targetWeight: 0.3 },
+      { symbol: "BND", targetWeight: 0.2 }
+    ]
+  });
+  const snap = baseSnapshot({
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 100 },
+      { symbol: "VXUS", quantity: 10, marketValueUsd: 900 }
+    ],
+    pricesUsd: { VTI: 100, VXUS: 90, BND: 80 }
+  });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.legs.length, 1);
+  assert.equal(plan.legs[0].side, "SELL");
+  assert.equal(plan.plannedSpendUsd, 0);
+  assert.ok(plan.notes.some((n) => n.message.includes("Applied maxOrders")));
+});
+
+test("whole-share mode converts legs to integer quantities", () => {
+  const policy = basePolicy({ orderUnits: "shares", drift: { kind: "band", maxAbsPct: 0.5 } });
+  const snap = baseSnapshot({ cashUsd: 1000 });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.status, "PLANNED");
+
+  for (const leg of plan.legs) {
+    assert.ok(Number.isInteger(leg.quantity), `${leg.symbol} quantity should be an integer`);
+    assert.equal(leg.estimatedNotionalUsd, leg.quantity * snap.pricesUsd[leg.symbol]);
+  }
+
+  // $700 -> 2 VTI ($500), $300 -> 5 VXUS ($300). VTI no longer fits in the $200
+  // leftover, so one more VXUS is bought until VXUS is no longer underweight.
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  const vxus = plan.legs.find((l) => l.symbol === "VXUS");
+  assert.equal(vti.quantity, 2);
+  assert.equal(vxus.quantity, 6);
+  assert.equal(plan.plannedSpendUsd, 860);
+  assert.ok(plan.notes.some((n) => n.message.includes("Whole-share orders leave ~$140.00")));
+});
+
+test("whole-share mode never spends more than investable cash", () => {
+  const policy = basePolicy({ orderUnits: "shares" });
+  const snap = baseSnapshot({ cashUsd: 517.37, pricesUsd: { VTI: 251.13, VXUS: 61.07 } });
+
+  const plan = allocate(policy, snap);
+  const spent = plan.legs.reduce((acc, l) => acc + l.quantity * snap.pricesUsd[l.symbol], 0);
+  assert.ok(spent <= plan.investableCashUsd);
+});
+
+test("orderUnits option overrides the policy", () => {
+  const plan = allocate(basePolicy(), baseSnapshot({ cashUsd: 1000 }), { orderUnits: "shares" });
+  assert.ok(plan.legs.every((l) => Number.isInteger(l.quantity)));
+});
+
+function groupedPolicy(overrides = {}) {
+  return basePolicy({
+    targets: [
+      {
+        group: "equity",
+        targetWeight: 0.6,
+        drift: { maxAbsPct: 0.05 },
+        targets: [
+          { symbol: "VTI", targetWeight: 0.7 },
+          { symbol: "VXUS", targetWeight: 0.3 }
+        ]
+      },
+      { group: "bonds", targetWeight: 0.4, targets: [{ symbol: "BND", targetWeight: 1 }] }
+    ],
+    drift: { kind: "band", maxAbsPct: 0.5 },
+    ...overrides
+  });
+}
+
+test("grouped targets allocate pro-rata by effective leaf weights", () => {
+  const snap = baseSnapshot({
+    cashUsd: 1000,
+    positions: [],
+    pricesUsd: { VTI: 250, VXUS: 60, BND: 80 }
+  });
+
+  const plan = allocate(groupedPolicy(), snap);
+  assert.equal(plan.status, "PLANNED");
+
+  const bySymbol = Object.fromEntries(plan.legs.map((l) => [l.symbol, l]));
+  assert.equal(bySymbol.VTI.notionalUsd, 420);
+  assert.equal(bySymbol.VXUS.notionalUsd, 180);
+  assert.equal(bySymbol.BND.notionalUsd, 400);
+  assert.equal(bySymbol.VTI.group, "equity");
+  assert.equal(bySymbol.BND.group, "bonds");
+  assert.deepEqual(plan.groups.map((g) => g.name), ["equity", "bonds"]);
+});
+
+test("group drift band triggers underweight mode and names the group", () => {
+  // Leaves are within the wide leaf band, but equity is at 50% vs 60% target.
+  const snap = baseSnapshot({
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 350 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 150 },
+      { symbol: "BND", quantity: 1, marketValueUsd: 400 }
+    ],
+    pricesUsd: { VTI: 350, VXUS: 150, BND: 400 }
+  });
+
+  const plan = allocate(groupedPolicy(), snap);
+  assert.equal(plan.status, "PLANNED");
+
+  const equity = plan.groups.find((g) => g.name === "equity");
+  assert.equal(equity.outsideBand, true);
+  assert.ok(plan.notes.some((n) => n.message.includes("Group equity outside its drift band")));
+  assert.ok(plan.notes.some((n) => n.message.includes("group drift band (equity); prioritizing underweights")));
+
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  assert.ok(vti.reasonCodes.includes("GROUP_UNDERWEIGHT:equity"));
+  assert.ok(!plan.legs.some((l) => l.symbol === "BND"), "Overweight bonds should not be bought");
+});
+
+test("nested groups use slash-joined group paths", () => {
+  const policy = basePolicy({
+    targets: [
+      {
+        group: "equity",
+        targetWeight: 1,
+        targets: [
+          { group: "us", targetWeight: 0.7, targets: [{ symbol: "VTI", targetWeight: 1 }] },
+          { group: "intl", targetWeight: 0.3, targets: [{ symbol: "VXUS", targetWeight: 1 }] }
+        ]
+      }
+    ],
+    drift: { kind: "none" }
+  });
+
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }));
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  assert.equal(vti.group, "equity/us");
+  assert.equal(vti.notionalUsd, 70);
+});
+
+test("maxWeight clamps a buy and re-spreads the excess", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7, maxWeight: 0.75 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" }
+  });
+  // VTI is already at 74% of $1000; only $10 more fits under its 75% ceiling.
+  const snap = baseSnapshot({
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 740 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 160 }
+    ]
+  });
+
+  const plan = allocate(policy, snap);
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  const vxus = plan.legs.find((l) => l.symbol === "VXUS");
+
+  assert.equal(vti.notionalUsd, 10);
+  assert.ok(vti.postBuyEstimatedWeight <= 0.75 + 1e-9);
+  assert.equal(vxus.notionalUsd, 90);
+  assert.ok(plan.notes.some((n) => n.message.includes("Clamped VTI buy to $10.00 to respect maxWeight 75.00%")));
+  assert.ok(plan.notes.some((n) => n.message.includes("Re-spread ~$60.00")));
+});
+
+test("maxOrderUsd caps a leg and leaves cash idle when nothing else is eligible", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7, maxOrderUsd: 50 },
+      { symbol: "VXUS", targetWeight: 0.3, maxOrderUsd: 20 }
+    ],
+    drift: { kind: "none" }
+  });
+
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }));
+  assert.equal(plan.plannedSpendUsd, 70);
+  assert.ok(plan.notes.some((n) => n.message.includes("respect maxOrderUsd ($20.00)")));
+  assert.ok(plan.notes.some((n) => n.message.includes("~$30.00 of clamped cash left uninvested")));
+});
+
+test("minWeight tops up a symbol held below its floor", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3, minWeight: 0.25 }
+    ],
+    drift: { kind: "none" }
+  });
+  // Total $1000: VXUS at 10% needs $150 to reach its 25% floor; cash is only $100.
+  const snap = baseSnapshot({
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 800 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 100 }
+    ]
+  });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.legs.length, 1);
+  assert.equal(plan.legs[0].symbol, "VXUS");
+  assert.equal(plan.legs[0].notionalUsd, 100);
+  assert.ok(plan.notes.some((n) => n.message.includes("Raised VXUS buy by $70.00 toward minWeight 25.00%")));
+});
+
+test("per-target minOrderUsd overrides the policy minimum", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3, minOrderUsd: 50 }
+    ],
+    drift: { kind: "none" }
+  });
+
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }));
+  assert.deepEqual(plan.legs.map((l) => l.symbol), ["VTI"]);
+});
+
+test("relative drift band catches a small position the absolute band misses", () => {
+  const targets = [
+    { symbol: "VTI", targetWeight: 0.95 },
+    { symbol: "VXUS", targetWeight: 0.05 }
+  ];
+  // Cash counts toward total value: VTI is 7 points under target, and VXUS is at
+  // 2% vs 5% -- only 3 points off, but 60% off in relative terms.
+  const snap = baseSnapshot({
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 880 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 20 }
+    ]
+  });
+
+  const absPlan = allocate(basePolicy({ targets, drift: { kind: "band", maxAbsPct: 0.1 } }), snap);
+  assert.deepEqual(absPlan.driftBreaches, []);
+
+  const relPlan = allocate(basePolicy({ targets, drift: { kind: "relative", maxRelPct: 0.25 } }), snap);
+  assert.equal(relPlan.driftBreaches.length, 1, "VTI is only ~7% off in relative terms");
+  assert.equal(relPlan.driftBreaches[0].symbol, "VXUS");
+  assert.equal(relPlan.driftBreaches[0].band, "relative");
+  assert.ok(relPlan.notes.some((n) => n.message.includes("Outside relative drift band (25.00%)")));
+});
+
+test("combined 5/25 rule reports each breached band", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.6 },
+      { symbol: "VXUS", targetWeight: 0.4 }
+    ],
+    drift: { kind: "combined", maxAbsPct: 0.05, maxRelPct: 0.25 }
+  });
+  // VTI 80% vs 60% (20 pts, 33% rel); VXUS 10% vs 40% (30 pts, 75% rel).
+  const snap = baseSnapshot({
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 800 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 100 }
+    ]
+  });
+
+  const plan = allocate(policy, snap);
+  const bands = plan.driftBreaches.map((b) => `${b.symbol}:${b.band}`);
+  assert.deepEqual(bands, ["VTI:absolute", "VTI:relative", "VXUS:absolute", "VXUS:relative"]);
+  assert.ok(plan.notes.some((n) => n.message.includes("5.00% abs / 25.00% rel")));
+});
+
+test("per-target drift override widens one symbol's band", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7, drift: { maxAbsPct: 0.2 } },
+      { symbol: "VXUS", targetWeight: 0.3, drift: { maxAbsPct: 0.2 } }
+    ],
+    drift: { kind: "band", maxAbsPct: 0.03 }
+  });
+  // Both symbols are 10 points off: outside the policy band, inside the overrides.
+  const snap = baseSnapshot({
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 600 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 400 }
+    ],
+    pricesUsd: { VTI: 600, VXUS: 400 }
+  });
+
+  const plan = allocate(policy, { ...snap, cashUsd: 100 });
+  assert.deepEqual(plan.driftBreaches, []);
+  assert.ok(plan.notes.some((n) => n.message.includes("Within drift band")));
+});
+
+test("full rebalance sell legs carry chosen lots and estimated gain", () => {
+  const policy = basePolicy({ rebalance: { kind: "full" }, lotSelection: "hifo" });
+  const snap = baseSnapshot({
+    asOfIso: "2026-06-01T00:00:00.000Z",
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 200 },
+      {
+        symbol: "VXUS",
+        quantity: 10,
+        marketValueUsd: 800,
+        lots: [
+          { acquiredIso: "2024-01-01T00:00:00.000Z", quantity: 5, costBasisUsd: 250 },
+          { acquiredIso: "2025-01-01T00:00:00.000Z", quantity: 5, costBasisUsd: 450 }
+        ]
+      }
+    ],
+    pricesUsd: { VTI: 200, VXUS: 80 }
+  });
+
+  const plan = allocate(policy, snap);
+  const sell = plan.legs.find((l) => l.side === "SELL");
+
+  // $500 of VXUS at $80 = 6.25 shares: 5 from the $90 lot, 1.25 from the $50 lot.
+  assert.deepEqual(sell.lots.map((l) => l.quantity), [5, 1.25]);
+  // 5 * (80 - 90) + 1.25 * (80 - 50)
+  assert.equal(sell.estimatedRealizedGainUsd, -12.5);
+  assert.ok(plan.notes.some((n) => n.message.includes("Estimated realized gain/loss (hifo)")));
+});
+
+test("wash-sale guard blocks buying a symbol sold at a loss within 30 days", () => {
+  const snap = baseSnapshot({ asOfIso: "2026-06-01T00:00:00.000Z", cashUsd: 100 });
+  const tradeHistory = [
+    { symbol: "VXUS", side: "SELL", executedIso: "2026-05-20T15:00:00.000Z", realizedGainUsd: -42 }
+  ];
+
+  const plan = allocate(basePolicy({ drift: { kind: "none" } }), snap, { tradeHistory });
+
+  assert.deepEqual(plan.legs.map((l) => l.symbol), ["VTI"]);
+  assert.equal(plan.blockedLegs.length, 1);
+  assert.equal(plan.blockedLegs[0].symbol, "VXUS");
+  assert.deepEqual(plan.blockedLegs[0].reasonCodes, ["WASH_SALE_BLOCKED"]);
+  assert.equal(plan.blockedLegs[0].blockingTrade.executedIso, "2026-05-20T15:00:00.000Z");
+  assert.ok(plan.notes.some((n) => n.message.includes("wash sale with SELL of VXUS on 2026-05-20 at a $42.00 loss")));
+});
+
+test("wash-sale guard ignores gains and trades outside the window", () => {
+  const snap = baseSnapshot({ asOfIso: "2026-06-01T00:00:00.000Z", cashUsd: 100 });
+  const tradeHistory = [
+    { symbol: "VXUS", side: "SELL", executedIso: "2026-05-20T00:00:00.000Z", realizedGainUsd: 10 },
+    { symbol: "VTI", side: "SELL", executedIso: "2026-04-01T00:00:00.000Z", realizedGainUsd: -10 }
+  ];
+
+  const plan = allocate(basePolicy({ drift: { kind: "none" } }), snap, { tradeHistory });
+  assert.equal(plan.legs.length, 2);
+  assert.deepEqual(plan.blockedLegs, []);
+});
+
+test("wash-sale guard honours equivalents and redirects blocked cash", () => {
+  const policy = basePolicy({
+    drift: { kind: "none" },
+    washSale: { equivalents: [["VTI", "ITOT"]], action: "redirect" }
+  });
+  const snap = baseSnapshot({ asOfIso: "2026-06-01T00:00:00.000Z", cashUsd: 100 });
+  const tradeHistory = [
+    { symbol: "ITOT", side: "SELL", executedIso: "2026-05-25T00:00:00.000Z", realizedGainUsd: -5 }
+  ];
+
+  const plan = allocate(policy, snap, { tradeHistory });
+  assert.equal(plan.legs.length, 1);
+  assert.equal(plan.legs[0].symbol, "VXUS");
+  assert.equal(plan.legs[0].notionalUsd, 100);
+  assert.ok(plan.legs[0].reasonCodes.includes("WASH_SALE_REDIRECT"));
+  assert.equal(plan.blockedLegs[0].blockingTrade.symbol, "ITOT");
+});
+
+function multiCurrencySnapshot(overrides = {}) {
+  return {
+    asOfIso: new Date().toISOString(),
+    cashBalances: { USD: 100, CAD: 200 },
+    positions: [
+      { symbol: "VTI", quantity: 2, marketValue: 500 },
+      { symbol: "XIC", quantity: 10, marketValue: 400 }
+    ],
+    prices: { VTI: 250, XIC: 40 },
+    currencies: { XIC: "CAD" },
+    fxRates: { base: "USD", rates: { CAD: 0.75, EUR: 1.1 } },
+    ...overrides
+  };
+}
+
+test("multi-currency snapshot is valued in the base currency", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.5 },
+      { symbol: "XIC", targetWeight: 0.5 }
+    ],
+    drift: { kind: "none" }
+  });
+
+  const plan = allocate(policy, multiCurrencySnapshot());
+  assert.equal(plan.baseCurrency, "USD");
+  // Cash: 100 + 200 * 0.75 = 250; equity: 500 + 400 * 0.75 = 800.
+  assert.equal(plan.cashUsd, 250);
+  assert.equal(plan.totalEquityUsd, 800);
+
+  const xic = plan.legs.find((l) => l.symbol === "XIC");
+  assert.equal(xic.notionalUsd, 125);
+  assert.equal(xic.currency, "CAD");
+  assert.equal(xic.fxRate, 0.75);
+  assert.equal(xic.notional, 166.67);
+
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  assert.equal(vti.currency, "USD");
+  assert.equal(vti.notional, 125);
+  assert.ok(plan.notes.some((n) => n.message.includes("Buys in USD exceed USD cash by 25.00 USD")));
+});
+
+test("base currency other than the FX table base uses cross rates", () => {
+  const policy = basePolicy({
+    baseCurrency: "CAD",
+    targets: [{ symbol: "XIC", targetWeight: 1 }],
+    drift: { kind: "none" }
+  });
+  const snap = multiCurrencySnapshot({ cashBalances: { USD: 75 }, positions: [] });
+
+  const plan = allocate(policy, snap);
+  assert.equal(plan.baseCurrency, "CAD");
+  assert.equal(plan.cashUsd, 100);
+  assert.equal(plan.legs[0].notional, 100);
+  assert.equal(plan.legs[0].fxRate, 1);
+});
+
+test("non-USD base currency requires a multi-currency snapshot", () => {
+  const policy = basePolicy({ baseCurrency: "EUR" });
+  assert.throws(() => allocate(policy, baseSnapshot()), /requires a multi-currency snapshot/);
+});
+
+test("v2 policies allocate the same as their v1 source", () => {
+  const v1 = basePolicy({ cashBufferPct: 0.05, minOrderUsd: 5, drift: { kind: "band", maxAbsPct: 0.5 } });
+  const v2 = migratePolicy(v1);
+  const snap = baseSnapshot({ cashUsd: 500 });
+
+  assert.equal(v2.version, 2);
+  assert.deepEqual(allocate(v2, snap), allocate(v1, snap));
+});
+
+test("rounding leftovers go to the largest remainders and spend never exceeds cash", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "AAA", targetWeight: 0.34 },
+      { symbol: "BBB", targetWeight: 0.33 },
+      { symbol: "CCC", targetWeight: 0.33 }
+    ],
+    drift: { kind: "none" }
+  });
+  const snap = baseSnapshot({ cashUsd: 10, positions: [], pricesUsd: { AAA: 10, BBB: 10, CCC: 10 } });
+
+  // Raw buys are 3.40 / 3.30 / 3.30 at $1 steps: floors spend $9, the extra
+  // dollar goes to AAA (largest remainder).
+  const plan = allocate(policy, snap, { roundToUsd: 1 });
+  const bySymbol = Object.fromEntries(plan.legs.map((l) => [l.symbol, l.notionalUsd]));
+
+  assert.deepEqual(bySymbol, { AAA: 4, BBB: 3, CCC: 3 });
+  assert.equal(plan.plannedSpendUsd, 10);
+  assert.deepEqual(allocate(policy, snap, { roundToUsd: 1 }), plan);
+});
+
+test("maxOrders truncation leftovers are redistributed within maxWeight caps", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "AAA", targetWeight: 0.5, maxWeight: 0.6 },
+      { symbol: "BBB", targetWeight: 0.3 },
+      { symbol: "CCC", targetWeight: 0.2 }
+    ],
+    maxOrders: 2,
+    drift: { kind: "none" }
+  });
+  const snap = baseSnapshot({ cashUsd: 1000, positions: [], pricesUsd: { AAA: 10, BBB: 10, CCC: 10 } });
+
+  const plan = allocate(policy, snap);
+  const bySymbol = Object.fromEntries(plan.legs.map((l) => [l.symbol, l.notionalUsd]));
+
+  // CCC's $200 is cut by maxOrders; AAA can only take $100 more before 60%.
+  assert.deepEqual(bySymbol, { AAA: 600, BBB: 400 });
+  assert.ok(plan.plannedSpendUsd <= plan.investableCashUsd);
+});
+
+test("notes are structured objects with a known code and severity", () => {
+  const policy = basePolicy({ cashBufferPct: 0.1, drift: { kind: "band", maxAbsPct: 0.5 } });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 500 }));
+
+  for (const note of plan.notes) {
+    assert.equal(NOTE_CODES[note.code], note.code);
+    assert.equal(note.severity, NOTE_SEVERITIES[note.code]);
+    assert.equal(typeof note.message, "string");
+    assert.equal(typeof note.data, "object");
+  }
+  const buffer = plan.notes.find((n) => n.code === NOTE_CODES.CASH_BUFFER_APPLIED);
+  assert.deepEqual(buffer.data, { reserveUsd: 81 });
+});
+
+test("notesFormat \"strings\" returns the legacy string array", () => {
+  const policy = basePolicy({ cashBufferPct: 0.1, drift: { kind: "band", maxAbsPct: 0.5 } });
+  const snap = baseSnapshot({ cashUsd: 500 });
+
+  const structured = allocate(policy, snap);
+  const legacy = allocate(policy, snap, { notesFormat: "strings" });
+
+  assert.deepEqual(legacy.notes, structured.notes.map((n) => n.message));
+  assert.ok(legacy.notes.includes("Applied cash buffer: reserving ~$81.00."));
+  assert.throws(() => allocate(policy, snap, { notesFormat: "xml" }), /Invalid notesFormat option/);
+});
+
+test("explain option traces each decision, including dropped legs", () => {
+  const policy = basePolicy({ minOrderUsd: 50, drift: { kind: "band", maxAbsPct: 0.5 } });
+  const snap = baseSnapshot({ cashUsd: 80 });
+
+  assert.equal(allocate(policy, snap).trace, undefined);
+
+  const { trace } = allocate(policy, snap, { explain: true });
+  assert.deepEqual(
+    trace.map((t) => t.step),
+    ["totals", "investable_cash", "weights", "band_check", "mode", "raw_amounts", "dropped_legs", "result"]
+  );
+  assert.equal(trace.find((t) => t.step === "mode").mode, "pro_rata");
+  assert.deepEqual(trace.find((t) => t.step === "raw_amounts").amounts, [
+    { symbol: "VTI", side: "BUY", amountUsd: 56 },
+    { symbol: "VXUS", side: "BUY", amountUsd: 24 }
+  ]);
+  assert.deepEqual(trace.find((t) => t.step === "dropped_legs").legs, [
+    { symbol: "VXUS", side: "BUY", notionalUsd: 24, reason: "BELOW_MIN_ORDER" }
+  ]);
+});
+
+test("explain trace ends at the investable-cash check for an early NOOP", () => {
+  const policy = basePolicy({ minInvestAmountUsd: 500 });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }), { explain: true });
+
+  assert.equal(plan.status, "NOOP");
+  const investable = plan.trace.find((t) => t.step === "investable_cash");
+  assert.equal(investable.belowMinimum, true);
+  assert.equal(plan.trace.some((t) => t.step === "raw_amounts"), false);
+  assert.equal(plan.trace.at(-1).status, "NOOP");
+});
+
+function withdrawalFixture() {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.6 },
+      { symbol: "VXUS", targetWeight: 0.3 },
+      { symbol: "BND", targetWeight: 0.1 }
+    ],
+    cashBufferPct: 0.01
+  });
+  const snap = baseSnapshot({
+    cashUsd: 200,
+    positions: [
+      { symbol: "VTI", quantity: 30, marketValueUsd: 7500 },
+      { symbol: "VXUS", quantity: 30, marketValueUsd: 1800 },
+      { symbol: "BND", quantity: 10, marketValueUsd: 700 }
+    ],
+    pricesUsd: { VTI: 250, VXUS: 60, BND: 70 }
+  });
+  return { policy, snap };
+}
+
+test("withdraw mode sells the most overweight symbols and keeps the cash buffer", () => {
+  const { policy, snap } = withdrawalFixture();
+
+  // Total $10,200; after a $2,000 withdrawal the buffer is 1% of $8,200 = $82,
+  // so sells must raise 2000 + 82 - 200 = $1,882.
+  const plan = allocate(policy, snap, { withdrawUsd: 2000 });
+
+  assert.equal(plan.status, "PLANNED");
+  assert.equal(plan.withdrawalUsd, 2000);
+  assert.equal(plan.plannedSpendUsd, 0);
+  assert.equal(plan.plannedSellUsd, 1882);
+
+  // Only VTI is far enough over target to fund it on its own.
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.side, l.notionalUsd]), [["VTI", "SELL", 1882]]);
+  assert.deepEqual(plan.legs[0].reasonCodes, ["OVERWEIGHT_TRIM", "WITHDRAWAL"]);
+  assert.ok(plan.notes.some((n) => n.code === NOTE_CODES.WITHDRAWAL_PLANNED));
+});
+
+test("withdraw mode is a NOOP when cash already covers the withdrawal", () => {
+  const { policy, snap } = withdrawalFixture();
+  const plan = allocate(policy, snap, { withdrawUsd: 50 });
+
+  assert.equal(plan.status, "NOOP");
+  assert.deepEqual(plan.legs, []);
+  assert.ok(plan.notes.some((n) => n.code === NOTE_CODES.WITHDRAWAL_COVERED_BY_CASH));
+});
+
+test("withdraw mode re-spreads sells that fall below minOrderUsd", () => {
+  const { policy, snap } = withdrawalFixture();
+  // A $4,000 withdrawal needs $3,862 of sells. Bringing VTI and BND to the
+  // same fraction of target would take ~$80 of BND; below minOrderUsd, that
+  // leg is dropped and VTI covers the whole amount.
+  const plan = allocate({ ...policy, minOrderUsd: 100 }, snap, { withdrawUsd: 4000, explain: true });
+
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd]), [["VTI", 3862]]);
+  const dropped = plan.trace.find((t) => t.step === "dropped_legs").legs;
+  assert.deepEqual(dropped.map((d) => [d.symbol, d.reason]), [["BND", "BELOW_MIN_ORDER"]]);
+});
+
+test("withdraw mode rejects a non-positive amount", () => {
+  const { policy, snap } = withdrawalFixture();
+  assert.throws(() => allocate(policy, snap, { withdrawUsd: 0 }), /Invalid withdrawUsd option/);
+});
+
+test("withdraw mode never sells a target without a price", () => {
+  const { policy, snap } = withdrawalFixture();
+  const plan = allocate(
+    { ...policy, allowMissingPrices: true, orderUnits: "shares" },
+    { ...snap, pricesUsd: { VXUS: 60, BND: 70 } },
+    { withdrawUsd: 2000 }
+  );
+
+  // VTI is the most overweight, but without a price the $1,882 comes from VXUS and BND.
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.quantity, l.notionalUsd]), [["VXUS", 23, 1380], ["BND", 8, 560]]);
+  assert.equal(plan.plannedSellUsd, 1940);
+  assert.ok(plan.notes.some((n) => n.code === NOTE_CODES.PRICE_MISSING));
+});
+
+test("withdraw mode sells only whole held shares of a fractional position", () => {
+  const { policy, snap } = withdrawalFixture();
+  const positions = [{ symbol: "VTI", quantity: 10.5, marketValueUsd: 2625 }, ...snap.positions.slice(1)];
+  const plan = allocate({ ...policy, orderUnits: "shares" }, { ...snap, positions }, { withdrawUsd: 5300 });
+
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.quantity, l.notionalUsd]), [["VTI", 10, 2500], ["VXUS", 30, 1800], ["BND", 10, 700]]);
+  assert.equal(plan.plannedSellUsd, 5000);
+  assert.equal(plan.notes.find((n) => n.code === NOTE_CODES.WITHDRAWAL_SHORTFALL).data.shortfallUsd, 100.25);
+});
+
+function equivalentsPolicy(vti = {}, overrides = {}) {
+  return basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7, equivalents: ["ITOT"], ...vti },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    ...overrides
+  });
+}
+
+function equivalentsSnapshot(overrides = {}) {
+  return baseSnapshot({
+    positions: [
+      { symbol: "ITOT", quantity: 5, marketValueUsd: 250 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
+    ],
+    pricesUsd: { VTI: 250, ITOT: 50, VXUS: 60 },
+    ...overrides
+  });
+}
+
+test("equivalent holdings count toward their target", () => {
+  const plan = allocate(equivalentsPolicy(), equivalentsSnapshot());
+
+  const vti = plan.legs.find((l) => l.symbol === "VTI");
+  assert.ok(Math.abs(vti.currentWeight - 250 / 410) < 1e-9);
+  // Without ITOT counted, VTI would be at 0% and take the whole buy.
+  assert.equal(vti.notionalUsd, 37);
+  assert.equal(plan.legs.find((l) => l.symbol === "VXUS").notionalUsd, 63);
+});
+
+test("buys fall back to an equivalent when the primary price is missing", () => {
+  const snap = equivalentsSnapshot({ pricesUsd: { ITOT: 50, VXUS: 60 } });
+  const plan = allocate(equivalentsPolicy(), snap);
+
+  const itot = plan.legs.find((l) => l.symbol === "ITOT");
+  assert.equal(itot.targetSymbol, "VTI");
+  assert.ok(itot.reasonCodes.includes("EQUIVALENT_BUY"));
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.EQUIVALENT_PRICE_FALLBACK);
+  assert.deepEqual(note.data, { symbol: "VTI", missing: "VTI", buySymbol: "ITOT" });
+  assert.ok(!plan.notes.some((n) => n.code === NOTE_CODES.PRICE_MISSING));
+});
+
+test("buyOrder chooses which equivalent receives buys", () => {
+  const plan = allocate(equivalentsPolicy({ buyOrder: ["ITOT", "VTI"] }), equivalentsSnapshot());
+
+  assert.deepEqual(plan.legs.map((l) => l.symbol).sort(), ["ITOT", "VXUS"]);
+  assert.ok(!plan.notes.some((n) => n.code === NOTE_CODES.EQUIVALENT_PRICE_FALLBACK));
+});
+
+test("whole-share buys of an equivalent use its own price", () => {
+  const snap = equivalentsSnapshot({ cashUsd: 1000, pricesUsd: { ITOT: 50, VXUS: 60 } });
+  const plan = allocate(equivalentsPolicy({}, { orderUnits: "shares" }), snap);
+
+  const itot = plan.legs.find((l) => l.symbol === "ITOT");
+  assert.equal(itot.estimatedNotionalUsd, itot.quantity * 50);
+});
+
+test("full rebalance never sells equivalent holdings", () => {
+  const policy = equivalentsPolicy({}, { rebalance: { kind: "full" } });
+  const snap = equivalentsSnapshot({
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
+      { symbol: "ITOT", quantity: 20, marketValueUsd: 1000 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
+    ]
+  });
+  const plan = allocate(policy, snap);
+
+  const sell = plan.legs.find((l) => l.side === "SELL");
+  assert.equal(sell.symbol, "VTI");
+  assert.equal(sell.notionalUsd, 250);
+  assert.ok(!plan.legs.some((l) => l.symbol === "ITOT"));
+});
+
+test("full rebalance notes an overweight held only in equivalents", () => {
+  const policy = equivalentsPolicy({}, { rebalance: { kind: "full" } });
+  const snap = equivalentsSnapshot({
+    cashUsd: 0,
+    positions: [
+      { symbol: "ITOT", quantity: 20, marketValueUsd: 1000 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
+    ]
+  });
+  const plan = allocate(policy, snap);
+
+  assert.equal(plan.status, "NOOP");
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.EQUIVALENTS_NOT_SOLD);
+  assert.equal(note.severity, "warning");
+  assert.deepEqual(note.data, { symbol: "VTI", equivalents: ["ITOT"], unsoldUsd: 258 });
+  assert.ok(!plan.notes.some((n) => n.code === NOTE_CODES.ALL_LEGS_BELOW_MIN_ORDER));
+});
+
+test("wash-sale guard treats target equivalents as substantially identical", () => {
+  const snap = equivalentsSnapshot({ asOfIso: "2026-06-01T00:00:00.000Z" });
+  const tradeHistory = [
+    { symbol: "ITOT", side: "SELL", executedIso: "2026-05-20T15:00:00.000Z", realizedGainUsd: -42 }
+  ];
+
+  const plan = allocate(equivalentsPolicy({}, { drift: { kind: "none" } }), snap, { tradeHistory });
+  assert.ok(!plan.legs.some((l) => l.symbol === "VTI"));
+  assert.equal(plan.blockedLegs[0].symbol, "VTI");
+});
+
+function untrackedSnapshot() {
+  return baseSnapshot({
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 },
+      { symbol: "GME", quantity: 3, marketValueUsd: 90 }
+    ],
+    pricesUsd: { VTI: 250, VXUS: 60, GME: 30 }
+  });
+}
+
+test("untracked holdings are listed and included in total value by default", () => {
+  const plan = allocate(basePolicy(), untrackedSnapshot());
+
+  assert.equal(plan.totalValueUsd, 500);
+  assert.deepEqual(plan.untrackedHoldings, [{ symbol: "GME", quantity: 3, marketValueUsd: 90, weight: 0.18 }]);
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.UNTRACKED_HOLDINGS);
+  assert.equal(note.data.mode, "include");
+  assert.ok(!plan.legs.some((l) => l.symbol === "GME"));
+});
+
+test("untrackedHoldings exclude leaves them out of the denominator", () => {
+  const plan = allocate(basePolicy({ untrackedHoldings: "exclude" }), untrackedSnapshot());
+
+  assert.equal(plan.totalValueUsd, 410);
+  assert.equal(plan.totalEquityUsd, 310);
+  assert.ok(Math.abs(plan.legs.find((l) => l.symbol === "VTI").currentWeight - 250 / 410) < 1e-9);
+  assert.equal(plan.untrackedHoldings[0].weight, 0.18);
+});
+
+test("untrackedHoldings liquidate sells them into the plan's funding", () => {
+  const plan = allocate(basePolicy({ untrackedHoldings: "liquidate" }), untrackedSnapshot());
+
+  const sell = plan.legs.find((l) => l.symbol === "GME");
+  assert.equal(sell.side, "SELL");
+  assert.equal(sell.notionalUsd, 90);
+  assert.deepEqual(sell.reasonCodes, ["UNTRACKED_LIQUIDATE"]);
+  assert.equal(plan.legs[0].symbol, "GME");
+  assert.equal(plan.plannedSellUsd, 90);
+  assert.equal(plan.investableCashUsd, 190);
+  assert.equal(plan.plannedSpendUsd, 190);
+  assert.ok(plan.notes.some((n) => n.code === NOTE_CODES.UNTRACKED_LIQUIDATED));
+  assert.equal(plan.untrackedHoldings.length, 1);
+});
+
+function twoUntrackedSnapshot() {
+  const snap = untrackedSnapshot();
+  return {
+    ...snap,
+    positions: [...snap.positions, { symbol: "AMC", quantity: 10, marketValueUsd: 40 }],
+    pricesUsd: { ...snap.pricesUsd, AMC: 4 }
+  };
+}
+
+test("untrackedHoldings liquidate that takes every order still sells and says so", () => {
+  const plan = allocate(basePolicy({ untrackedHoldings: "liquidate", maxOrders: 1 }), twoUntrackedSnapshot());
+
+  assert.equal(plan.status, "PLANNED");
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.side, l.notionalUsd]), [["GME", "SELL", 90]]);
+  assert.equal(plan.plannedSellUsd, 90);
+  assert.equal(plan.plannedSpendUsd, 0);
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.UNTRACKED_USED_MAX_ORDERS);
+  assert.equal(note.severity, "warning");
+  assert.deepEqual(note.data, { maxOrders: 1 });
+  assert.ok(!plan.notes.some((n) => n.code === NOTE_CODES.MAX_ORDERS_APPLIED));
+});
+
+test("untrackedHoldings liquidate keeps its sells when the buys fall below minInvestAmountUsd", () => {
+  // $230 investable is below the minimum before any buy is sized.
+  const early = allocate(basePolicy({ untrackedHoldings: "liquidate", minInvestAmountUsd: 1000 }), twoUntrackedSnapshot());
+  // Whole shares only reach $120 of the $230, below the $225 minimum.
+  const late = allocate(
+    basePolicy({ untrackedHoldings: "liquidate", minInvestAmountUsd: 225, orderUnits: "shares" }),
+    twoUntrackedSnapshot()
+  );
+
+  for (const [plan, code] of [[early, NOTE_CODES.INVESTABLE_BELOW_MIN_INVEST], [late, NOTE_CODES.SPEND_BELOW_MIN_INVEST]]) {
+    assert.equal(plan.status, "PLANNED");
+    assert.deepEqual(plan.legs.map((l) => [l.symbol, l.side, l.notionalUsd]), [["GME", "SELL", 90], ["AMC", "SELL", 40]]);
+    assert.equal(plan.plannedSellUsd, 130);
+    assert.equal(plan.plannedSpendUsd, 0);
+    assert.ok(plan.notes.some((n) => n.code === NOTE_CODES.UNTRACKED_LIQUIDATED));
+    assert.ok(plan.notes.some((n) => n.code === code), code);
+  }
+  assert.equal(late.notes.find((n) => n.code === NOTE_CODES.SPEND_BELOW_MIN_INVEST).data.plannedSpendUsd, 120);
+});
+
+test("untrackedHoldings liquidate sells whole shares and skips tiny holdings", () => {
+  const shares = allocate(basePolicy({ untrackedHoldings: "liquidate", orderUnits: "shares" }), untrackedSnapshot());
+  const sell = shares.legs.find((l) => l.symbol === "GME");
+  assert.equal(sell.quantity, 3);
+  assert.equal(sell.estimatedNotionalUsd, 90);
+
+  const tiny = allocate(basePolicy({ untrackedHoldings: "liquidate", minOrderUsd: 95 }), untrackedSnapshot(), { explain: true });
+  assert.ok(!tiny.legs.some((l) => l.symbol === "GME"));
+  const dropped = tiny.trace.find((s) => s.step === "dropped_legs");
+  assert.ok(dropped.legs.some((l) => l.symbol === "GME" && l.reason === "BELOW_MIN_ORDER"));
+});
+
+test("untrackedHoldings liquidate skips an empty, unpriced holding", () => {
+  const snap = untrackedSnapshot();
+  snap.positions.push({ symbol: "DELISTED", quantity: 0, marketValueUsd: 0 });
+
+  for (const orderUnits of ["notional", "shares"]) {
+    const plan = allocate(basePolicy({ untrackedHoldings: "liquidate", orderUnits }), snap);
+    assert.ok(!plan.legs.some((l) => l.symbol === "DELISTED"), orderUnits);
+    assert.ok(plan.legs.every((l) => Number.isFinite(l.notionalUsd)), orderUnits);
+    assert.equal(plan.plannedSellUsd, 90, orderUnits);
+  }
+});
+
+test("untrackedHoldings liquidate funds withdrawals before selling targets", () => {
+  const plan = allocate(basePolicy({ untrackedHoldings: "liquidate" }), untrackedSnapshot(), { withdrawUsd: 150 });
+
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd]), [["GME", 90]]);
+  assert.equal(plan.status, "PLANNED");
+});
+
+test("cost model reserves estimated costs out of investable cash", () => {
+  const policy = basePolicy({
+    drift: { kind: "none" },
+    costs: { commissionUsd: 1, spreadBps: 5, spreadBpsBySymbol: { VXUS: 20 }, minFeeUsd: 1.5 }
+  });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 1000 }));
+
+  assert.equal(plan.status, "PLANNED");
+  // Costs of $3.10 ($1.50 minimum fee on VTI, $1 + 20 bps on VXUS) leave $996.90 to split 70/30.
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd, l.estimatedCostUsd]), [["VTI", 697.83, 1.5], ["VXUS", 299.07, 1.6]]);
+  assert.equal(plan.estimatedCostUsd, 3.1);
+  assert.ok(plan.plannedSpendUsd + plan.estimatedCostUsd <= plan.investableCashUsd);
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.TRADING_COSTS_ESTIMATED);
+  assert.deepEqual(note.data, { estimatedCostUsd: 3.1, reservedUsd: 3.1, legs: 2 });
+});
+
+test("cost model skips legs whose cost exceeds maxCostPct and respreads their cash", () => {
+  const policy = basePolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.6 },
+      { symbol: "VXUS", targetWeight: 0.3 },
+      { symbol: "BND", targetWeight: 0.1 }
+    ],
+    drift: { kind: "none" },
+    costs: { commissionUsd: 1, minFeeUsd: 1.5, maxCostPct: 0.02 }
+  });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 300, positions: [], pricesUsd: { VTI: 250, VXUS: 60, BND: 72 } }), { explain: true });
+
+  assert.deepEqual(plan.legs.map((l) => l.symbol), ["VTI", "VXUS"]);
+  assert.equal(plan.plannedSpendUsd + plan.estimatedCostUsd, 300);
+  const dropped = plan.trace.find((s) => s.step === "dropped_legs").legs;
+  assert.deepEqual(dropped.map((d) => [d.symbol, d.reason]), [["BND", "COST_ABOVE_MAX"]]);
+  const note = plan.notes.find((n) => n.code === NOTE_CODES.LEGS_ABOVE_MAX_COST);
+  assert.deepEqual(note.data, { symbols: ["BND"], maxCostPct: 0.02 });
+  assert.equal(NOTE_SEVERITIES.LEGS_ABOVE_MAX_COST, "warning");
+  assert.deepEqual(plan.trace.find((s) => s.step === "costs"), { step: "costs", estimatedCostUsd: 3, budgetUsd: 297 });
+});
+
+test("cost model funds full-rebalance costs from sells and cash together", () => {
+  const policy = basePolicy({
+    drift: { kind: "band", maxAbsPct: 0.01 },
+    rebalance: { kind: "full" },
+    costs: { commissionUsd: 2, spreadBps: 10 }
+  });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 10, positions: [{ symbol: "VTI", quantity: 4, marketValueUsd: 1000 }] }));
+
+  assert.deepEqual(plan.legs.map((l) => l.side), ["SELL", "BUY"]);
+  assert.ok(plan.legs.every((l) => l.estimatedCostUsd > 2));
+  assert.ok(plan.plannedSpendUsd + plan.estimatedCostUsd <= plan.plannedSellUsd + plan.investableCashUsd + 1e-9);
+});
+
+test("cost model applies to whole-share orders", () => {
+  const policy = basePolicy({ drift: { kind: "none" }, orderUnits: "shares", costs: { commissionUsd: 1 } });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 500 }));
+
+  assert.ok(plan.legs.every((l) => Number.isInteger(l.quantity) && l.estimatedCostUsd === 1));
+  assert.ok(plan.plannedSpendUsd + plan.estimatedCostUsd <= 500);
+});
+
+test("cost model reports costs on withdrawal sells without resizing them", () => {
+  const policy = basePolicy({ costs: { minFeeUsd: 2 } });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 0 }), { withdrawUsd: 100 });
+
+  assert.equal(plan.legs.reduce((acc, l) => acc + l.notionalUsd, 0), 100);
+  assert.equal(plan.estimatedCostUsd, 2 * plan.legs.length);
+});
+
+test("cost model keeps the legs that fit when a fixed commission outweighs the cash", () => {
+  const policy = basePolicy({ drift: { kind: "none" }, minOrderUsd: 20, costs: { commissionUsd: 50 } });
+  const plan = allocate(policy, baseSnapshot({ cashUsd: 100 }), { explain: true });
+
+  // Both legs cost $100 in commission; dropping VXUS frees $50 for one VTI buy.
+  assert.equal(plan.status, "PLANNED");
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd, l.estimatedCostUsd]), [["VTI", 50, 50]]);
+  assert.deepEqual(plan.trace.find((s) => s.step === "costs"), { step: "costs", estimatedCostUsd: 50, budgetUsd: 50 });
+});
+
+test("cost model checks maxCostPct against the equivalent actually bought", () => {
+  const snap = equivalentsSnapshot();
+  for (const overrides of [{ drift: { kind: "none" } }, { drift: { kind: "band", maxAbsPct: 0.01 }, rebalance: { kind: "full" } }]) {
+    const policy = equivalentsPolicy({ buyOrder: ["ITOT", "VTI"] }, { ...overrides, costs: { spreadBpsBySymbol: { ITOT: 500 }, maxCostPct: 0.02 } });
+    const plan = allocate(policy, snap, { explain: true });
+
+    // VTI trades free, but its buys go to ITOT at a 5% spread.
+    assert.deepEqual(plan.legs.map((l) => l.symbol), ["VXUS"], overrides.drift.kind);
+    const dropped = plan.trace.find((s) => s.step === "dropped_legs").legs;
+    assert.deepEqual(dropped.map((d) => [d.symbol, d.reason]), [["VTI", "COST_ABOVE_MAX"]], overrides.drift.kind);
+  }
+});
+
+test("cost model fits costs with a whole-dollar roundToUsd instead of throwing", () => {
+  const policy = basePolicy({ targets: [{ symbol: "AAA", targetWeight: 1 }], drift: { kind: "none" }, costs: { minFeeUsd: 1 } });
+  const snap = baseSnapshot({ cashUsd: 10.95, positions: [], pricesUsd: { AAA: 5 } });
+
+  // $10 + $1 fee is 5¢ over; trimming 5¢ would floor back to the same $10 leg.
+  const plan = allocate(policy, snap, { roundToUsd: 1 });
+  assert.equal(plan.status, "PLANNED");
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd]), [["AAA", 9]]);
+  assert.ok(plan.plannedSpendUsd + plan.estimatedCostUsd <= 10.95);
+
+  const tooSmall = allocate(policy, baseSnapshot({ cashUsd: 1.5, positions: [], pricesUsd: { AAA: 5 } }), { roundToUsd: 1 });
+  assert.equal(tooSmall.status, "NOOP");
+  assert.equal(tooSmall.legs.length, 0);
+});
+
+test("plans omit estimatedCostUsd without a cost model", () => {
+  const plan = allocate(basePolicy(), baseSnapshot());
+
+  assert.equal("estimatedCostUsd" in plan, false);
+  assert.ok(plan.legs.every((l) => !("estimatedCostUsd" in l)));
+});
+
+test("glide path resolves targets from the snapshot date and reports them in the plan", () => {
+  const policy = basePolicy({
+    drift: { kind: "band", maxAbsPct: 0.5 },
+    glidePath: {
+      kind: "steps",
+      points: [
+        { fromIso: "2020-01-01", weights: { VTI: 0.9, VXUS: 0.1 } },
+        { fromIso: "2026-01-01", weights: { VTI: 0.5, VXUS: 0.5 } }
+      ]
+    }
+  });
+
+  const plan = allocate(policy, baseSnapshot({ asOfIso: "2026-03-01T15:00:00Z" }));
+  assert.deepEqual(plan.glidePath, {
+    kind: "steps",
+    asOfIso: "2026-03-01T15:00:00Z",
+    fromIso: "2026-01-01",
+    weights: { VTI: 0.5, VXUS: 0.5 }
+  });
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.notionalUsd, l.targetWeight]), [["VTI", 50, 0.5], ["VXUS", 50, 0.5]]);
+
+  const earlier = allocate(policy, baseSnapshot({ asOfIso: "2025-12-31T23:59:59Z" }));
+  assert.equal(earlier.glidePath.fromIso, "2020-01-01");
+  assert.deepEqual(earlier.legs.map((l) => [l.symbol, l.notionalUsd]), [["VTI", 90], ["VXUS", 10]]);
+
+  assert.equal(allocate(basePolicy(), baseSnapshot()).glidePath, undefined);
+});
+
+test("calendar rebalance prioritizes underweights within the band when due", () => {
+  const policy = basePolicy({
+    drift: { kind: "band", maxAbsPct: 0.2 },
+    rebalance: { kind: "cashflow", calendar: { frequency: "quarterly", anchorIso: "2026-01-01" } }
+  });
+  // VTI 250 / VXUS 60 of 410: VXUS is 14.6% vs 30%, within the 20% band.
+  // Underweight mode fills the deficits to target, VXUS 63 and VTI 37 (pro-rata would be 30 / 70).
+  const snap = baseSnapshot({ asOfIso: "2026-07-15T14:00:00Z", cashUsd: 100 });
+
+  const due = allocate(policy, snap, { lastRebalanceIso: "2026-04-02T14:00:00Z", explain: true });
+  assert.equal(due.calendar.due, true);
+  assert.equal(due.calendar.scheduledIso, "2026-07-01T00:00:00.000Z");
+  assert.equal(due.trace.find((s) => s.step === "mode").mode, "underweights");
+  assert.equal(due.trace.find((s) => s.step === "band_check").calendarDue, true);
+  const note = due.notes.find((n) => n.code === NOTE_CODES.CALENDAR_REBALANCE_DUE);
+  assert.equal(note.message, "Scheduled quarterly rebalance due (2026-07-01; last 2026-04-02); prioritizing underweights.");
+  assert.deepEqual(due.legs.map((l) => [l.symbol, l.notionalUsd]), [["VXUS", 63], ["VTI", 37]]);
+
+  const notDue = allocate(policy, snap, { lastRebalanceIso: "2026-07-02T14:00:00Z", explain: true });
+  assert.equal(notDue.calendar.due, false);
+  assert.equal(notDue.calendar.nextIso, "2026-10-01T00:00:00.000Z");
+  assert.equal(notDue.trace.find((s) => s.step === "mode").mode, "pro_rata");
+  assert.deepEqual(notDue.legs.map((l) => [l.symbol, l.notionalUsd]), [["VTI", 70], ["VXUS", 30]]);
+
+  assert.equal(allocate(policy, snap).calendar.due, true, "no last rebalance counts as due");
+  assert.equal(allocate(policy, snap, { withdrawUsd: 50 }).calendar, undefined);
+  assert.throws(() => allocate(policy, snap, { lastRebalanceIso: "last spring" }), /Invalid lastRebalanceIso option: last spring/);
+});
+
+test("calendar rebalance with rebalance.kind full trims overweights without a drift band", () => {
+  const policy = basePolicy({
+    drift: { kind: "none" },
+    rebalance: { kind: "full", calendar: { frequency: "annual", anchorIso: "2026-01-02" } }
+  });
+  const plan = allocate(policy, baseSnapshot({ asOfIso: "2026-03-01T00:00:00Z", cashUsd: 0 }), { lastRebalanceIso: "2025-06-30T00:00:00Z" });
+
+  assert.equal(plan.status, "PLANNED");
+  assert.deepEqual(plan.legs.map((l) => [l.symbol, l.side, l.notionalUsd]), [["VTI", "SELL", 33], ["VXUS", "BUY", 33]]);
+  assert.match(plan.notes.find((n) => n.code === NOTE_CODES.CALENDAR_REBALANCE_DUE).message, /trimming overweights and buying underweights\.$/);
 });
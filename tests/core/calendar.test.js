@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calendarStatus } from "../../packages/core/src/calendar.js";
+
+const quarterly = { frequency: "quarterly", anchorIso: "2026-01-31T00:00:00Z" };
+
+test("calendarStatus - finds the scheduled dates around asOfIso, clamping month ends", () => {
+  const status = calendarStatus(quarterly, "2026-06-15T12:00:00Z", "2026-02-01T00:00:00Z");
+
+  assert.deepEqual(status, {
+    frequency: "quarterly",
+    anchorIso: "2026-01-31T00:00:00Z",
+    lastRebalanceIso: "2026-02-01T00:00:00Z",
+    scheduledIso: "2026-04-30T00:00:00.000Z",
+    nextIso: "2026-07-31T00:00:00.000Z",
+    due: true
+  });
+  assert.equal(calendarStatus(quarterly, "2026-04-30T00:00:00Z", null).scheduledIso, "2026-04-30T00:00:00.000Z", "a scheduled date is due on the day");
+  assert.equal(calendarStatus(quarterly, "2026-04-29T23:59:59Z", null).scheduledIso, "2026-01-31T00:00:00.000Z");
+});
+
+test("calendarStatus - schedules extend before the anchor", () => {
+  const status = calendarStatus({ frequency: "annual", anchorIso: "2030-03-01" }, "2026-05-01T00:00:00Z", null);
+
+  assert.equal(status.scheduledIso, "2026-03-01T00:00:00.000Z");
+  assert.equal(status.nextIso, "2027-03-01T00:00:00.000Z");
+  assert.equal(calendarStatus({ frequency: "monthly", anchorIso: "2026-01-10" }, "2025-12-09T00:00:00Z", null).scheduledIso, "2025-11-10T00:00:00.000Z");
+});
+
+test("calendarStatus - is due only when a scheduled date passed since the last rebalance", () => {
+  assert.equal(calendarStatus(quarterly, "2026-06-15T00:00:00Z", null).due, true, "no record counts as due");
+  assert.equal(calendarStatus(quarterly, "2026-06-15T00:00:00Z", "2026-04-30T00:00:00Z").due, false);
+  assert.equal(calendarStatus(quarterly, "2026-06-15T00:00:00Z", "2026-05-20T09:30:00Z").due, false);
+  assert.equal(calendarStatus(quarterly, "2026-08-01T00:00:00Z", "2026-05-20T09:30:00Z").due, true);
+});
+
+test("calendarStatus - rejects an unparseable asOfIso", () => {
+  assert.throws(() => calendarStatus(quarterly, "later", null), /Calendar rebalance needs a valid snapshot asOfIso, got: later/);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { attachCosts, costSettings, estimateCostUsd, exceedsMaxCost } from "../../packages/core/src/costs.js";
+
+const costs = costSettings({
+  costs: { commissionUsd: 0.5, minFeeUsd: 1, spreadBps: 4, spreadBpsBySymbol: { VXUS: 10 }, maxCostPct: 0.01 }
+});
+
+test("costSettings - is null without a costs section and fills defaults", () => {
+  assert.equal(costSettings({}), null);
+  assert.deepEqual(costSettings({ costs: {} }), {
+    commissionUsd: 0,
+    minFeeUsd: 0,
+    spreadBps: 0,
+    spreadBpsBySymbol: {},
+    maxCostPct: null
+  });
+});
+
+test("estimateCostUsd - adds commission and spread, floored at the minimum fee", () => {
+  // 0.50 + 4 bps of $5,000 = $2.50
+  assert.equal(estimateCostUsd(costs, { symbol: "VTI", notionalUsd: 5000 }), 2.5);
+  // 0.50 + 10 bps of $1,000 = $1.50 (per-symbol spread)
+  assert.equal(estimateCostUsd(costs, { symbol: "VXUS", notionalUsd: 1000 }), 1.5);
+  // An equivalent buy falls back to its target's spread.
+  assert.equal(estimateCostUsd(costs, { symbol: "IXUS", targetSymbol: "VXUS", notionalUsd: 1000 }), 1.5);
+  // 0.50 + 4 bps of $100 = $0.54, below the $1 minimum fee
+  assert.equal(estimateCostUsd(costs, { symbol: "VTI", notionalUsd: 100 }), 1);
+  assert.equal(estimateCostUsd(costs, { symbol: "VTI", notionalUsd: 0 }), 0);
+});
+
+test("estimateCostUsd - rounds up to the cent", () => {
+  const spreadOnly = costSettings({ costs: { spreadBps: 3 } });
+  // 3 bps of $333.33 = $0.099999
+  assert.equal(estimateCostUsd(spreadOnly, { symbol: "VTI", notionalUsd: 333.33 }), 0.1);
+  assert.equal(estimateCostUsd(spreadOnly, { symbol: "VTI", notionalUsd: 10 }), 0.01);
+});
+
+test("exceedsMaxCost - compares the cost with maxCostPct of the notional", () => {
+  assert.equal(exceedsMaxCost(costs, { symbol: "VTI", notionalUsd: 100 }), false); // $1.00 = 1%
+  assert.equal(exceedsMaxCost(costs, { symbol: "VTI", notionalUsd: 99 }), true);
+  assert.equal(exceedsMaxCost(costSettings({ costs: { minFeeUsd: 5 } }), { symbol: "VTI", notionalUsd: 1 }), false);
+});
+
+test("attachCosts - sets estimatedCostUsd on each leg and returns the total", () => {
+  const legs = [
+    { symbol: "VTI", side: "BUY", notionalUsd: 5000 },
+    { symbol: "VXUS", side: "SELL", notionalUsd: 1000 }
+  ];
+
+  assert.equal(attachCosts(legs, costs), 4);
+  assert.deepEqual(legs.map((l) => l.estimatedCostUsd), [2.5, 1.5]);
+});
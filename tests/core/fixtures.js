@@ -0,0 +1,37 @@
+/**
+ * Shared policy and snapshot builders for the core tests: a 70/30 VTI/VXUS
+ * policy and a snapshot holding one share of each with $100 cash. Overrides
+ * replace top-level fields.
+ */
+
+export function basePolicy(overrides = {}) {
+  return {
+    version: 1,
+    name: "Core DCA",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    cashBufferPct: 0,
+    minInvestAmountUsd: 1,
+    maxInvestAmountUsd: 10_000,
+    minOrderUsd: 1,
+    maxOrders: 10,
+    drift: { kind: "band", maxAbsPct: 0.03 },
+    allowMissingPrices: false,
+    ...overrides
+  };
+}
+
+export function baseSnapshot(overrides = {}) {
+  return {
+    asOfIso: new Date().toISOString(),
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
+    ],
+    pricesUsd: { VTI: 250, VXUS: 60 },
+    ...overrides
+  };
+}
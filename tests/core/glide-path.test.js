@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applyTargetWeights, resolveGlidePath, targetWeightKeys } from "../../packages/core/src/glide-path.js";
+
+const targets = [
+  { group: "equity", targetWeight: 0.8, targets: [{ symbol: "VTI", targetWeight: 0.7 }, { symbol: "VXUS", targetWeight: 0.3 }] },
+  { symbol: "BND", targetWeight: 0.2 }
+];
+
+const steps = {
+  targets,
+  glidePath: {
+    kind: "steps",
+    points: [
+      { fromIso: "2026-01-01", weights: { equity: 0.8, BND: 0.2 } },
+      { fromIso: "2031-01-01", weights: { equity: 0.6, BND: 0.4, VTI: 0.5, VXUS: 0.5 } }
+    ]
+  }
+};
+
+const linear = {
+  targets,
+  glidePath: {
+    kind: "linear",
+    start: { dateIso: "2026-01-01T00:00:00Z", weights: { equity: 0.9, BND: 0.1 } },
+    end: { dateIso: "2036-01-01T00:00:00Z", weights: { equity: 0.5, BND: 0.5 } }
+  }
+};
+
+test("targetWeightKeys - lists symbols and slash-joined group paths", () => {
+  assert.deepEqual(targetWeightKeys(targets), ["equity", "VTI", "VXUS", "BND"]);
+  assert.deepEqual(
+    targetWeightKeys([{ group: "growth", targetWeight: 1, targets: [{ group: "us", targetWeight: 1, targets: [{ symbol: "VTI", targetWeight: 1 }] }] }]),
+    ["growth", "growth/us", "VTI"]
+  );
+});
+
+test("applyTargetWeights - replaces weights by symbol or group path without mutating", () => {
+  const before = structuredClone(targets);
+  const next = applyTargetWeights(targets, { equity: 0.5, BND: 0.5, VTI: 0.6, VXUS: 0.4 });
+
+  assert.deepEqual(next, [
+    { group: "equity", targetWeight: 0.5, targets: [{ symbol: "VTI", targetWeight: 0.6 }, { symbol: "VXUS", targetWeight: 0.4 }] },
+    { symbol: "BND", targetWeight: 0.5 }
+  ]);
+  assert.deepEqual(targets, before);
+});
+
+test("resolveGlidePath - steps use the latest point on or before asOfIso", () => {
+  const early = resolveGlidePath(steps, "2020-06-01T00:00:00Z");
+  assert.equal(early.glidePath.fromIso, "2026-01-01", "before the first point, the first point applies");
+
+  const resolved = resolveGlidePath(steps, "2031-01-01T00:00:00Z");
+  assert.deepEqual(resolved.glidePath, {
+    kind: "steps",
+    asOfIso: "2031-01-01T00:00:00Z",
+    fromIso: "2031-01-01",
+    weights: { equity: 0.6, BND: 0.4, VTI: 0.5, VXUS: 0.5 }
+  });
+  assert.equal(resolved.targets[0].targetWeight, 0.6);
+  assert.deepEqual(resolved.targets[0].targets.map((t) => t.targetWeight), [0.5, 0.5]);
+});
+
+test("resolveGlidePath - linear interpolates between start and end and clamps outside them", () => {
+  const mid = resolveGlidePath(linear, "2031-01-01T12:00:00Z");
+  assert.ok(Math.abs(mid.glidePath.progress - 0.5) < 0.001);
+  assert.ok(Math.abs(mid.glidePath.weights.equity - 0.7) < 0.001);
+  assert.ok(Math.abs(mid.glidePath.weights.equity + mid.glidePath.weights.BND - 1) < 1e-9);
+  assert.equal(mid.glidePath.startIso, "2026-01-01T00:00:00Z");
+
+  assert.deepEqual(resolveGlidePath(linear, "2020-01-01T00:00:00Z").glidePath.weights, { equity: 0.9, BND: 0.1 });
+  assert.deepEqual(resolveGlidePath(linear, "2040-01-01T00:00:00Z").glidePath.weights, { equity: 0.5, BND: 0.5 });
+});
+
+test("resolveGlidePath - rejects an unparseable asOfIso", () => {
+  assert.throws(() => resolveGlidePath(steps, "not a date"), /Glide path needs a valid snapshot asOfIso, got: not a date/);
+});
+
+test("resolveGlidePath - a key missing from one end keeps the policy weight there", () => {
+  const policy = {
+    targets: [{ symbol: "A", targetWeight: 0.5 }, { symbol: "B", targetWeight: 0.5 }],
+    glidePath: {
+      kind: "linear",
+      start: { dateIso: "2026-01-01T00:00:00Z", weights: { A: 0.6, B: 0.4 } },
+      end: { dateIso: "2028-01-01T00:00:00Z", weights: { B: 0.5 } }
+    }
+  };
+
+  const atEnd = resolveGlidePath(policy, "2030-01-01T00:00:00Z");
+  assert.deepEqual(atEnd.glidePath.weights, { A: 0.5, B: 0.5 });
+  assert.deepEqual(atEnd.targets.map((t) => t.targetWeight), [0.5, 0.5]);
+
+  const mid = resolveGlidePath(policy, "2027-01-01T12:00:00Z").glidePath.weights;
+  assert.ok(Math.abs(mid.A - 0.55) < 0.001 && Math.abs(mid.A + mid.B - 1) < 1e-9);
+});
+
+test("resolveGlidePath - rejects weights that do not sum to 1", () => {
+  const policy = {
+    targets: [{ group: "equity", targetWeight: 1, targets: [{ symbol: "A", targetWeight: 0.5 }, { symbol: "B", targetWeight: 0.5 }] }],
+    glidePath: { kind: "steps", points: [{ fromIso: "2026-01-01", weights: { A: 0.6 } }] }
+  };
+
+  assert.throws(
+    () => resolveGlidePath(policy, "2026-06-01T00:00:00Z"),
+    { message: "Glide path target weights in group equity sum to 1.1 as of 2026-06-01T00:00:00Z, not 1." }
+  );
+});
@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { allocateHousehold } from "../../packages/core/src/household.js";
+import { NOTE_CODES } from "../../packages/core/src/notes.js";
+import { basePolicy, baseSnapshot } from "./fixtures.js";
+
+function householdPolicy(overrides = {}) {
+  return basePolicy({
+    name: "Household",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.6 },
+      { symbol: "BND", targetWeight: 0.4, assetLocation: ["tax_deferred"] }
+    ],
+    drift: { kind: "band", maxAbsPct: 0.5 },
+    ...overrides
+  });
+}
+
+function account(id, type, cashUsd, positions = [], extra = {}) {
+  return {
+    id,
+    type,
+    snapshot: baseSnapshot({ cashUsd, positions, pricesUsd: { VTI: 100, BND: 50 } }),
+    ...extra
+  };
+}
+
+test("allocateHousehold places bonds in tax-deferred accounts first", () => {
+  const accounts = [
+    account("brokerage", "taxable", 600, [{ symbol: "VTI", quantity: 10, marketValueUsd: 1000 }]),
+    account("ira", "tax_deferred", 400)
+  ];
+  const plan = allocateHousehold(householdPolicy(), accounts);
+
+  assert.equal(plan.status, "PLANNED");
+  assert.equal(plan.totalValueUsd, 2000);
+  assert.equal(plan.plannedSpendUsd, 1000);
+  assert.deepEqual(
+    plan.legs.map((l) => [l.accountId, l.symbol, l.notionalUsd]),
+    [["brokerage", "VTI", 600], ["ira", "BND", 400]]
+  );
+  const bnd = plan.legs.find((l) => l.symbol === "BND");
+  assert.equal(bnd.accountType, "tax_deferred");
+  assert.ok(bnd.reasonCodes.includes("ASSET_LOCATION"));
+  assert.equal(bnd.postBuyEstimatedWeight, 0.2);
+
+  const ira = plan.accounts.find((a) => a.id === "ira");
+  assert.equal(ira.availableCashUsd, 400);
+  assert.equal(ira.plannedSpendUsd, 400);
+  assert.equal(ira.legs.length, 1);
+});
+
+test("allocateHousehold falls back to other accounts when the preferred one lacks cash", () => {
+  const accounts = [
+    account("brokerage", "taxable", 900, [{ symbol: "VTI", quantity: 10, marketValueUsd: 1000 }]),
+    account("ira", "tax_deferred", 100)
+  ];
+  const plan = allocateHousehold(householdPolicy(), accounts);
+
+  const bndLegs = plan.legs.filter((l) => l.symbol === "BND");
+  assert.deepEqual(bndLegs.map((l) => [l.accountId, l.notionalUsd]), [["brokerage", 300], ["ira", 100]]);
+  assert.ok(!bndLegs[0].reasonCodes.includes("ASSET_LOCATION"));
+  const fallback = plan.notes.find((n) => n.code === NOTE_CODES.ASSET_LOCATION_FALLBACK);
+  assert.deepEqual(fallback.data, { symbol: "BND", accountId: "brokerage", amountUsd: 300 });
+  assert.equal(plan.plannedSpendUsd, 1000);
+});
+
+test("allocateHousehold places symbols with the fewest eligible accounts first", () => {
+  const policy = householdPolicy({
+    targets: [
+      { symbol: "VTI", targetWeight: 0.4 },
+      { symbol: "BND", targetWeight: 0.6 }
+    ]
+  });
+  const accounts = [
+    account("brokerage", "taxable", 600),
+    account("401k", "tax_deferred", 400, [], { tradeableSymbols: ["BND"] })
+  ];
+  const plan = allocateHousehold(policy, accounts);
+
+  assert.deepEqual(
+    plan.legs.map((l) => [l.accountId, l.symbol, l.notionalUsd]),
+    [["brokerage", "VTI", 400], ["brokerage", "BND", 200], ["401k", "BND", 400]]
+  );
+  assert.ok(!plan.notes.some((n) => n.code === NOTE_CODES.HOUSEHOLD_UNPLACED));
+});
+
+test("allocateHousehold reports buys no account can fund", () => {
+  const accounts = [
+    account("brokerage", "taxable", 100, [{ symbol: "VTI", quantity: 10, marketValueUsd: 1000 }]),
+    account("401k", "tax_deferred", 900, [], { tradeableSymbols: ["BND"] })
+  ];
+  const plan = allocateHousehold(householdPolicy(), accounts);
+
+  assert.deepEqual(plan.legs.find((l) => l.symbol === "VTI").notionalUsd, 100);
+  const unplaced = plan.notes.find((n) => n.code === NOTE_CODES.HOUSEHOLD_UNPLACED);
+  assert.deepEqual(unplaced.data, { symbol: "VTI", amountUsd: 500 });
+  assert.equal(unplaced.severity, "warning");
+  assert.equal(plan.plannedSpendUsd, 500);
+});
+
+test("allocateHousehold keeps each account's cash buffer", () => {
+  const accounts = [
+    account("brokerage", "taxable", 600, [{ symbol: "VTI", quantity: 10, marketValueUsd: 1000 }]),
+    account("ira", "tax_deferred", 400)
+  ];
+  const plan = allocateHousehold(householdPolicy({ cashBufferPct: 0.1 }), accounts);
+
+  assert.deepEqual(plan.accounts.map((a) => a.availableCashUsd), [440, 360]);
+  for (const a of plan.accounts) assert.ok(a.plannedSpendUsd <= a.availableCashUsd);
+});
+
+test("allocateHousehold splits whole-share orders by quantity", () => {
+  const accounts = [
+    account("brokerage", "taxable", 600, [{ symbol: "VTI", quantity: 10, marketValueUsd: 1000 }]),
+    account("ira", "tax_deferred", 120)
+  ];
+  const plan = allocateHousehold(householdPolicy({ orderUnits: "shares" }), accounts);
+
+  for (const l of plan.legs) {
+    assert.ok(Number.isInteger(l.quantity));
+    assert.equal(l.notionalUsd, l.quantity * (l.symbol === "VTI" ? 100 : 50));
+  }
+  for (const a of plan.accounts) assert.ok(a.plannedSpendUsd <= a.availableCashUsd);
+});
+
+test("allocateHousehold rejects plans that need sells", () => {
+  const accounts = [account("ira", "tax_deferred", 100)];
+  assert.throws(
+    () => allocateHousehold(householdPolicy({ rebalance: { kind: "full" } }), accounts),
+    /cash-flow rebalancing only/
+  );
+  assert.throws(() => allocateHousehold(householdPolicy(), accounts, { withdrawUsd: 50 }), /does not support withdrawUsd/);
+  assert.throws(
+    () => allocateHousehold(householdPolicy({ untrackedHoldings: "liquidate" }), accounts),
+    /does not support untrackedHoldings/
+  );
+  assert.throws(() => allocateHousehold(householdPolicy({ costs: { commissionUsd: 1 } }), accounts), /does not support a transaction cost model/);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseJson } from "../../packages/core/src/jsonc.js";
+
+function syntaxError(text, options) {
+  try {
+    parseJson(text, options);
+  } catch (error) {
+    assert.ok(error instanceof SyntaxError);
+    return { line: error.line, column: error.column, message: error.message };
+  }
+  assert.fail(`Expected ${JSON.stringify(text)} to fail`);
+}
+
+test("parseJson - matches JSON.parse on valid documents", () => {
+  const documents = [
+    "{}",
+    "[]",
+    "\uFEFF{ \"a\": 1 }",
+    "{\"a\": [1, -2.5, 3e2, true, false, null], \"b\": {\"c\": \"x\\\"y\\u00e9\\n\"}}",
+    "  \"text\"  ",
+    "0",
+    "{\"a\": 1, \"a\": 2}",
+    "{\"__proto__\": {\"polluted\": true}}"
+  ];
+  for (const text of documents) {
+    assert.deepEqual(parseJson(text), JSON.parse(text.replace(/^\uFEFF/, "")), text);
+  }
+  assert.equal({}.polluted, undefined);
+});
+
+test("parseJson - reports the line and column of the first error", () => {
+  assert.deepEqual(syntaxError("{\n  \"a\": 1\n  \"b\": 2\n}"), {
+    line: 3, column: 3, message: "Expected ',' or '}' after property value, found character \"\\\"\""
+  });
+  assert.deepEqual(syntaxError("{\"a\":}"), { line: 1, column: 6, message: "Unexpected character \"}\"" });
+  assert.deepEqual(syntaxError("{\"a\": tru}"), { line: 1, column: 7, message: "Unexpected character \"t\"" });
+  assert.deepEqual(syntaxError("[1,\n 2"), { line: 2, column: 3, message: "Expected ',' or ']' after array element, found end of input" });
+  assert.deepEqual(syntaxError("{ a: 1 }"), { line: 1, column: 3, message: "Expected a double-quoted property name, found character \"a\"" });
+  assert.deepEqual(syntaxError("{\"a\" 1}"), { line: 1, column: 6, message: "Expected ':' after property name \"a\", found character \"1\"" });
+  assert.deepEqual(syntaxError("{\"a\": \"x\n\"}"), { line: 1, column: 7, message: "Unterminated string or invalid escape" });
+  assert.deepEqual(syntaxError("{} {}"), { line: 1, column: 4, message: "Unexpected character \"{\" after the document" });
+  assert.deepEqual(syntaxError(""), { line: 1, column: 1, message: "Unexpected end of input" });
+});
+
+test("parseJson - allows comments and trailing commas only when asked", () => {
+  const text = "{\n  // weights\n  \"a\": [1, 2,], /* note */\n  \"b\": \"// not a comment\",\n}";
+
+  assert.deepEqual(parseJson(text, { comments: true }), { a: [1, 2], b: "// not a comment" });
+  assert.equal(syntaxError(text).line, 2);
+  assert.deepEqual(syntaxError("[1,]"), { line: 1, column: 3, message: "Trailing comma" });
+  assert.deepEqual(syntaxError("{\n  /* open", { comments: true }), { line: 2, column: 3, message: "Unterminated comment" });
+});
@@ -0,0 +1,225 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolve } from "node:path";
+import { loadPolicy, mergePolicies, policyFileFormat, readPolicyFile } from "../../packages/core/src/loader.js";
+import { checkPolicy, validatePolicy } from "../../packages/core/src/validate.js";
+
+const base = {
+  version: 1,
+  name: "Base",
+  targets: [
+    { symbol: "VTI", targetWeight: 0.6, maxWeight: 0.7 },
+    { symbol: "VXUS", targetWeight: 0.4 }
+  ],
+  cashBufferPct: 0.01,
+  minInvestAmountUsd: 1,
+  maxInvestAmountUsd: 10_000,
+  minOrderUsd: 1,
+  maxOrders: 10,
+  drift: { kind: "band", maxAbsPct: 0.03 },
+  allowMissingPrices: false
+};
+
+// Serve policy files from memory: keys are paths relative to /policies.
+function memoryRead(files) {
+  return async (path) => {
+    const name = path.slice(resolve("/policies").length + 1);
+    if (!(name in files)) throw new Error(`ENOENT: no such file, open '${path}'`);
+    return typeof files[name] === "string" ? files[name] : JSON.stringify(files[name]);
+  };
+}
+
+function load(files, entry) {
+  return loadPolicy(`/policies/${entry}`, { read: memoryRead(files) });
+}
+
+test("loadPolicy - returns a policy without extends unchanged", async () => {
+  assert.deepEqual(await load({ "base.json": base }, "base.json"), base);
+});
+
+test("loadPolicy - overrides fields and inherits the rest", async () => {
+  const policy = await load({
+    "base.json": base,
+    "child.json": { extends: "./base.json", name: "Child", cashBufferPct: 0.05, drift: { maxAbsPct: 0.05 } }
+  }, "child.json");
+
+  assert.equal(policy.extends, undefined);
+  assert.equal(policy.name, "Child");
+  assert.equal(policy.cashBufferPct, 0.05);
+  assert.equal(policy.maxOrders, 10);
+  assert.deepEqual(policy.drift, { kind: "band", maxAbsPct: 0.05 });
+  assert.deepEqual(policy.targets, base.targets);
+  validatePolicy(policy);
+});
+
+test("loadPolicy - null deletes an inherited field", async () => {
+  const policy = await load({
+    "base.json": { ...base, description: "Shared" },
+    "child.json": { extends: "base.json", description: null }
+  }, "child.json");
+
+  assert.equal("description" in policy, false);
+});
+
+test("loadPolicy - overlays, removes and appends individual targets", async () => {
+  const policy = await load({
+    "base.json": base,
+    "child.json": {
+      extends: "./base.json",
+      targets: [
+        { symbol: "VTI", targetWeight: 0.5, maxWeight: null },
+        { symbol: "VXUS", remove: true },
+        { symbol: "BND", targetWeight: 0.5 }
+      ]
+    }
+  }, "child.json");
+
+  assert.deepEqual(policy.targets, [
+    { symbol: "VTI", targetWeight: 0.5 },
+    { symbol: "BND", targetWeight: 0.5 }
+  ]);
+  validatePolicy(policy);
+});
+
+test("loadPolicy - overlays targets inside a group by symbol", async () => {
+  const grouped = {
+    ...base,
+    targets: [
+      { group: "equity", targetWeight: 0.6, targets: [{ symbol: "VTI", targetWeight: 0.7 }, { symbol: "VXUS", targetWeight: 0.3 }] },
+      { symbol: "BND", targetWeight: 0.4 }
+    ]
+  };
+  const policy = await load({
+    "base.json": grouped,
+    "child.json": { extends: "./base.json", targets: [{ group: "equity", targets: [{ symbol: "VXUS", remove: true }, { symbol: "VEA", targetWeight: 0.3 }] }] }
+  }, "child.json");
+
+  assert.deepEqual(policy.targets[0], {
+    group: "equity",
+    targetWeight: 0.6,
+    targets: [{ symbol: "VTI", targetWeight: 0.7 }, { symbol: "VEA", targetWeight: 0.3 }]
+  });
+  assert.deepEqual(policy.targets[1], { symbol: "BND", targetWeight: 0.4 });
+});
+
+test("loadPolicy - applies an extends array in order and resolves chains relative to each file", async () => {
+  const policy = await load({
+    "shared/defaults.json": { ...base, targets: [] },
+    "shared/tight-drift.json": { extends: "./defaults.json", drift: { maxAbsPct: 0.01 }, maxOrders: 4 },
+    "shared/small-orders.json": { maxOrders: 2, minOrderUsd: 5 },
+    "child.json": { extends: ["./shared/tight-drift.json", "./shared/small-orders.json"], targets: base.targets }
+  }, "child.json");
+
+  assert.equal(policy.maxOrders, 2);
+  assert.equal(policy.minOrderUsd, 5);
+  assert.deepEqual(policy.drift, { kind: "band", maxAbsPct: 0.01 });
+  assert.deepEqual(policy.targets, base.targets);
+});
+
+test("loadPolicy - migrates both sides when versions differ", async () => {
+  const policy = await load({
+    "base.json": base,
+    "child.json": { extends: "./base.json", version: 2, orders: { maxOrders: 3 } }
+  }, "child.json");
+
+  assert.equal(policy.version, 2);
+  assert.deepEqual(policy.orders, { minOrderUsd: 1, maxOrders: 3 });
+  assert.equal(policy.capital.maxInvestAmountUsd, 10_000);
+  assert.equal("maxOrders" in policy, false);
+  validatePolicy(policy);
+});
+
+test("loadPolicy - rejects extends cycles", async () => {
+  await assert.rejects(
+    load({
+      "a.json": { extends: "./b.json" },
+      "b.json": { extends: "./c.json" },
+      "c.json": { extends: "./a.json" }
+    }, "a.json"),
+    { message: `Policy extends cycle: ${["a", "b", "c", "a"].map((n) => resolve(`/policies/${n}.json`)).join(" -> ")}` }
+  );
+  await assert.rejects(load({ "a.json": { extends: "./a.json" } }, "a.json"), /Policy extends cycle/);
+});
+
+test("loadPolicy - names the extending file when a parent is missing or malformed", async () => {
+  await assert.rejects(
+    load({ "child.json": { extends: "./missing.json" } }, "child.json"),
+    /Cannot read policy .*missing\.json \(extended by .*child\.json\): ENOENT/
+  );
+  await assert.rejects(load({ "child.json": { extends: "./bad.json" }, "bad.json": "{ nope" }, "child.json"), /Invalid JSON in policy .*bad\.json/);
+  await assert.rejects(load({ "child.json": { extends: "./list.json" }, "list.json": [] }, "child.json"), /list\.json must contain an object at the top level/);
+  await assert.rejects(load({ "child.json": { extends: [] } }, "child.json"), /extends must be a file path or a non-empty array/);
+});
+
+test("loadPolicy - rejects removing a target the parent does not have", async () => {
+  await assert.rejects(
+    load({ "base.json": base, "child.json": { extends: "./base.json", targets: [{ symbol: "BND", remove: true }] } }, "child.json"),
+    /Cannot remove target BND: the extended policy has no such target\./
+  );
+});
+
+test("loadPolicy - reads YAML and JSONC files, including across extends", async () => {
+  const yaml = [
+    "# Shared settings",
+    "extends: ./base.jsonc",
+    "name: From YAML",
+    "targets:",
+    "  - symbol: VTI",
+    "    targetWeight: 0.5   # trimmed for bonds",
+    "  - symbol: BND",
+    "    targetWeight: 0.1",
+    "description: 2026-01-01"
+  ].join("\n");
+  const jsonc = `{\n  // base policy\n  ${JSON.stringify(base).slice(1, -1)},\n}`;
+  const policy = await load({ "base.jsonc": jsonc, "child.yml": yaml }, "child.yml");
+
+  assert.equal(policy.name, "From YAML");
+  assert.equal(policy.description, "2026-01-01", "YAML dates stay strings");
+  assert.deepEqual(policy.targets.map((t) => [t.symbol, t.targetWeight]), [["VTI", 0.5], ["VXUS", 0.4], ["BND", 0.1]]);
+  validatePolicy(policy);
+});
+
+test("loadPolicy - reports parse errors with file, line and column", async () => {
+  await assert.rejects(
+    load({ "p.json": "{\n  \"version\": 1,\n  // note\n}" }, "p.json"),
+    { message: `Invalid JSON in policy ${resolve("/policies/p.json")}:3:3: Expected a double-quoted property name, found character "/"` }
+  );
+  await assert.rejects(
+    load({ "p.jsonc": "{\n  \"version\": 1\n  \"name\": \"x\"\n}" }, "p.jsonc"),
+    /^Error: Invalid JSONC in policy .*p\.jsonc:3:3: Expected ',' or '}' after property value/
+  );
+  await assert.rejects(
+    load({ "p.yaml": "version: 1\ntargets:\n  - symbol: VTI\n   targetWeight: 1\n" }, "p.yaml"),
+    /^Error: Invalid YAML in policy .*p\.yaml:4:4: bad indentation/
+  );
+  await assert.rejects(
+    load({ "p.yaml": "version: 1\nversion: 2\n" }, "p.yaml"),
+    /p\.yaml:2:1: duplicated mapping key/
+  );
+  await assert.rejects(load({ "p.yaml": "" }, "p.yaml"), /p\.yaml must contain an object at the top level/);
+});
+
+test("readPolicyFile - parses one file without resolving extends", async () => {
+  const document = await readPolicyFile("/policies/child.yaml", { read: memoryRead({ "child.yaml": "extends: ./base.json\nmaxOrders: 3\n" }) });
+
+  assert.deepEqual(document, { extends: "./base.json", maxOrders: 3 });
+  assert.equal(policyFileFormat("a/b.YML"), "yaml");
+  assert.equal(policyFileFormat("a/b.jsonc"), "jsonc");
+  assert.equal(policyFileFormat("a/b.json"), "json");
+  assert.equal(policyFileFormat("a/b"), "json");
+});
+
+test("mergePolicies - does not mutate its inputs", () => {
+  const overlay = { targets: [{ symbol: "VTI", targetWeight: 1 }, { symbol: "VXUS", remove: true }] };
+  const before = structuredClone(base);
+  mergePolicies(base, overlay);
+
+  assert.deepEqual(base, before);
+  assert.equal(overlay.targets.length, 2);
+});
+
+test("checkPolicy - flags extends and target remove markers that were not resolved", () => {
+  const issues = checkPolicy({ ...base, extends: "./base.json", targets: [...base.targets, { symbol: "BND", remove: true }] });
+
+  assert.deepEqual(issues.filter((i) => i.code === "UNRESOLVED").map((i) => i.path), ["/extends", "/targets/2/remove"]);
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { selectLots, lotTerm } from "../../packages/core/src/lots.js";
+
+const AS_OF = "2026-06-01T00:00:00.000Z";
+
+// Price is $100/share. Short-term gain, long-term gain, long-term loss, short-term loss.
+const LOTS = [
+  { acquiredIso: "2024-01-10T00:00:00.000Z", quantity: 10, costBasisUsd: 500 },
+  { acquiredIso: "2025-03-01T00:00:00.000Z", quantity: 10, costBasisUsd: 1200 },
+  { acquiredIso: "2026-01-15T00:00:00.000Z", quantity: 10, costBasisUsd: 800 },
+  { acquiredIso: "2026-02-20T00:00:00.000Z", quantity: 10, costBasisUsd: 1100 }
+];
+
+test("lotTerm - long-term only after more than one year", () => {
+  assert.equal(lotTerm("2025-06-01T00:00:00.000Z", AS_OF), "short");
+  assert.equal(lotTerm("2025-05-31T00:00:00.000Z", AS_OF), "long");
+});
+
+test("selectLots - FIFO consumes oldest lots first", () => {
+  const res = selectLots(LOTS, 15, { method: "fifo", priceUsd: 100, asOfIso: AS_OF });
+
+  assert.deepEqual(res.lots.map((l) => [l.acquiredIso.slice(0, 10), l.quantity]), [
+    ["2024-01-10", 10],
+    ["2025-03-01", 5]
+  ]);
+  // (1000 - 500) + (500 - 600)
+  assert.equal(res.estimatedRealizedGainUsd, 400);
+});
+
+test("selectLots - HIFO consumes highest cost lots first", () => {
+  const res = selectLots(LOTS, 10, { method: "hifo", priceUsd: 100, asOfIso: AS_OF });
+
+  assert.equal(res.lots.length, 1);
+  assert.equal(res.lots[0].acquiredIso.slice(0, 10), "2025-03-01");
+  assert.equal(res.estimatedRealizedGainUsd, -200);
+  assert.equal(res.lots[0].term, "long");
+});
+
+test("selectLots - min_short_term_gain takes short-term losses, then long-term, short-term gains last", () => {
+  const res = selectLots(LOTS, 40, { method: "min_short_term_gain", priceUsd: 100, asOfIso: AS_OF });
+
+  assert.deepEqual(res.lots.map((l) => `${l.acquiredIso.slice(0, 10)}:${l.term}`), [
+    "2026-02-20:short",
+    "2025-03-01:long",
+    "2024-01-10:long",
+    "2026-01-15:short"
+  ]);
+});
+
+test("selectLots - rounds lot amounts to the cent so gains add up", () => {
+  const lots = [
+    { acquiredIso: "2024-01-10T00:00:00.000Z", quantity: 1, costBasisUsd: 10.004 },
+    { acquiredIso: "2024-02-10T00:00:00.000Z", quantity: 1, costBasisUsd: 10.004 }
+  ];
+  const res = selectLots(lots, 2, { method: "fifo", priceUsd: 20.006, asOfIso: AS_OF });
+
+  assert.deepEqual(res.lots.map((l) => [l.costBasisUsd, l.proceedsUsd, l.gainUsd]), [[10, 20.01, 10.01], [10, 20.01, 10.01]]);
+  assert.equal(res.estimatedRealizedGainUsd, 20.02);
+});
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { migratePolicy, LATEST_POLICY_VERSION } from "../../packages/core/src/migrate.js";
+import { validatePolicy } from "../../packages/core/src/validate.js";
+import { basePolicy } from "./fixtures.js";
+
+function v1Policy() {
+  return basePolicy({ cashBufferPct: 0.02, minOrderUsd: 5, orderUnits: "shares" });
+}
+
+test("migratePolicy - moves v1 capital controls and order rules into sections", () => {
+  const migrated = migratePolicy(v1Policy());
+
+  assert.equal(migrated.version, LATEST_POLICY_VERSION);
+  assert.deepEqual(migrated.capital, { cashBufferPct: 0.02, minInvestAmountUsd: 1, maxInvestAmountUsd: 10_000 });
+  assert.deepEqual(migrated.orders, { minOrderUsd: 5, maxOrders: 10, orderUnits: "shares" });
+  assert.equal(migrated.cashBufferPct, undefined);
+  assert.deepEqual(migrated.drift, { kind: "band", maxAbsPct: 0.03 });
+  assert.deepEqual(
+    Object.keys(migrated),
+    ["version", "name", "targets", "capital", "orders", "drift", "allowMissingPrices"]
+  );
+  validatePolicy(migrated);
+});
+
+test("migratePolicy - does not mutate its input and copies current documents", () => {
+  const original = v1Policy();
+  const migrated = migratePolicy(original);
+  assert.equal(original.version, 1);
+  assert.equal(original.cashBufferPct, 0.02);
+
+  const again = migratePolicy(migrated);
+  assert.deepEqual(again, migrated);
+  assert.notEqual(again, migrated);
+});
+
+test("migratePolicy - rejects unknown versions", () => {
+  assert.throws(() => migratePolicy({ ...v1Policy(), version: 7 }), /Cannot migrate policy version 7/);
+});
@@ -0,0 +1,114 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { allocate } from "../../packages/core/src/allocate.js";
+import { ceilToStep, floorCents, floorToStep, sumUsd, toCents } from "../../packages/core/src/money.js";
+
+test("money helpers round to whole cents without floating-point drift", () => {
+  assert.equal(floorCents(69.99999999999), 7000);
+  assert.equal(floorCents(69.999), 6999);
+  assert.equal(floorToStep(0.1 + 0.2, 0.01), 0.3);
+  assert.equal(floorToStep(12.34, 0.05), 12.3);
+  assert.equal(ceilToStep(12.31, 0.05), 12.35);
+  assert.equal(sumUsd([0.1, 0.2]), 0.3);
+  assert.equal(sumUsd(Array(10).fill(0.1)), 1);
+});
+
+// Deterministic PRNG (mulberry32) so failures are reproducible from the seed.
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rand, values) {
+  return values[Math.floor(rand() * values.length)];
+}
+
+function cents(rand, maxUsd) {
+  return Math.floor(rand() * maxUsd * 100) / 100;
+}
+
+function randomCase(seed) {
+  const rand = rng(seed);
+  const symbols = ["AAA", "BBB", "CCC", "DDD", "EEE"].slice(0, 1 + Math.floor(rand() * 5));
+
+  const raw = symbols.map(() => 1 + Math.floor(rand() * 100));
+  const rawTotal = raw.reduce((acc, r) => acc + r, 0);
+  const weights = raw.map((r) => Math.floor((r / rawTotal) * 10_000) / 10_000);
+  weights[0] = Number((1 - weights.slice(1).reduce((acc, w) => acc + w, 0)).toFixed(4));
+
+  const targets = symbols.map((symbol, i) => {
+    const t = { symbol, targetWeight: weights[i] };
+    if (rand() < 0.2) t.maxOrderUsd = 50 + cents(rand, 2_000);
+    return t;
+  });
+
+  const pricesUsd = {};
+  const positions = [];
+  for (const symbol of symbols) {
+    // Mix whole-cent and sub-cent prices.
+    pricesUsd[symbol] = rand() < 0.3 ? 1 + Math.floor(rand() * 500_000) / 1000 : 1 + cents(rand, 500);
+    if (rand() < 0.7) {
+      const quantity = 1 + Math.floor(rand() * 50);
+      positions.push({ symbol, quantity, marketValueUsd: Number((quantity * pricesUsd[symbol]).toFixed(2)) });
+    }
+  }
+
+  const policy = {
+    version: 1,
+    name: `random-${seed}`,
+    targets,
+    cashBufferPct: pick(rand, [0, 0.01, 0.025, 0.1]),
+    minInvestAmountUsd: 1,
+    maxInvestAmountUsd: pick(rand, [undefined, 333.33, 5_000]),
+    minOrderUsd: pick(rand, [1, 5, 25.5]),
+    maxOrders: 1 + Math.floor(rand() * 5),
+    drift: pick(rand, [{ kind: "none" }, { kind: "band", maxAbsPct: 0.02 }, { kind: "relative", maxRelPct: 0.25 }]),
+    rebalance: { kind: "cashflow" },
+    orderUnits: pick(rand, ["notional", "shares"])
+  };
+  if (policy.maxInvestAmountUsd === undefined) delete policy.maxInvestAmountUsd;
+  if (policy.drift.kind !== "none" && rand() < 0.5) policy.rebalance.kind = "full";
+
+  const snapshot = {
+    asOfIso: "2026-06-01T00:00:00.000Z",
+    cashUsd: cents(rand, 20_000),
+    positions,
+    pricesUsd
+  };
+  return { policy, snapshot, roundToUsd: pick(rand, [0.01, 0.05, 1]) };
+}
+
+function isWholeCents(usd) {
+  return Math.abs(usd * 100 - Math.round(usd * 100)) < 1e-6;
+}
+
+test("property: legs are whole cents and never spend more than investable cash plus sells", () => {
+  for (let seed = 1; seed <= 500; seed++) {
+    const { policy, snapshot, roundToUsd } = randomCase(seed);
+    const plan = allocate(policy, snapshot, { roundToUsd });
+    const label = `seed ${seed}`;
+
+    let buyCents = 0;
+    let sellCents = 0;
+    for (const leg of plan.legs) {
+      assert.ok(isWholeCents(leg.notionalUsd), `${label}: ${leg.symbol} notional ${leg.notionalUsd}`);
+      if (leg.side === "BUY") buyCents += toCents(leg.notionalUsd);
+      else sellCents += toCents(leg.notionalUsd);
+    }
+
+    assert.ok(isWholeCents(plan.investableCashUsd), `${label}: investable ${plan.investableCashUsd}`);
+    assert.ok(plan.investableCashUsd <= snapshot.cashUsd, label);
+    assert.ok(buyCents <= toCents(plan.investableCashUsd) + sellCents, `${label}: buys ${buyCents} > funding`);
+    if (plan.status === "PLANNED") {
+      assert.equal(toCents(plan.plannedSpendUsd), buyCents, label);
+      assert.equal(toCents(plan.plannedSellUsd), sellCents, label);
+      assert.equal(plan.plannedSpendUsd, buyCents / 100, label);
+    }
+  }
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import { join } from "node:path";
+import Ajv from "ajv";
+import { allocate } from "../../packages/core/src/allocate.js";
+import { allocateHousehold } from "../../packages/core/src/household.js";
+import { loadPolicy } from "../../packages/core/src/loader.js";
+import { migratePolicy } from "../../packages/core/src/migrate.js";
+import {
+  PLAN_SCHEMA,
+  POLICY_SCHEMA,
+  SCHEMA_NAMES,
+  SCHEMA_VERSION,
+  SNAPSHOT_SCHEMA,
+  getSchema
+} from "../../packages/core/src/schemas.js";
+import { checkPolicy, checkSnapshot } from "../../packages/core/src/validate.js";
+
+const ajv = new Ajv({ allErrors: true, strictTypes: true });
+const validatePolicySchema = ajv.compile(POLICY_SCHEMA);
+const validateSnapshotSchema = ajv.compile(SNAPSHOT_SCHEMA);
+const validatePlanSchema = ajv.compile(PLAN_SCHEMA);
+
+async function policyFiles(dir) {
+  const entries = await readdir(dir, { recursive: true });
+  return entries.filter((name) => /\.(json|jsonc|ya?ml)$/.test(name)).sort().map((name) => join(dir, name));
+}
+
+function schemaErrors(validate, value) {
+  return validate(value) ? [] : validate.errors.map((e) => `${e.instancePath} ${e.message}`);
+}
+
+const snapshot = {
+  asOfIso: "2026-03-02T15:00:00Z",
+  cashUsd: 1000,
+  positions: [
+    { symbol: "VTI", quantity: 2, marketValueUsd: 500, lots: [{ acquiredIso: "2024-01-02", quantity: 2, costBasisUsd: 400 }] },
+    { symbol: "VXUS", quantity: 3, marketValueUsd: 180 },
+    { symbol: "GME", quantity: 1, marketValueUsd: 20 }
+  ],
+  pricesUsd: { VTI: 250, VXUS: 60, BND: 72, BNDX: 49, GME: 20 }
+};
+
+test("schemas - are valid draft-07 documents with versioned ids", () => {
+  for (const name of SCHEMA_NAMES) {
+    const schema = getSchema(name);
+    assert.ok(ajv.validateSchema(schema), `${name}: ${ajv.errorsText(ajv.errors)}`);
+    assert.equal(schema.$id, `urn:ledgerrun:schema:${name}:v${SCHEMA_VERSION}`);
+  }
+  assert.deepEqual(SCHEMA_NAMES, ["policy", "snapshot", "plan"]);
+  assert.notEqual(getSchema("policy"), POLICY_SCHEMA);
+  assert.throws(() => getSchema("order"), /Unknown schema: order/);
+});
+
+test("policy schema - agrees with validatePolicy on policies/ and test fixtures", async () => {
+  const files = [...await policyFiles("policies"), ...await policyFiles("tests")];
+  const semantic = files.filter((f) => f.includes(join("fixtures", "policies", "semantic")));
+  assert.ok(files.length >= 15 && semantic.length > 0);
+
+  for (const file of files) {
+    const policy = await loadPolicy(file);
+    const documents = policy.version === 1 ? [policy, migratePolicy(policy)] : [policy];
+    for (const doc of documents) {
+      const label = `${file} (v${doc.version})`;
+      const errors = schemaErrors(validatePolicySchema, doc);
+      const issues = checkPolicy(doc);
+      if (semantic.includes(file)) {
+        // Cross-field rules are beyond JSON Schema: the schema accepts, validatePolicy rejects.
+        assert.deepEqual(errors, [], label);
+        assert.ok(issues.length > 0, label);
+      } else {
+        assert.equal(errors.length === 0, issues.length === 0, `${label}: schema ${errors.join("; ")} / issues ${JSON.stringify(issues)}`);
+      }
+    }
+  }
+});
+
+test("snapshot schema - agrees with validateSnapshot", () => {
+  const multiCurrency = {
+    asOfIso: "2026-03-02T15:00:00Z",
+    cashBalances: { USD: 100, CAD: 200 },
+    positions: [{ symbol: "XIC", quantity: 10, marketValue: 350 }],
+    prices: { XIC: 35 },
+    currencies: { XIC: "CAD" },
+    fxRates: { base: "USD", rates: { CAD: 0.74 } }
+  };
+  const cases = [
+    snapshot,
+    multiCurrency,
+    { ...snapshot, cashUsd: -1 },
+    { ...snapshot, pricesUsd: { VTI: 0 } },
+    { ...snapshot, positions: [{ symbol: "VTI", quantity: -2, marketValueUsd: 500 }] },
+    { ...snapshot, positions: [{ symbol: "VTI", quantity: 2, marketValueUsd: 500, lots: [{ acquiredIso: "2024-01-02", quantity: 0, costBasisUsd: 1 }] }] },
+    { ...multiCurrency, fxRates: { base: "usd", rates: {} } },
+    { ...multiCurrency, cashBalances: { USD: -5 } }
+  ];
+
+  for (const value of cases) {
+    const errors = schemaErrors(validateSnapshotSchema, value);
+    assert.equal(errors.length === 0, checkSnapshot(value).length === 0, JSON.stringify(value));
+  }
+});
+
+test("plan schema - describes plans returned by allocate and allocateHousehold", async () => {
+  const base = await loadPolicy("policies/balanced.json");
+  const plans = [
+    allocate(base, snapshot),
+    allocate(base, snapshot, { explain: true, notesFormat: "strings" }),
+    allocate({ ...base, orderUnits: "shares", untrackedHoldings: "liquidate" }, snapshot),
+    allocate({ ...base, drift: { kind: "band", maxAbsPct: 0.01 }, rebalance: { kind: "full" }, lotSelection: "hifo" }, snapshot),
+    allocate(base, snapshot, { withdrawUsd: 1200 }),
+    allocate({ ...base, minInvestAmountUsd: 5000 }, snapshot),
+    allocate({ ...base, costs: { commissionUsd: 1, spreadBps: 5, maxCostPct: 0.01 } }, snapshot),
+    allocate({ ...base, rebalance: { kind: "full", calendar: { frequency: "monthly", anchorIso: "2026-01-01" } } }, snapshot, { explain: true }),
+    allocate({
+      ...base,
+      glidePath: {
+        kind: "linear",
+        start: { dateIso: "2020-01-01", weights: { equity: 0.8, bonds: 0.2 } },
+        end: { dateIso: "2040-01-01", weights: { equity: 0.4, bonds: 0.6 } }
+      }
+    }, snapshot),
+    allocateHousehold(base, [
+      { id: "brokerage", type: "taxable", snapshot },
+      { id: "ira", type: "tax_deferred", snapshot: { ...snapshot, positions: [] } }
+    ])
+  ];
+
+  for (const plan of plans) {
+    assert.deepEqual(schemaErrors(validatePlanSchema, plan), [], plan.status);
+  }
+  assert.ok(schemaErrors(validatePlanSchema, { ...plans[0], status: "DONE" }).length > 0);
+});
@@ -1,12 +1,21 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { validatePolicy, validateSnapshot } from "../../packages/core/src/validate.js";
+import {
+  ValidationError,
+  checkPolicy,
+  checkSnapshot,
+  checkSnapshotConsistency,
+  validateAccounts,
+  validatePolicy,
+  validateSnapshot,
+  validateTradeHistory
+} from "../../packages/core/src/validate.js";
 
 // Policy Validation Tests
 
 test("validatePolicy - rejects invalid version", () => {
   const policy = {
-    version: 2,
+    version: 3,
     name: "Test",
     targets: [{ symbol: "VTI", targetWeight: 1.0 }],
     drift: { kind: "none" }
@@ -266,3 +275,554 @@ test("validateSnapshot - accepts valid snapshot", () => {
 
   assert.doesNotThrow(() => validateSnapshot(snapshot));
 });
+
+test("validatePolicy - accepts full rebalance with a drift band", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "band", maxAbsPct: 0.05 },
+    rebalance: { kind: "full" }
+  };
+
+  assert.doesNotThrow(() => validatePolicy(policy));
+});
+
+test("validatePolicy - rejects invalid rebalance kind", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "band", maxAbsPct: 0.05 },
+    rebalance: { kind: "sometimes" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid rebalance.kind/);
+});
+
+test("validatePolicy - rejects full rebalance without a drift band", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "none" },
+    rebalance: { kind: "full" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /requires a drift band/);
+});
+
+test("validatePolicy - rejects invalid orderUnits", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "none" },
+    orderUnits: "lots"
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid orderUnits/);
+});
+
+test("validatePolicy - accepts nested target groups", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      {
+        group: "equity",
+        targetWeight: 0.6,
+        drift: { maxAbsPct: 0.05 },
+        targets: [
+          { symbol: "VTI", targetWeight: 0.7 },
+          { symbol: "VXUS", targetWeight: 0.3 }
+        ]
+      },
+      { group: "bonds", targetWeight: 0.4, targets: [{ symbol: "BND", targetWeight: 1 }] }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.doesNotThrow(() => validatePolicy(policy));
+});
+
+test("validatePolicy - rejects group children that don't sum to 1", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      {
+        group: "equity",
+        targetWeight: 1,
+        targets: [
+          { symbol: "VTI", targetWeight: 0.6 },
+          { symbol: "VXUS", targetWeight: 0.3 }
+        ]
+      }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Target weights in group equity must sum to 1/);
+});
+
+test("validatePolicy - rejects duplicate symbols across groups", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      { group: "a", targetWeight: 0.5, targets: [{ symbol: "VTI", targetWeight: 1 }] },
+      { group: "b", targetWeight: 0.5, targets: [{ symbol: "VTI", targetWeight: 1 }] }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Duplicate target symbol: VTI/);
+});
+
+test("validatePolicy - rejects invalid group drift band", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      { group: "a", targetWeight: 1, drift: { maxAbsPct: 2 }, targets: [{ symbol: "VTI", targetWeight: 1 }] }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid drift.maxAbsPct for group a/);
+});
+
+test("validatePolicy - rejects maxWeight below target weight", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7, maxWeight: 0.6 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /maxWeight for VTI is below its target weight/);
+});
+
+test("validatePolicy - compares bounds against absolute weight inside groups", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [
+      {
+        group: "equity",
+        targetWeight: 0.5,
+        targets: [
+          { symbol: "VTI", targetWeight: 0.8, maxWeight: 0.45 },
+          { symbol: "VXUS", targetWeight: 0.2 }
+        ]
+      },
+      { symbol: "BND", targetWeight: 0.5 }
+    ],
+    drift: { kind: "none" }
+  };
+
+  assert.doesNotThrow(() => validatePolicy(policy));
+});
+
+test("validatePolicy - rejects maxOrderUsd below minOrderUsd", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1, minOrderUsd: 10, maxOrderUsd: 5 }],
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /maxOrderUsd for VTI is below its minOrderUsd/);
+});
+
+test("validatePolicy - requires maxRelPct for relative drift", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "relative" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid drift.maxRelPct/);
+});
+
+test("validatePolicy - rejects invalid per-target drift override", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0, drift: { maxAbsPct: -1 } }],
+    drift: { kind: "band", maxAbsPct: 0.05 }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid drift.maxAbsPct for VTI/);
+});
+
+test("validateSnapshot - rejects lots that don't sum to position quantity", () => {
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashUsd: 0,
+    positions: [
+      {
+        symbol: "VTI",
+        quantity: 3,
+        marketValueUsd: 750,
+        lots: [{ acquiredIso: "2025-01-01T00:00:00.000Z", quantity: 2, costBasisUsd: 400 }]
+      }
+    ],
+    pricesUsd: { VTI: 250 }
+  };
+
+  assert.throws(() => validateSnapshot(snapshot), /Lot quantities for VTI \(2\) do not sum to position quantity \(3\)/);
+});
+
+test("validateSnapshot - rejects lots with invalid acquired date", () => {
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250, lots: [{ acquiredIso: "soon", quantity: 1, costBasisUsd: 1 }] }
+    ],
+    pricesUsd: { VTI: 250 }
+  };
+
+  assert.throws(() => validateSnapshot(snapshot), /Invalid lot acquiredIso for VTI/);
+});
+
+test("validatePolicy - rejects unknown lotSelection", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "none" },
+    lotSelection: "lifo"
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid lotSelection/);
+});
+
+test("validateTradeHistory - rejects trades with invalid side", () => {
+  const trades = [{ symbol: "VTI", side: "HOLD", executedIso: "2026-05-01T00:00:00.000Z" }];
+  assert.throws(() => validateTradeHistory(trades), /Invalid side for trade of VTI/);
+});
+
+test("validatePolicy - rejects invalid washSale action", () => {
+  const policy = {
+    version: 1,
+    name: "Test",
+    targets: [{ symbol: "VTI", targetWeight: 1.0 }],
+    drift: { kind: "none" },
+    washSale: { action: "ignore" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /Invalid washSale.action/);
+});
+
+test("validateSnapshot - rejects multi-currency cash without an FX rate", () => {
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashBalances: { USD: 10, GBP: 5 },
+    positions: [],
+    prices: {},
+    fxRates: { base: "USD", rates: { CAD: 0.75 } }
+  };
+
+  assert.throws(() => validateSnapshot(snapshot), /Missing FX rate for GBP/);
+});
+
+test("validateSnapshot - validates multi-currency positions by marketValue", () => {
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashBalances: { USD: 10 },
+    positions: [{ symbol: "VTI", quantity: 1, marketValue: -1 }],
+    prices: { VTI: 250 },
+    fxRates: { base: "USD", rates: {} }
+  };
+
+  assert.throws(() => validateSnapshot(snapshot), /Invalid marketValue for VTI/);
+});
+
+test("validatePolicy - accepts a v2 policy with capital and orders sections", () => {
+  const policy = {
+    version: 2,
+    targets: [{ symbol: "VTI", targetWeight: 1 }],
+    capital: { cashBufferPct: 0.05 },
+    orders: { maxOrders: 2, lotSelection: "hifo" },
+    drift: { kind: "none" }
+  };
+
+  assert.doesNotThrow(() => validatePolicy(policy));
+  assert.throws(
+    () => validatePolicy({ ...policy, orders: { maxOrders: 0 } }),
+    /Invalid maxOrders: 0/
+  );
+});
+
+test("validatePolicy - rejects v1 fields left at the top level of a v2 policy", () => {
+  const policy = {
+    version: 2,
+    targets: [{ symbol: "VTI", targetWeight: 1 }],
+    minOrderUsd: 5,
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), /minOrderUsd belongs under orders/);
+  const { minOrderUsd, ...rest } = policy;
+  assert.throws(
+    () => validatePolicy({ ...rest, capital: { minOrderUsd } }),
+    /Unknown field capital.minOrderUsd/
+  );
+});
+
+test("validatePolicy - rejects invalid assetLocation", () => {
+  const policy = (assetLocation) => ({
+    version: 1,
+    targets: [{ symbol: "BND", targetWeight: 1, assetLocation }],
+    drift: { kind: "none" }
+  });
+
+  assert.doesNotThrow(() => validatePolicy(policy(["tax_deferred", "tax_exempt"])));
+  assert.throws(() => validatePolicy(policy([])), /Invalid assetLocation for BND/);
+  assert.throws(() => validatePolicy(policy(["ira"])), /Invalid assetLocation for BND/);
+  assert.throws(() => validatePolicy(policy(["taxable", "taxable"])), /Invalid assetLocation for BND/);
+});
+
+test("validateAccounts - checks ids, types and snapshots", () => {
+  const snapshot = { asOfIso: new Date().toISOString(), cashUsd: 100, positions: [], pricesUsd: {} };
+
+  assert.doesNotThrow(() => validateAccounts([{ id: "ira", type: "tax_deferred", tradeableSymbols: ["BND"], snapshot }]));
+  assert.throws(() => validateAccounts([]), /non-empty array/);
+  assert.throws(
+    () => validateAccounts([{ id: "a", type: "taxable", snapshot }, { id: "a", type: "taxable", snapshot }]),
+    /Duplicate account id: a/
+  );
+  assert.throws(() => validateAccounts([{ id: "a", type: "roth", snapshot }]), /Invalid type for account a/);
+  assert.throws(
+    () => validateAccounts([{ id: "a", type: "taxable", tradeableSymbols: "BND", snapshot }]),
+    /tradeableSymbols must be an array/
+  );
+  assert.throws(
+    () => validateAccounts([{ id: "a", type: "taxable", snapshot: { ...snapshot, cashUsd: -1 } }]),
+    /^ValidationError: Account a: /
+  );
+});
+
+test("validatePolicy - checks target equivalents and buyOrder", () => {
+  const policy = (vti, other = { symbol: "VXUS", targetWeight: 0.5 }) => ({
+    version: 1,
+    targets: [{ symbol: "VTI", targetWeight: 0.5, ...vti }, other],
+    drift: { kind: "none" }
+  });
+
+  assert.doesNotThrow(() => validatePolicy(policy({ equivalents: ["ITOT"], buyOrder: ["ITOT", "VTI"] })));
+  assert.throws(() => validatePolicy(policy({ equivalents: ["VTI"] })), /Invalid equivalents for VTI/);
+  assert.throws(() => validatePolicy(policy({ equivalents: "ITOT" })), /Invalid equivalents for VTI/);
+  assert.throws(() => validatePolicy(policy({ equivalents: ["ITOT"], buyOrder: ["SCHB"] })), /Invalid buyOrder for VTI/);
+  assert.throws(
+    () => validatePolicy(policy({ equivalents: ["VXUS"] })),
+    /Duplicate target symbol: VXUS/
+  );
+  assert.throws(
+    () => validatePolicy(policy({ equivalents: ["ITOT"] }, { symbol: "VXUS", targetWeight: 0.5, equivalents: ["ITOT"] })),
+    /Equivalent ITOT of VXUS is already a target/
+  );
+});
+
+test("validatePolicy - rejects invalid untrackedHoldings", () => {
+  const policy = { version: 1, targets: [{ symbol: "VTI", targetWeight: 1 }], drift: { kind: "none" } };
+
+  assert.doesNotThrow(() => validatePolicy({ ...policy, untrackedHoldings: "liquidate" }));
+  assert.throws(() => validatePolicy({ ...policy, untrackedHoldings: "ignore" }), /Invalid untrackedHoldings: ignore/);
+});
+
+test("checkPolicy - collects every issue with JSON pointer paths", () => {
+  const issues = checkPolicy({
+    version: 2,
+    targets: [
+      { symbol: "VTI", targetWeight: 0.5 },
+      { group: "Bonds", targetWeight: 0.5, targets: [{ symbol: "BND", targetWeight: 1.5 }, { symbol: "VTI", targetWeight: 0.1 }] }
+    ],
+    orders: { maxOrders: 0 },
+    capital: { cashBufferPct: 2 },
+    minOrderUsd: 1,
+    drift: { kind: "sideways" }
+  });
+
+  assert.deepEqual(issues.map((i) => [i.path, i.code]), [
+    ["/minOrderUsd", "MISPLACED_FIELD"],
+    ["/targets/1/targets/1/symbol", "DUPLICATE"],
+    ["/targets/1/targets/0/targetWeight", "OUT_OF_RANGE"],
+    ["/capital/cashBufferPct", "OUT_OF_RANGE"],
+    ["/orders/maxOrders", "OUT_OF_RANGE"],
+    ["/drift/kind", "INVALID_VALUE"]
+  ]);
+  assert.deepEqual(checkPolicy({ version: 1, targets: [{ symbol: "VTI", targetWeight: 1 }], drift: { kind: "none" } }), []);
+});
+
+test("checkSnapshot - escapes JSON pointer segments", () => {
+  const issues = checkSnapshot({ asOfIso: "2026-01-01T00:00:00Z", cashUsd: 0, positions: [], pricesUsd: { "BRK/B": 0, "A~B": -1 } });
+
+  assert.deepEqual(issues.map((i) => i.path), ["/pricesUsd/BRK~1B", "/pricesUsd/A~0B"]);
+  assert.deepEqual(checkPolicy(null), [{ path: "", code: "INVALID_TYPE", message: "Policy must be an object." }]);
+});
+
+test("validatePolicy - throws a ValidationError carrying all issues", () => {
+  const policy = {
+    version: 1,
+    targets: [{ symbol: "VTI", targetWeight: 0.5 }, { symbol: "VXUS", targetWeight: 0.4 }],
+    orderUnits: "lots",
+    drift: { kind: "none" }
+  };
+
+  assert.throws(() => validatePolicy(policy), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.name, "ValidationError");
+    assert.deepEqual(error.issues.map((i) => i.path), ["/targets", "/orderUnits"]);
+    assert.match(error.message, /^2 validation issues:\n- Target weights must sum to 1/);
+    return true;
+  });
+});
+
+test("checkSnapshot - reports issue paths for positions and prices", () => {
+  const issues = checkSnapshot({
+    asOfIso: "2026-01-01T00:00:00Z",
+    cashUsd: -1,
+    positions: [{ symbol: "VTI", quantity: 1, marketValueUsd: 100, lots: [{ acquiredIso: "nope", quantity: 1, costBasisUsd: 90 }] }],
+    pricesUsd: { VTI: 0 }
+  });
+
+  assert.deepEqual(issues.map((i) => i.path), ["/cashUsd", "/pricesUsd/VTI", "/positions/0/lots/0/acquiredIso"]);
+});
+
+test("checkSnapshotConsistency - flags timestamps, duplicates, missing prices and value mismatches", () => {
+  const snapshot = {
+    asOfIso: "2026-03-02T12:00:00Z",
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 2, marketValueUsd: 500 },
+      { symbol: "VXUS", quantity: 3, marketValueUsd: 200 },
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
+      { symbol: "BND", quantity: 5, marketValueUsd: 360 },
+      { symbol: "OLD", quantity: 0, marketValueUsd: 0 }
+    ],
+    pricesUsd: { VTI: 250, VXUS: 60 }
+  };
+  const nowIso = "2026-03-02T12:30:00Z";
+
+  assert.deepEqual(checkSnapshotConsistency(snapshot, {}, { nowIso }).map((i) => [i.path, i.code, i.severity]), [
+    ["/positions/1/marketValueUsd", "VALUE_MISMATCH", "error"],
+    ["/positions/2/symbol", "DUPLICATE_POSITION", "error"],
+    ["/pricesUsd/BND", "MISSING_PRICE", "error"]
+  ]);
+  assert.deepEqual(
+    checkSnapshotConsistency(snapshot, { valueTolerancePct: 0.15, severities: { DUPLICATE_POSITION: "off", MISSING_PRICE: "warning" } }, { nowIso })
+      .map((i) => [i.code, i.severity]),
+    [["MISSING_PRICE", "warning"]]
+  );
+  assert.deepEqual(checkSnapshotConsistency(snapshot, undefined, { nowIso }).map((i) => i.severity), ["warning", "warning", "warning"]);
+});
+
+test("checkSnapshotConsistency - checks snapshot age against nowIso", () => {
+  const snapshot = (asOfIso) => ({ asOfIso, cashUsd: 0, positions: [], pricesUsd: {} });
+  const codes = (asOfIso, checks) =>
+    checkSnapshotConsistency(snapshot(asOfIso), checks, { nowIso: "2026-03-02T12:00:00Z" }).map((i) => i.code);
+
+  assert.deepEqual(codes("2026-03-02T11:00:00Z"), []);
+  assert.deepEqual(codes("2026-03-02T11:00:00Z", { maxAgeMinutes: 30 }), ["STALE_SNAPSHOT"]);
+  assert.deepEqual(codes("2026-02-28T12:00:00Z"), ["STALE_SNAPSHOT"]);
+  assert.deepEqual(codes("2026-03-02T12:04:00Z"), []);
+  assert.deepEqual(codes("2026-03-02T12:10:00Z"), ["FUTURE_TIMESTAMP"]);
+  assert.deepEqual(codes("yesterday"), ["INVALID_TIMESTAMP"]);
+});
+
+test("checkPolicy - validates snapshotChecks", () => {
+  const policy = (snapshotChecks) => ({
+    version: 1,
+    targets: [{ symbol: "VTI", targetWeight: 1 }],
+    drift: { kind: "none" },
+    snapshotChecks
+  });
+
+  assert.deepEqual(checkPolicy(policy({ maxAgeMinutes: 60, severities: { STALE_SNAPSHOT: "warning" } })), []);
+  assert.deepEqual(
+    checkPolicy(policy({ maxAgeMinutes: 0, valueTolerancePct: 2, severities: { STALE: "off", MISSING_PRICE: "ignore" } })).map((i) => i.path),
+    [
+      "/snapshotChecks/valueTolerancePct",
+      "/snapshotChecks/maxAgeMinutes",
+      "/snapshotChecks/severities/STALE",
+      "/snapshotChecks/severities/MISSING_PRICE"
+    ]
+  );
+});
+
+test("checkPolicy - validates costs", () => {
+  const policy = (costs) => ({
+    version: 1,
+    targets: [{ symbol: "VTI", targetWeight: 1 }],
+    drift: { kind: "none" },
+    costs
+  });
+
+  assert.deepEqual(checkPolicy(policy({ commissionUsd: 1, minFeeUsd: 0, spreadBps: 2.5, spreadBpsBySymbol: { VXUS: 8 }, maxCostPct: 0.01 })), []);
+  assert.deepEqual(
+    checkPolicy(policy({ commissionUsd: -1, spreadBps: "5", maxCostPct: 0, spreadBpsBySymbol: { VXUS: -2 } })).map((i) => i.path),
+    ["/costs/commissionUsd", "/costs/spreadBps", "/costs/maxCostPct", "/costs/spreadBpsBySymbol/VXUS"]
+  );
+  assert.deepEqual(checkPolicy(policy([])).map((i) => i.code), ["INVALID_TYPE"]);
+});
+
+test("checkPolicy - validates glidePath dates, keys and weight sums", () => {
+  const policy = (glidePath) => ({
+    version: 1,
+    targets: [
+      { group: "equity", targetWeight: 0.8, targets: [{ symbol: "VTI", targetWeight: 0.7 }, { symbol: "VXUS", targetWeight: 0.3 }] },
+      { symbol: "BND", targetWeight: 0.2, maxWeight: 0.5 }
+    ],
+    drift: { kind: "none" },
+    glidePath
+  });
+  const start = { dateIso: "2026-01-01", weights: { equity: 0.8, BND: 0.2 } };
+
+  assert.deepEqual(checkPolicy(policy({ kind: "linear", start, end: { dateIso: "2046-01-01", weights: { equity: 0.5, BND: 0.5 } } })), []);
+  assert.deepEqual(checkPolicy(policy({ kind: "steps", points: [{ fromIso: "2026-01-01", weights: { VTI: 0.6, VXUS: 0.4 } }] })), []);
+
+  const issues = checkPolicy(policy({
+    kind: "steps",
+    points: [
+      { fromIso: "2030-01-01", weights: { equity: 0.7, BND: 0.3 } },
+      { fromIso: "2028-01-01", weights: { equity: 0.6, BND: 0.4 } },
+      { fromIso: "soon", weights: { VEA: 0.5, BND: 1.5 } },
+      { fromIso: "2040-01-01", weights: { equity: 0.4, BND: 0.5 } },
+      { fromIso: "2050-01-01", weights: { equity: 0.3, BND: 0.7 } }
+    ]
+  }));
+  assert.deepEqual(issues.map((i) => [i.path, i.code]), [
+    ["/glidePath/points/1/fromIso", "INVALID_VALUE"],
+    ["/glidePath/points/2/fromIso", "INVALID_VALUE"],
+    ["/glidePath/points/2/weights/VEA", "UNKNOWN_FIELD"],
+    ["/glidePath/points/2/weights/BND", "OUT_OF_RANGE"],
+    ["/glidePath/points/3/weights", "WEIGHT_SUM"],
+    ["/glidePath/points/4/weights", "CONFLICT"]
+  ]);
+  assert.match(issues[4].message, /^glidePath\.points\.3 \(2040-01-01\): Target weights must sum to 1/);
+  assert.match(issues[5].message, /maxWeight for BND is below its target weight/);
+
+  assert.deepEqual(checkPolicy(policy({ kind: "linear", start, end: { ...start } })).map((i) => i.path), ["/glidePath/end/dateIso"]);
+  assert.deepEqual(checkPolicy(policy({ kind: "steps", points: [] })).map((i) => i.code), ["REQUIRED"]);
+  assert.deepEqual(checkPolicy(policy({ kind: "dated" })).map((i) => i.path), ["/glidePath/kind"]);
+});
+
+test("checkPolicy - validates rebalance.calendar and lets it trigger a full rebalance", () => {
+  const policy = (rebalance, drift = { kind: "none" }) => ({ version: 1, targets: [{ symbol: "VTI", targetWeight: 1 }], drift, rebalance });
+
+  assert.deepEqual(checkPolicy(policy({ kind: "full", calendar: { frequency: "quarterly", anchorIso: "2026-01-02" } })), []);
+  assert.deepEqual(checkPolicy(policy({ kind: "full" })).map((i) => i.code), ["CONFLICT"]);
+  assert.deepEqual(
+    checkPolicy(policy({ kind: "cashflow", calendar: { frequency: "weekly", anchorIso: "someday" } })).map((i) => [i.path, i.code]),
+    [["/rebalance/calendar/frequency", "INVALID_VALUE"], ["/rebalance/calendar/anchorIso", "INVALID_VALUE"]]
+  );
+  assert.deepEqual(checkPolicy(policy({ kind: "cashflow", calendar: "quarterly" })).map((i) => i.code), ["INVALID_TYPE"]);
+});
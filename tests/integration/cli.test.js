@@ -1,7 +1,9 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { spawn } from "node:child_process";
-import { writeFile, rm } from "node:fs/promises";
+import { readFile, writeFile, rm } from "node:fs/promises";
+import { resolve } from "node:path";
+import { loadPolicy } from "../../packages/core/src/loader.js";
 
 /**
  * Helper to run CLI command in subprocess
@@ -245,9 +247,298 @@ test("CLI validate command with --json outputs JSON", async () => {
   assert.equal(output.valid, true, "Should indicate policy is valid");
 });
 
+test("CLI validate --json lists every issue with its JSON pointer", async () => {
+  const tmpPolicy = "/tmp/test-cli-validate-" + Date.now() + ".json";
+  await writeFile(tmpPolicy, JSON.stringify({
+    version: 1,
+    targets: [
+      { symbol: "VTI", targetWeight: 0.6 },
+      { symbol: "VXUS", targetWeight: 0.4 },
+      { symbol: "BND", targetWeight: -1 }
+    ],
+    maxOrders: 0,
+    drift: { kind: "band" }
+  }));
+
+  try {
+    const result = await runCLI(["validate", "--policy", tmpPolicy, "--json"]);
+
+    assert.equal(result.code, 1, "Should exit with code 1");
+    const output = JSON.parse(result.stdout);
+    assert.equal(output.success, false);
+    assert.equal(output.valid, false);
+    assert.deepEqual(output.issues.map((i) => [i.path, i.code]), [
+      ["/targets/2/targetWeight", "OUT_OF_RANGE"],
+      ["/maxOrders", "OUT_OF_RANGE"],
+      ["/drift/maxAbsPct", "OUT_OF_RANGE"]
+    ]);
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("CLI validate --resolved prints the merged policy", async () => {
+  const result = await runCLI(["validate", "--policy", "policies/conservative.json", "--resolved", "--json"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  const output = JSON.parse(result.stdout);
+  assert.equal(output.valid, true);
+  assert.equal(output.resolved.extends, undefined, "Should not keep extends");
+  assert.equal(output.resolved.cashBufferPct, 0.02, "Should keep the template override");
+  assert.equal(output.resolved.maxOrders, 10, "Should inherit shared defaults");
+
+  const text = await runCLI(["validate", "--policy", "policies/conservative.json", "--resolved"]);
+  assert.equal(text.code, 0, "Should exit with code 0");
+  assert.ok(text.stdout.includes("Resolved policy:"), "Should label the merged policy");
+  assert.ok(text.stdout.includes("\"maxOrders\": 10"), "Should print inherited fields");
+});
+
+test("CLI validate reports an extends cycle", async () => {
+  const stamp = Date.now();
+  const a = `/tmp/test-cli-extends-a-${stamp}.json`;
+  const b = `/tmp/test-cli-extends-b-${stamp}.json`;
+  await writeFile(a, JSON.stringify({ extends: b, version: 1 }));
+  await writeFile(b, JSON.stringify({ extends: a }));
+
+  try {
+    const result = await runCLI(["validate", "--policy", a, "--json"]);
+
+    assert.equal(result.code, 1, "Should exit with code 1");
+    assert.match(JSON.parse(result.stdout).error, /Policy extends cycle: .*-a-.* -> .*-b-.* -> .*-a-/);
+  } finally {
+    await rm(a, { force: true });
+    await rm(b, { force: true });
+  }
+});
+
+test("CLI validate and plan accept YAML and JSONC policies", async () => {
+  for (const fixture of ["tests/fixtures/policies/valid/yaml-overlay.yaml", "tests/fixtures/policies/valid/commented.jsonc"]) {
+    const result = await runCLI(["validate", "--policy", fixture, "--json"]);
+    assert.equal(result.code, 0, `${fixture} should validate`);
+    assert.equal(JSON.parse(result.stdout).valid, true);
+  }
+
+  const plan = await runCLI(["plan", "--policy", "tests/fixtures/policies/valid/commented.jsonc", "--json"]);
+  assert.equal(plan.code, 0, "Should plan from a JSONC policy");
+  assert.equal(JSON.parse(plan.stdout).success, true);
+});
+
+test("CLI plan reports estimated costs per order and in total", async () => {
+  const policy = "tests/fixtures/policies/valid/costs.json";
+  const text = await runCLI(["plan", "--policy", policy]);
+
+  assert.equal(text.code, 0, "Should exit with code 0");
+  assert.match(text.stdout, /Estimated Costs: \$\d+\.\d{2}/);
+  assert.match(text.stdout, /Estimated cost: \$\d+\.\d{2}/);
+
+  const json = await runCLI(["plan", "--policy", policy, "--json"]);
+  const { plan } = JSON.parse(json.stdout);
+  assert.ok(plan.estimatedCostUsd > 0);
+  assert.ok(plan.legs.every((l) => l.estimatedCostUsd >= 1));
+  assert.ok(plan.plannedSpendUsd + plan.estimatedCostUsd <= plan.investableCashUsd);
+});
+
+test("CLI plan shows the effective glide path weights", async () => {
+  const policy = "tests/fixtures/policies/valid/glide-path.json";
+  const text = await runCLI(["plan", "--policy", policy]);
+
+  assert.equal(text.code, 0, "Should exit with code 0");
+  assert.match(text.stdout, /Glide Path \(step from 2020-01-01\):\n\s+- VTI: 80\.00%\n\s+- VXUS: 20\.00%/);
+
+  const json = await runCLI(["plan", "--policy", policy, "--json"]);
+  const { plan } = JSON.parse(json.stdout);
+  assert.deepEqual(plan.glidePath.weights, { VTI: 0.8, VXUS: 0.2 });
+  assert.ok(plan.legs.every((l) => l.targetWeight === plan.glidePath.weights[l.symbol]));
+});
+
+test("CLI plan reports the calendar rebalance schedule from the state file", async () => {
+  const statePath = "/tmp/test-cli-state-" + Date.now() + ".json";
+  const policy = "tests/fixtures/policies/valid/calendar.json";
+  await writeFile(statePath, JSON.stringify({ rebalances: { [resolve(policy)]: { lastRebalanceIso: "2020-01-01T00:00:00Z" } } }));
+
+  try {
+    const text = await runCLI(["plan", "--policy", policy, "--state", statePath]);
+    assert.equal(text.code, 0, "Should exit with code 0");
+    assert.match(text.stdout, /Calendar: quarterly from 2026-01-02, last rebalance 2020-01-01T00:00:00Z\n\s+Due since /);
+
+    const json = await runCLI(["plan", "--policy", policy, "--state", statePath, "--json"]);
+    const { plan } = JSON.parse(json.stdout);
+    assert.equal(plan.calendar.due, true);
+    assert.equal(plan.calendar.lastRebalanceIso, "2020-01-01T00:00:00Z");
+  } finally {
+    await rm(statePath, { force: true });
+  }
+});
+
+test("CLI validate reports policy parse errors with line and column", async () => {
+  const tmpPolicy = "/tmp/test-cli-parse-" + Date.now() + ".yaml";
+  await writeFile(tmpPolicy, "version: 1\ntargets:\n  - symbol: VTI\n   targetWeight: 1\n");
+
+  try {
+    const result = await runCLI(["validate", "--policy", tmpPolicy, "--json"]);
+
+    assert.equal(result.code, 1, "Should exit with code 1");
+    assert.equal(JSON.parse(result.stdout).error, `Invalid YAML in policy ${tmpPolicy}:4:4: bad indentation of a sequence entry`);
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
 test("CLI validate command with --quiet produces no output", async () => {
   const result = await runCLI(["validate", "--policy", "policies/core.json", "--quiet"]);
 
   assert.equal(result.code, 0, "Should exit with code 0");
   assert.equal(result.stdout.trim(), "", "Should produce no stdout");
 });
+
+test("CLI schema command prints the named JSON Schema", async () => {
+  const result = await runCLI(["schema", "policy"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  const schema = JSON.parse(result.stdout);
+  assert.equal(schema.$id, "urn:ledgerrun:schema:policy:v1");
+  assert.deepEqual(schema.else.required, ["version", "targets", "drift"]);
+
+  const unknown = await runCLI(["schema", "orders", "--json"]);
+  assert.equal(unknown.code, 1, "Should exit with code 1");
+  assert.match(JSON.parse(unknown.stdout).error, /Unknown schema: orders/);
+});
+
+test("CLI migrate command shows a diff without touching the file", async () => {
+  const tmpPolicy = "/tmp/test-cli-migrate-" + Date.now() + ".json";
+  const original = JSON.stringify(await loadPolicy("policies/core.json"), null, 2);
+  await writeFile(tmpPolicy, original);
+
+  try {
+    const result = await runCLI(["migrate", "--policy", tmpPolicy]);
+
+    assert.equal(result.code, 0, "Should exit with code 0");
+    assert.ok(result.stdout.includes("from version 1 to 2"), "Should name both versions");
+    assert.ok(result.stdout.includes("-   \"version\": 1,"), "Should show removed lines");
+    assert.ok(result.stdout.includes("+   \"capital\": {"), "Should show added lines");
+    assert.equal(await readFile(tmpPolicy, "utf-8"), original, "Should not write without --write");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("CLI migrate command with --write upgrades the file", async () => {
+  const tmpPolicy = "/tmp/test-cli-migrate-write-" + Date.now() + ".json";
+  await writeFile(tmpPolicy, JSON.stringify(await loadPolicy("policies/core.json"), null, 2));
+
+  try {
+    const result = await runCLI(["migrate", "--policy", tmpPolicy, "--write", "--json"]);
+
+    assert.equal(result.code, 0, "Should exit with code 0");
+    const output = JSON.parse(result.stdout);
+    assert.equal(output.command, "migrate");
+    assert.equal(output.fromVersion, 1);
+    assert.equal(output.toVersion, 2);
+    assert.equal(output.written, true);
+
+    const written = JSON.parse(await readFile(tmpPolicy, "utf-8"));
+    assert.equal(written.version, 2);
+    assert.equal(written.capital.maxInvestAmountUsd, 10000);
+
+    const rerun = await runCLI(["plan", "--policy", tmpPolicy, "--json"]);
+    assert.equal(rerun.code, 0, "Migrated policy should still plan");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("CLI migrate --write refuses to rewrite a YAML policy", async () => {
+  const tmpPolicy = "/tmp/test-cli-migrate-yaml-" + Date.now() + ".yaml";
+  const original = `# keep me\nextends: ${resolve("policies/core.json")}\nversion: 1\n`;
+  await writeFile(tmpPolicy, original);
+
+  try {
+    const preview = await runCLI(["migrate", "--policy", tmpPolicy]);
+    assert.equal(preview.code, 0, "Dry run should still show the diff");
+    assert.ok(preview.stdout.includes("from version 1 to 2"));
+
+    const result = await runCLI(["migrate", "--policy", tmpPolicy, "--write", "--json"]);
+    assert.equal(result.code, 1, "Should exit with code 1");
+    assert.match(JSON.parse(result.stdout).error, /migrate --write only rewrites \.json policies/);
+    assert.equal(await readFile(tmpPolicy, "utf-8"), original, "Should leave the file untouched");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("CLI migrate command upgrades an overlay without inlining what it extends", async () => {
+  const tmpPolicy = "/tmp/test-cli-migrate-overlay-" + Date.now() + ".json";
+  const core = JSON.parse(await readFile("policies/core.json", "utf-8"));
+  await writeFile(tmpPolicy, JSON.stringify({ ...core, extends: resolve("policies/shared/defaults.json") }, null, 2));
+
+  try {
+    const result = await runCLI(["migrate", "--policy", tmpPolicy, "--write", "--json"]);
+
+    assert.equal(result.code, 0, "Should exit with code 0");
+    const written = JSON.parse(await readFile(tmpPolicy, "utf-8"));
+    assert.equal(written.version, 2);
+    assert.equal(written.extends, resolve("policies/shared/defaults.json"));
+    assert.equal(written.capital, undefined, "Should not copy inherited settings");
+
+    const rerun = await runCLI(["plan", "--policy", tmpPolicy, "--json"]);
+    assert.equal(rerun.code, 0, "Migrated overlay should still plan");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("CLI plan --explain prints the decision trace", async () => {
+  const result = await runCLI(["plan", "--explain"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  assert.ok(result.stdout.includes("Decision Trace"), "Should print the trace heading");
+  assert.ok(result.stdout.includes("Mode: underweights"), "Should print the chosen mode");
+  assert.match(result.stdout, /VTI\s+\$500\.00\s+29\.76%\s+70\.00%/, "Should print the weights table");
+});
+
+test("CLI plan --explain --json includes the trace", async () => {
+  const result = await runCLI(["plan", "--explain", "--json"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  const output = JSON.parse(result.stdout);
+  assert.ok(Array.isArray(output.plan.trace), "Should include plan.trace");
+  assert.equal(output.plan.trace.at(-1).step, "result");
+});
+
+test("CLI plan --notes-format strings returns plain string notes", async () => {
+  const structured = JSON.parse((await runCLI(["plan", "--json"])).stdout);
+  const result = await runCLI(["plan", "--json", "--notes-format", "strings"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  const output = JSON.parse(result.stdout);
+  assert.ok(output.plan.notes.length > 0, "Should have notes");
+  assert.deepEqual(output.plan.notes, structured.plan.notes.map((n) => n.message));
+});
+
+test("CLI rejects an unknown --notes-format", async () => {
+  const result = await runCLI(["plan", "--json", "--notes-format", "xml"]);
+
+  assert.equal(result.code, 1, "Should exit with code 1");
+  assert.match(JSON.parse(result.stdout).error, /--notes-format must be "structured" or "strings", got: xml/);
+});
+
+test("CLI withdraw command plans SELL legs for the amount", async () => {
+  // The mock account holds $1,000 cash, so a $1,200 withdrawal needs $200 of sells.
+  const result = await runCLI(["withdraw", "--amount", "1200", "--json"]);
+
+  assert.equal(result.code, 0, "Should exit with code 0");
+  const output = JSON.parse(result.stdout);
+  assert.equal(output.command, "withdraw");
+  assert.equal(output.dryRun, true, "Should default to dry-run");
+  assert.equal(output.plan.withdrawalUsd, 1200);
+  assert.equal(output.plan.plannedSellUsd, 200);
+  assert.ok(output.plan.legs.every((l) => l.side === "SELL" && l.reasonCodes.includes("WITHDRAWAL")));
+});
+
+test("CLI withdraw command requires a positive --amount", async () => {
+  const result = await runCLI(["withdraw", "--json"]);
+
+  assert.notEqual(result.code, 0, "Should exit with non-zero code");
+  const output = JSON.parse(result.stdout);
+  assert.match(output.error, /--amount/);
+});
@@ -1,7 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { writeFile, rm } from "node:fs/promises";
-import { runOnce } from "../../packages/orchestrator/src/run.js";
+import { readFile, writeFile, rm } from "node:fs/promises";
+import { formatNote, runOnce } from "../../packages/orchestrator/src/run.js";
 
 /**
  * Mock broker for testing - no network calls
@@ -215,3 +215,275 @@ test("orchestrator handles NOOP status", async () => {
     await rm(tmpPolicy, { force: true });
   }
 });
+
+test("orchestrator submits sell legs before buy legs", async () => {
+  const tmpPolicy = "/tmp/test-policy-sells-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Full Rebalance",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    minOrderUsd: 1,
+    drift: { kind: "band", maxAbsPct: 0.03 },
+    rebalance: { kind: "full" }
+  };
+
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashUsd: 0,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 200.0 },
+      { symbol: "VXUS", quantity: 10, marketValueUsd: 800.0 }
+    ],
+    pricesUsd: { VTI: 200.0, VXUS: 80.0 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true, snapshot });
+    await runOnce({
+      policyPath: tmpPolicy,
+      broker,
+      dryRun: false,
+      execute: true,
+      silent: true
+    });
+
+    const sides = broker.getExecutedOrders().map((l) => l.side);
+    assert.deepEqual(sides, ["SELL", "BUY"]);
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("orchestrator passes broker trade history to the wash-sale guard", async () => {
+  const tmpPolicy = "/tmp/test-policy-wash-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Wash Sale",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true });
+    broker.getTradeHistory = async () => [
+      { symbol: "VTI", side: "SELL", executedIso: new Date(Date.now() - 86_400_000).toISOString(), realizedGainUsd: -1 }
+    ];
+
+    const result = await runOnce({ policyPath: tmpPolicy, broker, silent: true });
+
+    assert.ok(!result.plan.legs.some((l) => l.symbol === "VTI"));
+    assert.equal(result.plan.blockedLegs[0].symbol, "VTI");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("orchestrator does not plan on a stale snapshot", async () => {
+  const tmpPolicy = "/tmp/test-policy-stale-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Stale",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" },
+    snapshotChecks: { maxAgeMinutes: 60 }
+  };
+  const snapshot = {
+    asOfIso: "2026-03-02T12:00:00Z",
+    cashUsd: 500,
+    positions: [{ symbol: "VTI", quantity: 1, marketValueUsd: 250 }],
+    pricesUsd: { VTI: 250, VXUS: 60 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true, snapshot });
+    const nowIso = "2026-03-02T14:00:00Z";
+
+    const result = await runOnce({ policyPath: tmpPolicy, broker, dryRun: false, execute: true, silent: true, nowIso });
+    assert.equal(result.plan, null);
+    assert.equal(result.execution, undefined);
+    assert.deepEqual(result.snapshotIssues.map((i) => [i.code, i.severity]), [["STALE_SNAPSHOT", "error"]]);
+    assert.match(result.snapshotIssues[0].message, /Snapshot is 120 minutes old \(max 60\)/);
+    assert.equal(broker.getExecutedOrders().length, 0);
+
+    const dryRun = await runOnce({ policyPath: tmpPolicy, broker, silent: true, nowIso });
+    assert.equal(dryRun.plan, null);
+    assert.deepEqual(dryRun.snapshotIssues.map((i) => [i.code, i.severity]), [["STALE_SNAPSHOT", "error"]]);
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("orchestrator plans with warnings when the policy has no snapshotChecks", async () => {
+  const tmpPolicy = "/tmp/test-policy-unchecked-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Unchecked",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" }
+  };
+  const snapshot = {
+    asOfIso: "2026-03-01T12:00:00Z",
+    cashUsd: 500,
+    positions: [{ symbol: "VTI", quantity: 1, marketValueUsd: 250 }],
+    pricesUsd: { VTI: 250, VXUS: 60 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true, snapshot });
+    const result = await runOnce({ policyPath: tmpPolicy, broker, silent: true, nowIso: "2026-03-02T14:00:00Z" });
+
+    assert.deepEqual(result.snapshotIssues.map((i) => [i.code, i.severity]), [["STALE_SNAPSHOT", "warning"]]);
+    assert.notEqual(result.plan, null);
+    assert.equal(result.plan.status, "PLANNED");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("orchestrator executes when snapshot checks only warn", async () => {
+  const tmpPolicy = "/tmp/test-policy-warn-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Warn",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "none" },
+    snapshotChecks: { severities: { VALUE_MISMATCH: "warning" } }
+  };
+  const snapshot = {
+    asOfIso: new Date().toISOString(),
+    cashUsd: 500,
+    positions: [{ symbol: "VTI", quantity: 1, marketValueUsd: 300 }],
+    pricesUsd: { VTI: 250, VXUS: 60 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true, snapshot });
+    const result = await runOnce({ policyPath: tmpPolicy, broker, dryRun: false, execute: true, silent: true });
+
+    assert.deepEqual(result.snapshotIssues.map((i) => [i.code, i.severity]), [["VALUE_MISMATCH", "warning"]]);
+    assert.ok(broker.getExecutedOrders().length > 0);
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
+
+test("orchestrator records executed calendar rebalances in the state file", async () => {
+  const tmpPolicy = "/tmp/test-policy-calendar-" + Date.now() + ".json";
+  const statePath = "/tmp/test-state-calendar-" + Date.now() + "/state.json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Calendar",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    drift: { kind: "band", maxAbsPct: 0.2 },
+    rebalance: { kind: "cashflow", calendar: { frequency: "quarterly", anchorIso: "2026-01-01" } }
+  };
+  const snapshot = {
+    asOfIso: "2026-07-15T14:00:00Z",
+    cashUsd: 100,
+    positions: [
+      { symbol: "VTI", quantity: 1, marketValueUsd: 250 },
+      { symbol: "VXUS", quantity: 1, marketValueUsd: 60 }
+    ],
+    pricesUsd: { VTI: 250, VXUS: 60 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true, snapshot });
+    const run = (options) => runOnce({ policyPath: tmpPolicy, broker, silent: true, nowIso: snapshot.asOfIso, ...options });
+
+    await assert.rejects(() => run({}), /Policy rebalance.calendar needs a statePath/);
+
+    const dryRun = await run({ statePath });
+    assert.equal(dryRun.plan.calendar.due, true, "no state file counts as never rebalanced");
+    await assert.rejects(readFile(statePath, "utf8"), { code: "ENOENT" }, "dry runs record nothing");
+
+    const executed = await run({ statePath, dryRun: false, execute: true });
+    assert.ok(executed.execution.ordersPlaced > 0);
+    assert.deepEqual(JSON.parse(await readFile(statePath, "utf8")), {
+      rebalances: { [tmpPolicy]: { lastRebalanceIso: "2026-07-15T14:00:00Z" } }
+    });
+
+    const next = await run({ statePath });
+    assert.equal(next.plan.calendar.due, false);
+    assert.equal(next.plan.calendar.lastRebalanceIso, "2026-07-15T14:00:00Z");
+  } finally {
+    await rm(tmpPolicy, { force: true });
+    await rm(statePath.slice(0, -"/state.json".length), { recursive: true, force: true });
+  }
+});
+
+test("formatNote flags warnings with their code and passes legacy strings through", () => {
+  assert.equal(
+    formatNote({ code: "DRIFT_WITHIN_BAND", severity: "info", message: "Within drift band.", data: {} }),
+    "Within drift band."
+  );
+  assert.equal(
+    formatNote({ code: "CLAMPED_CASH_IDLE", severity: "warning", message: "~$5.00 idle.", data: { amountUsd: 5 } }),
+    "⚠️  ~$5.00 idle. [CLAMPED_CASH_IDLE]"
+  );
+  assert.equal(formatNote("Legacy note."), "Legacy note.");
+});
+
+test("orchestrator passes notesFormat through to the plan", async () => {
+  const tmpPolicy = "/tmp/test-policy-notes-" + Date.now() + ".json";
+
+  const policy = {
+    version: 1,
+    name: "Test Policy Notes",
+    targets: [
+      { symbol: "VTI", targetWeight: 0.7 },
+      { symbol: "VXUS", targetWeight: 0.3 }
+    ],
+    cashBufferPct: 0.1,
+    drift: { kind: "band", maxAbsPct: 0.03 }
+  };
+
+  await writeFile(tmpPolicy, JSON.stringify(policy, null, 2));
+
+  try {
+    const broker = new MockBroker({ isPaper: true });
+    const structured = await runOnce({ policyPath: tmpPolicy, broker, silent: true });
+    const strings = await runOnce({ policyPath: tmpPolicy, broker, silent: true, notesFormat: "strings" });
+
+    assert.ok(strings.plan.notes.length > 0, "Should have notes");
+    assert.deepEqual(strings.plan.notes, structured.plan.notes.map((n) => n.message));
+  } finally {
+    await rm(tmpPolicy, { force: true });
+  }
+});
@@ -2,6 +2,7 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import { readFile, readdir } from "node:fs/promises";
 import { join } from "node:path";
+import { loadPolicy } from "../../packages/core/src/loader.js";
 import { validatePolicy } from "../../packages/core/src/validate.js";
 
 const POLICIES_DIR = join(process.cwd(), "policies");
@@ -31,8 +32,7 @@ test("all policy templates pass validation", async () => {
   const jsonFiles = files.filter(f => f.endsWith(".json"));
 
   for (const file of jsonFiles) {
-    const content = await readFile(join(POLICIES_DIR, file), "utf-8");
-    const policy = JSON.parse(content);
+    const policy = await loadPolicy(join(POLICIES_DIR, file));
 
     try {
       validatePolicy(policy);
@@ -47,8 +47,7 @@ test("all policy templates have required metadata", async () => {
   const jsonFiles = files.filter(f => f.endsWith(".json"));
 
   for (const file of jsonFiles) {
-    const content = await readFile(join(POLICIES_DIR, file), "utf-8");
-    const policy = JSON.parse(content);
+    const policy = await loadPolicy(join(POLICIES_DIR, file));
 
     assert.ok(policy.name, `${file} should have a name`);
     assert.equal(policy.version, 1, `${file} should have version 1`);
@@ -62,8 +61,7 @@ test("all policy templates have weights summing to 1", async () => {
   const jsonFiles = files.filter(f => f.endsWith(".json"));
 
   for (const file of jsonFiles) {
-    const content = await readFile(join(POLICIES_DIR, file), "utf-8");
-    const policy = JSON.parse(content);
+    const policy = await loadPolicy(join(POLICIES_DIR, file));
 
     const totalWeight = policy.targets.reduce((sum, t) => sum + t.targetWeight, 0);
     assert.ok(
@@ -85,3 +83,14 @@ test("policy templates cover different risk profiles", async () => {
     assert.ok(jsonFiles.includes(expected), `Should have ${expected} policy`);
   }
 });
+
+test("policy templates share settings through policies/shared/defaults.json", async () => {
+  const defaults = JSON.parse(await readFile(join(POLICIES_DIR, "shared", "defaults.json"), "utf-8"));
+  const core = await loadPolicy(join(POLICIES_DIR, "core.json"));
+  const conservative = await loadPolicy(join(POLICIES_DIR, "conservative.json"));
+
+  assert.equal(core.maxOrders, defaults.maxOrders);
+  assert.deepEqual(core.drift, defaults.drift);
+  assert.equal(conservative.cashBufferPct, 0.02);
+  assert.equal(conservative.extends, undefined);
+});